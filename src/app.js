@@ -1,65 +1,115 @@
 import express from 'express';
-import dotenv from 'dotenv';
 import cors from 'cors';
 import helmet from 'helmet';
 
-import institutionsRoutes from './routes/institutions.js';
-import contactsRoutes from './routes/contacts.routes.js';
-import servicesRoutes from './routes/services.routes.js';
-import photosRoutes from './routes/photos.routes.js';
+import institutionRoutes from './routes/institutions.js';
+import { contactRoutes, serviceRoutes, photoRoutes } from './routes/collections.js';
+import docsRoutes, { getSpec } from './routes/docs.js';
+import { endpointList } from './docs/openapi.js';
+import pool from './config/db.js';
+import { startStatsRefresh } from './services/statsSummary.js';
 
-dotenv.config();
-const app = express();
+// Application Express configurable, sans écoute de port : server.js la démarre, les tests
+// peuvent l'utiliser en mémoire. Même pile de middlewares dans tous les environnements.
+// Le rafraîchissement des statistiques démarre avec l'application ; app.stop() l'arrête.
 
-// Middleware globaux
-app.use(express.json());
-app.use(cors());
-app.use(helmet());
+// Modules montables : nom → [chemin, routeur]
+export const APP_MODULES = {
+  institutions: ['/api/v1/institutions', institutionRoutes],
+  // Contacts, services et photos de toutes les institutions (lecture seule)
+  contacts: ['/api/v1/contacts', contactRoutes],
+  services: ['/api/v1/services', serviceRoutes],
+  photos: ['/api/v1/photos', photoRoutes],
+  // Spécification OpenAPI et explorateur interactif
+  docs: ['/api/v1', docsRoutes]
+};
 
-// Routes
+export const DEFAULT_CONFIG = {
+  // '*' ou liste d'origines autorisées
+  corsOrigins: '*',
+  bodyLimit: '10mb',
+  // Valeur du réglage Express 'trust proxy' (false, true, nombre de sauts, adresses…)
+  trustProxy: false,
+  modules: Object.keys(APP_MODULES),
+  // Planificateur des statistiques précalculées (STATS_REFRESH_DELAY / STATS_REFRESH_INTERVAL) ;
+  // sans lui, stats_change grossit jusqu'au prochain POST /stats/refresh
+  statsRefresh: true
+};
 
-app.use('/api/v1/institutions', institutionsRoutes);
-app.use('/api/v1/contacts', contactsRoutes);
-app.use('/api/v1/services', servicesRoutes);
-app.use('/api/v1/photos', photosRoutes);
+const list = value => value.split(',').map(v => v.trim()).filter(Boolean);
 
-// Route par défaut
-// Route liste des endpoints pour UX
-app.get('/', (req, res) => {
-  res.json({
-    message: 'Liste des endpoints disponibles',
-    endpoints: {
-      institutions: {
-        getAll: '/api/v1/institutions',
-        getFull: '/api/v1/institutions/full',
-        getById: '/api/v1/institutions/:id',
-        create: '/api/v1/institutions [POST]',
-        update: '/api/v1/institutions/:id [PUT]',
-        delete: '/api/v1/institutions/:id [DELETE]',
-      },
-      contacts: {
-        getAll: '/api/v1/contacts',
-        create: '/api/v1/contacts [POST]',
-        delete: '/api/v1/contacts/:id [DELETE]',
-      },
-      services: {
-        getAll: '/api/v1/services',
-        create: '/api/v1/services [POST]',
-        delete: '/api/v1/services/:id [DELETE]',
-      },
-      photos: {
-        getAll: '/api/v1/photos',
-        create: '/api/v1/photos [POST]',
-        delete: '/api/v1/photos/:id [DELETE]',
-      },
-    },
+function parseTrustProxy(value) {
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  if (/^\d+$/.test(value)) return parseInt(value, 10);
+  return value;
+}
+
+// Configuration tirée de l'environnement : CORS_ORIGINS, BODY_LIMIT, TRUST_PROXY, API_MODULES
+export function appConfig(env = process.env) {
+  const config = { ...DEFAULT_CONFIG };
+  if (env.CORS_ORIGINS) config.corsOrigins = env.CORS_ORIGINS.trim() === '*' ? '*' : list(env.CORS_ORIGINS);
+  if (env.BODY_LIMIT) config.bodyLimit = env.BODY_LIMIT;
+  if (env.TRUST_PROXY) config.trustProxy = parseTrustProxy(env.TRUST_PROXY.trim());
+  if (env.API_MODULES) config.modules = list(env.API_MODULES);
+  return config;
+}
+
+export function createApp(options = {}) {
+  const config = { ...DEFAULT_CONFIG, ...options };
+  const unknown = config.modules.filter(name => !APP_MODULES[name]);
+  if (unknown.length) {
+    throw new Error(`Unknown module(s): ${unknown.join(', ')}. Available: ${Object.keys(APP_MODULES).join(', ')}`);
+  }
+
+  const app = express();
+  app.set('trust proxy', config.trustProxy);
+
+  // Middleware ; API consommée depuis d'autres origines (images des photos comprises)
+  app.use(helmet({ crossOriginResourcePolicy: { policy: 'cross-origin' } }));
+  app.use(cors({
+    origin: config.corsOrigins === '*' ? '*' : config.corsOrigins,
+    // Lus par les clients pour If-None-Match / If-Match
+    exposedHeaders: ['ETag', 'Content-Disposition']
+  }));
+  // JSON Merge Patch (RFC 7396) pour les PATCH, sous la même limite
+  app.use(express.json({ type: ['application/json', 'application/merge-patch+json'], limit: config.bodyLimit }));
+  app.use(express.urlencoded({ extended: true, limit: config.bodyLimit }));
+
+  // Routes
+  for (const name of config.modules) {
+    const [path, router] = APP_MODULES[name];
+    app.use(path, router);
+  }
+  // Health check
+  app.get('/api/v1/health', (req, res) => {
+    res.json({ status: 'OK', timestamp: new Date() });
+  });
+  // Page d'accueil : liste des endpoints tirée de la spécification OpenAPI
+  app.get('/', (req, res) => {
+    res.json({
+      message: 'API Server is running',
+      docs: '/api/v1/docs',
+      openapi: '/api/v1/openapi.json',
+      endpoints: endpointList(getSpec())
+    });
+  });
+
+  // Gestion des routes non trouvées
+  app.use((req, res) => {
+    res.status(404).json({ error: 'Route not found' });
   });
-});
 
-// Gestion des erreurs 404
-app.use((req, res) => {
-  res.status(404).json({ error: 'Route non trouvée' });
-});
+  // Middleware de gestion d'erreur global : erreurs client (JSON invalide, corps trop gros…)
+  // avec leur statut, les autres en 500
+  app.use((err, req, res, next) => {
+    const status = err.status || err.statusCode || 500;
+    if (status >= 500) console.error(err.stack);
+    res.status(status).json({ error: status < 500 ? err.message : 'Something went wrong!' });
+  });
 
+  const stopStatsRefresh = config.statsRefresh ? startStatsRefresh(pool) : () => {};
+  app.stop = () => stopStatsRefresh();
 
-export { app };
+  return app;
+}
@@ -0,0 +1,47 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import pool from '../config/db.js';
+
+const KEY_PREFIX = 'ik_';
+
+// Seul le hash SHA-256 est conservé en base
+export function hashApiKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+// Crée une clé et renvoie sa valeur en clair (affichée une seule fois)
+export async function createApiKey(name, role) {
+  const key = KEY_PREFIX + crypto.randomBytes(24).toString('base64url');
+  const id = uuidv4();
+  await pool.query(
+    'INSERT INTO api_key (id, name, key_hash, role) VALUES ($1, $2, $3, $4)',
+    [id, name, hashApiKey(key), role]
+  );
+  return { id, name, role, key };
+}
+
+export async function revokeApiKey(id) {
+  const result = await pool.query(
+    'UPDATE api_key SET revoked_at = NOW() WHERE id = $1 AND revoked_at IS NULL RETURNING id',
+    [id]
+  );
+  return result.rows.length > 0;
+}
+
+export async function listApiKeys() {
+  const result = await pool.query(
+    'SELECT id, name, role, created_at, last_used_at, revoked_at FROM api_key ORDER BY created_at'
+  );
+  return result.rows;
+}
+
+// Renvoie la clé active correspondant à la valeur fournie, ou null
+export async function findActiveApiKey(key) {
+  const result = await pool.query(
+    `UPDATE api_key SET last_used_at = NOW()
+     WHERE key_hash = $1 AND revoked_at IS NULL
+     RETURNING id, name, role`,
+    [hashApiKey(key)]
+  );
+  return result.rows[0] || null;
+}
@@ -0,0 +1,51 @@
+// Usage : node src/auth/cli.js <commande> [args]
+//   create-key <name> <role>        crée une clé d'API (affichée une seule fois)
+//   revoke-key <id>                 révoque une clé
+//   list-keys                       liste les clés
+//   sign-token <sub> <role> [name]  signe un jeton (AUTH_JWT_SECRET requis)
+import pool from '../config/db.js';
+import { createApiKey, revokeApiKey, listApiKeys } from './apiKeys.js';
+import { signToken } from './tokens.js';
+import { ROLES } from '../middleware/auth.js';
+
+function checkRole(role) {
+  if (!ROLES.includes(role)) throw new Error(`Role must be one of: ${ROLES.join(', ')}`);
+}
+
+const commands = {
+  async 'create-key'(name, role) {
+    if (!name) throw new Error('Name is required');
+    checkRole(role);
+    const created = await createApiKey(name, role);
+    console.log(`Created ${created.role} key ${created.id} for "${created.name}"`);
+    console.log(`X-API-Key: ${created.key}`);
+  },
+  async 'revoke-key'(id) {
+    if (!id) throw new Error('Key id is required');
+    console.log(await revokeApiKey(id) ? `Revoked ${id}` : `No active key ${id}`);
+  },
+  async 'list-keys'() {
+    console.table(await listApiKeys());
+  },
+  async 'sign-token'(sub, role, name) {
+    if (!sub) throw new Error('Subject is required');
+    checkRole(role);
+    console.log(signToken({ sub, role, name: name || sub }));
+  }
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!commands[command]) {
+  console.error(`Unknown command "${command || ''}". Expected one of: ${Object.keys(commands).join(', ')}`);
+  process.exit(1);
+}
+
+try {
+  await commands[command](...args);
+  await pool.end();
+} catch (err) {
+  console.error(`Command "${command}" failed:`, err.message);
+  await pool.end();
+  process.exit(1);
+}
@@ -0,0 +1,19 @@
+import jwt from 'jsonwebtoken';
+
+const ALGORITHM = 'HS256';
+
+function secret() {
+  const value = process.env.AUTH_JWT_SECRET;
+  if (!value) throw new Error('AUTH_JWT_SECRET is not configured');
+  return value;
+}
+
+// Jeton signé : sub = identifiant de l'auteur, name = libellé lisible, role
+export function signToken({ sub, name, role }, expiresIn = process.env.AUTH_JWT_EXPIRES_IN || '12h') {
+  return jwt.sign({ name, role }, secret(), { algorithm: ALGORITHM, subject: sub, expiresIn });
+}
+
+// Lève une erreur si le jeton est invalide ou expiré
+export function verifyToken(token) {
+  return jwt.verify(token, secret(), { algorithms: [ALGORITHM] });
+}
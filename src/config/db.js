@@ -1,8 +1,13 @@
-import { Pool } from 'pg';
+import pg from 'pg';
 import dotenv from 'dotenv';
 
 dotenv.config();
 
+const { Pool } = pg;
+
+// Colonnes DATE renvoyées telles quelles ("2026-12-25") plutôt qu'en Date à minuit local
+pg.types.setTypeParser(pg.types.builtins.DATE, value => value);
+
 const pool = new Pool({
   host: process.env.DB_HOST,
   port: process.env.DB_PORT,
@@ -35,4 +40,26 @@ pool.query('SELECT NOW()', (err, res) => {
   }
 });
 
+// Paramètre de requête : tableaux passés en JSON (colonnes JSONB) ;
+// pg les convertirait sinon en tableaux Postgres
+export function columnValue(value) {
+  return Array.isArray(value) ? JSON.stringify(value) : value;
+}
+
+// Exécute fn(client) dans une transaction sur une connexion dédiée
+export async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
 export default pool;
\ No newline at end of file
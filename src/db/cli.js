@@ -0,0 +1,57 @@
+// Usage : node src/db/cli.js <up|down|status|seed|setup> [arg]
+//   up [version]   applique les migrations en attente (jusqu'à version)
+//   down [steps]   annule les dernières migrations (1 par défaut)
+//   status         liste les migrations et leur date d'application
+//   seed           insère / met à jour les données de référence
+//   setup          up puis seed : base vide → base utilisable
+import pool, { withTransaction } from '../config/db.js';
+import { migrateUp, migrateDown, migrationStatus } from './migrator.js';
+import { seedReferenceData } from './seeds/reference.js';
+
+async function seed() {
+  const counts = await withTransaction(client => seedReferenceData(client));
+  console.log('Reference data seeded:', counts);
+}
+
+async function up(to) {
+  const applied = await migrateUp({ to });
+  if (!applied.length) console.log('Database is up to date');
+  applied.forEach(name => console.log(`Applied ${name}`));
+}
+
+const commands = {
+  up,
+  async down(steps) {
+    const reverted = await migrateDown({ steps: steps ? parseInt(steps) : 1 });
+    if (!reverted.length) console.log('Nothing to revert');
+    reverted.forEach(name => console.log(`Reverted ${name}`));
+  },
+  async status() {
+    const rows = await migrationStatus();
+    rows.forEach(m => {
+      const state = m.applied_at ? `applied ${new Date(m.applied_at).toISOString()}` : 'pending';
+      console.log(`${m.name.padEnd(40)} ${state}`);
+    });
+  },
+  seed,
+  async setup() {
+    await up();
+    await seed();
+  }
+};
+
+const [command, arg] = process.argv.slice(2);
+
+if (!commands[command]) {
+  console.error(`Unknown command "${command || ''}". Expected one of: ${Object.keys(commands).join(', ')}`);
+  process.exit(1);
+}
+
+try {
+  await commands[command](arg);
+  await pool.end();
+} catch (err) {
+  console.error(`Command "${command}" failed:`, err.message);
+  await pool.end();
+  process.exit(1);
+}
@@ -0,0 +1,60 @@
+// Sous-ressources d'une institution exposées via /:id/{name}
+export const relations = [
+  { 
+    name: 'contacts', 
+    table: 'contact', 
+    fields: ['contact_type_id', 'value']
+  },
+  { 
+    name: 'staff', 
+    table: 'institution_staff', 
+    fields: ['staff_type_id', 'quantity']
+  },
+  { 
+    name: 'utilities', 
+    table: 'institution_utility',
+    fields: ['utility_type_id', 'availability']
+  },
+  { 
+    name: 'services', 
+    table: 'service', 
+    fields: ['service_code', 'name', 'description']
+  },
+  { 
+    name: 'photos', 
+    table: 'photo', 
+    fields: ['url', 'caption', 'credit']
+  },
+  { 
+    name: 'education_fees', 
+    table: 'education_fee', 
+    fields: ['level', 'amount', 'currency', 'description']
+  },
+  { 
+    name: 'ratios', 
+    table: 'institution_ratio', 
+    fields: ['ratio_type', 'value', 'year']
+  },
+  {
+    name: 'opening_exceptions',
+    table: 'opening_exception',
+    fields: ['start_date', 'end_date', 'closed', 'hours', 'label']
+  }
+];
+
+// Tables rattachées à une institution par institution_id
+export const institutionChildTables = [
+  'contact', 'institution_staff', 'institution_utility', 'service',
+  'photo', 'opening_hour', 'education_fee', 'institution_ratio', 'opening_exception'
+];
+
+// Type d'entité du journal d'audit → table
+export const auditedEntities = {
+  institution: 'institution',
+  opening_hours: 'opening_hour',
+  ...Object.fromEntries(relations.map(r => [r.name, r.table]))
+};
+
+export function entityTypeForTable(table) {
+  return Object.keys(auditedEntities).find(type => auditedEntities[type] === table);
+}
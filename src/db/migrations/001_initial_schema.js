@@ -0,0 +1,190 @@
+// Schéma initial : entités de référence, hiérarchie géographique,
+// institutions et leurs sous-ressources (tel qu'utilisé par src/routes/institutions.js)
+
+export const description = 'Initial institution schema';
+
+export async function up(client) {
+  // Entités de référence
+  await client.query(`
+    CREATE TABLE institution_category (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      code VARCHAR(50) NOT NULL UNIQUE,
+      label VARCHAR(255) NOT NULL
+    )
+  `);
+  await client.query(`
+    CREATE TABLE institution_subtype (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      category_id UUID NOT NULL REFERENCES institution_category(id),
+      code VARCHAR(50) NOT NULL UNIQUE,
+      label VARCHAR(255) NOT NULL
+    )
+  `);
+  await client.query('CREATE INDEX idx_institution_subtype_category ON institution_subtype(category_id)');
+
+  for (const table of ['contact_type', 'staff_type', 'utility_type']) {
+    await client.query(`
+      CREATE TABLE ${table} (
+        id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+        code VARCHAR(50) NOT NULL UNIQUE,
+        label VARCHAR(255) NOT NULL
+      )
+    `);
+  }
+
+  // Hiérarchie géographique : région → district → commune → rue
+  await client.query(`
+    CREATE TABLE region (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      code VARCHAR(50) NOT NULL UNIQUE,
+      name VARCHAR(255) NOT NULL
+    )
+  `);
+  await client.query(`
+    CREATE TABLE district (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      region_id UUID NOT NULL REFERENCES region(id),
+      code VARCHAR(50) NOT NULL UNIQUE,
+      name VARCHAR(255) NOT NULL
+    )
+  `);
+  await client.query('CREATE INDEX idx_district_region ON district(region_id)');
+  await client.query(`
+    CREATE TABLE commune (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      district_id UUID NOT NULL REFERENCES district(id),
+      code VARCHAR(50) NOT NULL UNIQUE,
+      name VARCHAR(255) NOT NULL
+    )
+  `);
+  await client.query('CREATE INDEX idx_commune_district ON commune(district_id)');
+  await client.query(`
+    CREATE TABLE street (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      commune_id UUID NOT NULL REFERENCES commune(id),
+      name VARCHAR(255) NOT NULL,
+      postal_code VARCHAR(20)
+    )
+  `);
+  await client.query('CREATE INDEX idx_street_commune ON street(commune_id)');
+
+  // Institutions
+  await client.query(`
+    CREATE TABLE institution (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      category_id UUID NOT NULL REFERENCES institution_category(id),
+      subtype_id UUID NOT NULL REFERENCES institution_subtype(id),
+      name VARCHAR(255) NOT NULL UNIQUE,
+      label VARCHAR(255),
+      description TEXT,
+      lat DOUBLE PRECISION CHECK (lat BETWEEN -90 AND 90),
+      lng DOUBLE PRECISION CHECK (lng BETWEEN -180 AND 180),
+      region_id UUID REFERENCES region(id),
+      district_id UUID REFERENCES district(id),
+      commune_id UUID REFERENCES commune(id),
+      street_id UUID REFERENCES street(id),
+      established INTEGER,
+      capacity INTEGER CHECK (capacity >= 0),
+      last_renovation INTEGER,
+      accreditation VARCHAR(255),
+      phone_principal VARCHAR(50),
+      email_principal VARCHAR(255),
+      website VARCHAR(255),
+      status VARCHAR(50),
+      building_condition VARCHAR(50),
+      last_update TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  for (const column of ['category_id', 'subtype_id', 'region_id', 'district_id', 'commune_id', 'street_id', 'status']) {
+    await client.query(`CREATE INDEX idx_institution_${column} ON institution(${column})`);
+  }
+
+  // Sous-ressources des institutions
+  await client.query(`
+    CREATE TABLE contact (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      institution_id UUID NOT NULL REFERENCES institution(id),
+      contact_type_id UUID NOT NULL REFERENCES contact_type(id),
+      value VARCHAR(255) NOT NULL
+    )
+  `);
+  await client.query(`
+    CREATE TABLE institution_staff (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      institution_id UUID NOT NULL REFERENCES institution(id),
+      staff_type_id UUID NOT NULL REFERENCES staff_type(id),
+      quantity INTEGER NOT NULL CHECK (quantity >= 0)
+    )
+  `);
+  await client.query(`
+    CREATE TABLE institution_utility (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      institution_id UUID NOT NULL REFERENCES institution(id),
+      utility_type_id UUID NOT NULL REFERENCES utility_type(id),
+      availability BOOLEAN NOT NULL DEFAULT TRUE
+    )
+  `);
+  await client.query(`
+    CREATE TABLE service (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      institution_id UUID NOT NULL REFERENCES institution(id),
+      service_code VARCHAR(50) NOT NULL,
+      name VARCHAR(255) NOT NULL,
+      description TEXT
+    )
+  `);
+  await client.query(`
+    CREATE TABLE photo (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      institution_id UUID NOT NULL REFERENCES institution(id),
+      url TEXT NOT NULL,
+      caption VARCHAR(255),
+      credit VARCHAR(255)
+    )
+  `);
+  await client.query(`
+    CREATE TABLE opening_hour (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      institution_id UUID NOT NULL REFERENCES institution(id),
+      day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 1 AND 7),
+      open_time TIME,
+      close_time TIME
+    )
+  `);
+  await client.query(`
+    CREATE TABLE education_fee (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      institution_id UUID NOT NULL REFERENCES institution(id),
+      level VARCHAR(100) NOT NULL,
+      amount NUMERIC(14, 2) NOT NULL CHECK (amount >= 0),
+      currency VARCHAR(3) NOT NULL DEFAULT 'MGA',
+      description TEXT
+    )
+  `);
+  await client.query(`
+    CREATE TABLE institution_ratio (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      institution_id UUID NOT NULL REFERENCES institution(id),
+      ratio_type VARCHAR(100) NOT NULL,
+      value NUMERIC(12, 4) NOT NULL,
+      year INTEGER
+    )
+  `);
+
+  for (const table of ['contact', 'institution_staff', 'institution_utility', 'service', 'photo', 'opening_hour', 'education_fee', 'institution_ratio']) {
+    await client.query(`CREATE INDEX idx_${table}_institution ON ${table}(institution_id)`);
+  }
+}
+
+export async function down(client) {
+  const tables = [
+    'institution_ratio', 'education_fee', 'opening_hour', 'photo', 'service',
+    'institution_utility', 'institution_staff', 'contact', 'institution',
+    'street', 'commune', 'district', 'region',
+    'utility_type', 'staff_type', 'contact_type',
+    'institution_subtype', 'institution_category'
+  ];
+  for (const table of tables) {
+    await client.query(`DROP TABLE IF EXISTS ${table}`);
+  }
+}
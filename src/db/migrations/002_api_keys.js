@@ -0,0 +1,23 @@
+// Clés d'API (stockées hachées) et traçabilité de l'auteur des écritures
+
+export const description = 'API keys and institution authorship columns';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE api_key (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      name VARCHAR(255) NOT NULL,
+      key_hash CHAR(64) NOT NULL UNIQUE,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('reader', 'editor', 'admin')),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      last_used_at TIMESTAMPTZ,
+      revoked_at TIMESTAMPTZ
+    )
+  `);
+  await client.query('ALTER TABLE institution ADD COLUMN created_by VARCHAR(255), ADD COLUMN updated_by VARCHAR(255)');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE institution DROP COLUMN IF EXISTS created_by, DROP COLUMN IF EXISTS updated_by');
+  await client.query('DROP TABLE IF EXISTS api_key');
+}
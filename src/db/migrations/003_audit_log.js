@@ -0,0 +1,44 @@
+// Journal des modifications (append-only) des institutions et de leurs sous-ressources
+
+export const description = 'Audit log';
+
+export async function up(client) {
+  await client.query(`
+    CREATE TABLE audit_log (
+      id BIGSERIAL PRIMARY KEY,
+      change_set UUID NOT NULL,
+      institution_id UUID NOT NULL,
+      entity_type VARCHAR(50) NOT NULL,
+      entity_id UUID NOT NULL,
+      action VARCHAR(20) NOT NULL CHECK (action IN ('create', 'update', 'delete', 'revert')),
+      before JSONB,
+      after JSONB,
+      diff JSONB NOT NULL DEFAULT '{}',
+      actor_id VARCHAR(255),
+      actor_name VARCHAR(255),
+      reverted_revision_id BIGINT REFERENCES audit_log(id),
+      created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await client.query('CREATE INDEX idx_audit_log_institution ON audit_log(institution_id, id DESC)');
+  await client.query('CREATE INDEX idx_audit_log_change_set ON audit_log(change_set)');
+
+  // Append-only : modifications et suppressions interdites
+  await client.query(`
+    CREATE FUNCTION audit_log_immutable() RETURNS trigger AS $$
+    BEGIN
+      RAISE EXCEPTION 'audit_log is append-only';
+    END;
+    $$ LANGUAGE plpgsql
+  `);
+  await client.query(`
+    CREATE TRIGGER audit_log_no_update_delete
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION audit_log_immutable()
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS audit_log');
+  await client.query('DROP FUNCTION IF EXISTS audit_log_immutable()');
+}
@@ -0,0 +1,30 @@
+// Suppression logique des institutions (deleted_at / deleted_by)
+
+export const description = 'Institution soft delete';
+
+export async function up(client) {
+  await client.query('ALTER TABLE institution ADD COLUMN deleted_at TIMESTAMPTZ, ADD COLUMN deleted_by VARCHAR(255)');
+
+  // L'unicité du nom ne porte plus que sur les institutions actives
+  await client.query('ALTER TABLE institution DROP CONSTRAINT institution_name_key');
+  await client.query('CREATE UNIQUE INDEX institution_name_active_key ON institution(name) WHERE deleted_at IS NULL');
+
+  await client.query('ALTER TABLE audit_log DROP CONSTRAINT audit_log_action_check');
+  await client.query(`
+    ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge', 'revert'))
+  `);
+}
+
+export async function down(client) {
+  // Les institutions supprimées logiquement le deviennent physiquement ;
+  // la contrainte élargie sur audit_log est conservée (journal append-only).
+  const deleted = 'SELECT id FROM institution WHERE deleted_at IS NOT NULL';
+  for (const table of ['contact', 'institution_staff', 'institution_utility', 'service', 'photo', 'opening_hour', 'education_fee', 'institution_ratio']) {
+    await client.query(`DELETE FROM ${table} WHERE institution_id IN (${deleted})`);
+  }
+  await client.query('DELETE FROM institution WHERE deleted_at IS NOT NULL');
+  await client.query('DROP INDEX IF EXISTS institution_name_active_key');
+  await client.query('ALTER TABLE institution ADD CONSTRAINT institution_name_key UNIQUE (name)');
+  await client.query('ALTER TABLE institution DROP COLUMN deleted_at, DROP COLUMN deleted_by');
+}
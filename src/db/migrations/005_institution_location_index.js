@@ -0,0 +1,14 @@
+// Index de localisation pour les requêtes par emprise (carte, tuiles, proximité)
+
+export const description = 'Institution location index';
+
+export async function up(client) {
+  await client.query(`
+    CREATE INDEX idx_institution_location ON institution(lat, lng)
+    WHERE deleted_at IS NULL AND lat IS NOT NULL AND lng IS NOT NULL
+  `);
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_institution_location');
+}
@@ -0,0 +1,35 @@
+// Recherche insensible aux accents et tolérante aux fautes (unaccent + pg_trgm)
+
+export const description = 'Accent-insensitive trigram search';
+
+const indexes = [
+  ['idx_institution_name_trgm', 'institution', 'name'],
+  ['idx_institution_label_trgm', 'institution', 'label'],
+  ['idx_institution_description_trgm', 'institution', 'description'],
+  ['idx_commune_name_trgm', 'commune', 'name'],
+  ['idx_district_name_trgm', 'district', 'name'],
+  ['idx_service_name_trgm', 'service', 'name']
+];
+
+export async function up(client) {
+  await client.query('CREATE EXTENSION IF NOT EXISTS unaccent');
+  await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+
+  // unaccent() n'est pas IMMUTABLE : enveloppe indexable avec dictionnaire explicite
+  await client.query(`
+    CREATE FUNCTION f_unaccent(text) RETURNS text AS $$
+      SELECT public.unaccent('public.unaccent'::regdictionary, $1)
+    $$ LANGUAGE sql IMMUTABLE PARALLEL SAFE STRICT
+  `);
+
+  for (const [name, table, column] of indexes) {
+    await client.query(`CREATE INDEX ${name} ON ${table} USING gin (lower(f_unaccent(${column})) gin_trgm_ops)`);
+  }
+}
+
+export async function down(client) {
+  for (const [name] of indexes) {
+    await client.query(`DROP INDEX IF EXISTS ${name}`);
+  }
+  await client.query('DROP FUNCTION IF EXISTS f_unaccent(text)');
+}
@@ -0,0 +1,15 @@
+// L'ouverture doit précéder la fermeture. NOT VALID : les lignes existantes ne sont pas
+// revérifiées, seules les nouvelles écritures le sont (les mises à jour partielles comprises).
+
+export const description = 'Opening hour time order check';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE opening_hour ADD CONSTRAINT opening_hour_time_order
+    CHECK (open_time IS NULL OR close_time IS NULL OR open_time < close_time) NOT VALID
+  `);
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE opening_hour DROP CONSTRAINT IF EXISTS opening_hour_time_order');
+}
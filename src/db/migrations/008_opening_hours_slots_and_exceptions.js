@@ -0,0 +1,38 @@
+// Horaires : plusieurs plages par jour (sans chevauchement) et périodes d'exception datées
+// (fermeture, horaires spéciaux de vacances ou de jour férié).
+
+export const description = 'Opening hour slots and dated exceptions';
+
+export async function up(client) {
+  await client.query('CREATE EXTENSION IF NOT EXISTS btree_gist');
+
+  // Deux plages d'un même jour ne peuvent pas se chevaucher ([ouverture, fermeture) : 8h-12h et 12h-14h cohabitent)
+  await client.query(`
+    ALTER TABLE opening_hour ADD CONSTRAINT opening_hour_no_overlap EXCLUDE USING gist (
+      institution_id WITH =,
+      day_of_week WITH =,
+      tsrange(DATE '2000-01-01' + open_time, DATE '2000-01-01' + close_time) WITH &&
+    ) WHERE (open_time IS NOT NULL AND close_time IS NOT NULL)
+  `);
+
+  // hours : [{ open_time, close_time }] quand closed = false
+  await client.query(`
+    CREATE TABLE opening_exception (
+      id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+      institution_id UUID NOT NULL REFERENCES institution(id),
+      start_date DATE NOT NULL,
+      end_date DATE NOT NULL,
+      closed BOOLEAN NOT NULL DEFAULT TRUE,
+      hours JSONB NOT NULL DEFAULT '[]',
+      label VARCHAR(255),
+      CONSTRAINT opening_exception_period CHECK (end_date >= start_date),
+      CONSTRAINT opening_exception_hours CHECK (closed OR jsonb_array_length(hours) > 0)
+    )
+  `);
+  await client.query('CREATE INDEX idx_opening_exception_institution ON opening_exception(institution_id, start_date, end_date)');
+}
+
+export async function down(client) {
+  await client.query('DROP TABLE IF EXISTS opening_exception');
+  await client.query('ALTER TABLE opening_hour DROP CONSTRAINT IF EXISTS opening_hour_no_overlap');
+}
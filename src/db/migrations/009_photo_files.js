@@ -0,0 +1,34 @@
+// Photos envoyées en fichier : clé de stockage et métadonnées de l'image.
+// Les photos existantes (url externe seule) gardent ces colonnes à NULL.
+
+export const description = 'Photo file storage metadata';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE photo
+      ADD COLUMN storage_key TEXT,
+      ADD COLUMN original_filename VARCHAR(255),
+      ADD COLUMN mime_type VARCHAR(50),
+      ADD COLUMN size_bytes INTEGER,
+      ADD COLUMN width INTEGER,
+      ADD COLUMN height INTEGER,
+      ADD COLUMN checksum CHAR(64),
+      ADD COLUMN thumbnails JSONB,
+      ADD COLUMN uploaded_at TIMESTAMPTZ
+  `);
+}
+
+export async function down(client) {
+  await client.query(`
+    ALTER TABLE photo
+      DROP COLUMN storage_key,
+      DROP COLUMN original_filename,
+      DROP COLUMN mime_type,
+      DROP COLUMN size_bytes,
+      DROP COLUMN width,
+      DROP COLUMN height,
+      DROP COLUMN checksum,
+      DROP COLUMN thumbnails,
+      DROP COLUMN uploaded_at
+  `);
+}
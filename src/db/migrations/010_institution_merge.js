@@ -0,0 +1,22 @@
+// Fusion de doublons : l'institution absorbée est supprimée logiquement
+// et pointe vers l'institution conservée (merged_into).
+
+export const description = 'Institution merge';
+
+export async function up(client) {
+  await client.query(`
+    ALTER TABLE institution ADD COLUMN merged_into UUID REFERENCES institution(id) ON DELETE SET NULL
+  `);
+  await client.query('CREATE INDEX idx_institution_merged_into ON institution(merged_into) WHERE merged_into IS NOT NULL');
+
+  await client.query('ALTER TABLE audit_log DROP CONSTRAINT audit_log_action_check');
+  await client.query(`
+    ALTER TABLE audit_log ADD CONSTRAINT audit_log_action_check
+    CHECK (action IN ('create', 'update', 'delete', 'restore', 'purge', 'revert', 'merge'))
+  `);
+}
+
+export async function down(client) {
+  // La contrainte élargie sur audit_log est conservée (journal append-only)
+  await client.query('ALTER TABLE institution DROP COLUMN merged_into');
+}
@@ -0,0 +1,31 @@
+// Contours administratifs (GeoJSON Polygon / MultiPolygon, WGS84) des régions, districts
+// et communes. L'emprise (type box natif, index GiST) préfiltre la recherche du contour
+// contenant un point ; le test exact est fait par src/services/boundaries.js.
+
+export const description = 'Administrative boundaries and location mismatch flag';
+
+const levels = ['region', 'district', 'commune'];
+
+export async function up(client) {
+  for (const table of levels) {
+    await client.query(`
+      ALTER TABLE ${table}
+        ADD COLUMN boundary JSONB,
+        ADD COLUMN bbox BOX,
+        ADD COLUMN boundary_updated_at TIMESTAMP
+    `);
+    await client.query(`CREATE INDEX idx_${table}_bbox ON ${table} USING gist (bbox) WHERE bbox IS NOT NULL`);
+  }
+
+  // true : les coordonnées sont hors du contour de la commune déclarée ;
+  // null : pas de coordonnées, pas de commune ou commune sans contour
+  await client.query('ALTER TABLE institution ADD COLUMN location_mismatch BOOLEAN');
+  await client.query('CREATE INDEX idx_institution_location_mismatch ON institution(commune_id) WHERE location_mismatch');
+}
+
+export async function down(client) {
+  await client.query('ALTER TABLE institution DROP COLUMN location_mismatch');
+  for (const table of levels) {
+    await client.query(`ALTER TABLE ${table} DROP COLUMN boundary, DROP COLUMN bbox, DROP COLUMN boundary_updated_at`);
+  }
+}
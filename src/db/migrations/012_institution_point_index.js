@@ -0,0 +1,26 @@
+// Index spatial des positions : GiST sur point(lng, lat) (emprise @> et plus proches voisins <->),
+// plus un index geography si PostGIS est installé. Installé après coup, PostGIS est utilisé
+// sans index tant que cette migration n'est pas rejouée.
+
+export const description = 'Institution spatial index';
+
+export async function up(client) {
+  await client.query(`
+    CREATE INDEX idx_institution_point ON institution USING gist (point(lng, lat))
+    WHERE lat IS NOT NULL AND lng IS NOT NULL
+  `);
+
+  const postgis = await client.query("SELECT 1 FROM pg_extension WHERE extname = 'postgis'");
+  if (postgis.rows.length) {
+    await client.query(`
+      CREATE INDEX idx_institution_geography ON institution
+      USING gist ((ST_SetSRID(ST_MakePoint(lng, lat), 4326)::geography))
+      WHERE lat IS NOT NULL AND lng IS NOT NULL
+    `);
+  }
+}
+
+export async function down(client) {
+  await client.query('DROP INDEX IF EXISTS idx_institution_geography');
+  await client.query('DROP INDEX IF EXISTS idx_institution_point');
+}
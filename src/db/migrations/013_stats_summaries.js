@@ -0,0 +1,96 @@
+// Statistiques précalculées : vues matérialisées agrégées par combinaison de dimensions
+// (identifiants de catégorie, sous-type, région, district, commune, statut, état du bâtiment,
+// suppression), ré-agrégées par GET /stats. Les écritures sur les tables sources sont
+// consignées dans stats_change (triggers par instruction, sans verrou partagé) ; le
+// rafraîchissement (src/services/statsSummary.js) vide ce journal.
+
+export const description = 'Precomputed statistics summaries';
+
+const dimensions = 'i.category_id, i.subtype_id, i.region_id, i.district_id, i.commune_id, i.status, i.building_condition';
+const dimensionColumns = 'category_id, subtype_id, region_id, district_id, commune_id, status, building_condition, deleted';
+const sourceTables = ['institution', 'institution_staff', 'institution_utility', 'education_fee'];
+
+export async function up(client) {
+  await client.query(`
+    CREATE MATERIALIZED VIEW stats_institution_mv AS
+    SELECT ${dimensions}, (i.deleted_at IS NOT NULL) AS deleted,
+      COUNT(*) AS count,
+      COUNT(i.capacity) AS capacity_reported,
+      SUM(i.capacity) AS capacity_total,
+      COUNT(st.quantity) AS staff_reported,
+      SUM(st.quantity) AS staff_total,
+      SUM(st.quantity) FILTER (WHERE i.capacity > 0) AS staff_with_capacity,
+      SUM(i.capacity) FILTER (WHERE st.quantity IS NOT NULL) AS capacity_with_staff
+    FROM institution i
+    LEFT JOIN (
+      SELECT institution_id, SUM(quantity) AS quantity FROM institution_staff GROUP BY institution_id
+    ) st ON st.institution_id = i.id
+    GROUP BY ${dimensions}, deleted
+  `);
+  await client.query(`
+    CREATE MATERIALIZED VIEW stats_utility_mv AS
+    SELECT ${dimensions}, (i.deleted_at IS NOT NULL) AS deleted, iu.utility_type_id,
+      COUNT(*) AS reported,
+      COUNT(*) FILTER (WHERE iu.availability) AS available
+    FROM institution i
+    JOIN institution_utility iu ON iu.institution_id = i.id
+    GROUP BY ${dimensions}, deleted, iu.utility_type_id
+  `);
+  await client.query(`
+    CREATE MATERIALIZED VIEW stats_fee_mv AS
+    SELECT ${dimensions}, (i.deleted_at IS NOT NULL) AS deleted, f.level, f.currency,
+      COUNT(*) AS count,
+      SUM(f.amount) AS amount_total,
+      MIN(f.amount) AS amount_min,
+      MAX(f.amount) AS amount_max
+    FROM institution i
+    JOIN education_fee f ON f.institution_id = i.id
+    GROUP BY ${dimensions}, deleted, f.level, f.currency
+  `);
+
+  // Index uniques requis par REFRESH MATERIALIZED VIEW CONCURRENTLY
+  await client.query(`CREATE UNIQUE INDEX idx_stats_institution_mv ON stats_institution_mv (${dimensionColumns})`);
+  await client.query(`CREATE UNIQUE INDEX idx_stats_utility_mv ON stats_utility_mv (${dimensionColumns}, utility_type_id)`);
+  await client.query(`CREATE UNIQUE INDEX idx_stats_fee_mv ON stats_fee_mv (${dimensionColumns}, level, currency)`);
+
+  await client.query(`
+    CREATE TABLE stats_change (
+      id BIGSERIAL PRIMARY KEY,
+      table_name TEXT NOT NULL,
+      changed_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  await client.query(`
+    CREATE FUNCTION stats_mark_stale() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      INSERT INTO stats_change (table_name) VALUES (TG_TABLE_NAME);
+      RETURN NULL;
+    END
+    $$
+  `);
+  for (const table of sourceTables) {
+    await client.query(`
+      CREATE TRIGGER stats_stale AFTER INSERT OR UPDATE OR DELETE OR TRUNCATE ON ${table}
+      FOR EACH STATEMENT EXECUTE FUNCTION stats_mark_stale()
+    `);
+  }
+
+  // Date du dernier rafraîchissement (ligne unique)
+  await client.query(`
+    CREATE TABLE stats_refresh (
+      id SMALLINT PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+      computed_at TIMESTAMPTZ NOT NULL,
+      duration_ms INTEGER
+    )
+  `);
+  await client.query('INSERT INTO stats_refresh (computed_at) VALUES (NOW())');
+}
+
+export async function down(client) {
+  for (const table of sourceTables) {
+    await client.query(`DROP TRIGGER IF EXISTS stats_stale ON ${table}`);
+  }
+  await client.query('DROP FUNCTION IF EXISTS stats_mark_stale()');
+  await client.query('DROP TABLE IF EXISTS stats_change, stats_refresh');
+  await client.query('DROP MATERIALIZED VIEW IF EXISTS stats_fee_mv, stats_utility_mv, stats_institution_mv');
+}
@@ -0,0 +1,39 @@
+// Version des lignes (contrôle de concurrence optimiste) : incrémentée par trigger à toute
+// modification effective, quel que soit l'auteur (routes, import, fusion, annulation).
+// Exposée comme ETag ("3") et vérifiée par If-Match.
+
+export const description = 'Row versions for optimistic concurrency';
+
+const tables = [
+  'institution', 'contact', 'institution_staff', 'institution_utility', 'service',
+  'photo', 'opening_hour', 'education_fee', 'institution_ratio', 'opening_exception'
+];
+
+export async function up(client) {
+  await client.query(`
+    CREATE FUNCTION bump_row_version() RETURNS trigger LANGUAGE plpgsql AS $$
+    BEGIN
+      NEW.version := OLD.version;
+      IF NEW IS DISTINCT FROM OLD THEN
+        NEW.version := OLD.version + 1;
+      END IF;
+      RETURN NEW;
+    END
+    $$
+  `);
+  for (const table of tables) {
+    await client.query(`ALTER TABLE ${table} ADD COLUMN version INTEGER NOT NULL DEFAULT 1`);
+    await client.query(`
+      CREATE TRIGGER row_version BEFORE UPDATE ON ${table}
+      FOR EACH ROW EXECUTE FUNCTION bump_row_version()
+    `);
+  }
+}
+
+export async function down(client) {
+  for (const table of tables) {
+    await client.query(`DROP TRIGGER IF EXISTS row_version ON ${table}`);
+    await client.query(`ALTER TABLE ${table} DROP COLUMN IF EXISTS version`);
+  }
+  await client.query('DROP FUNCTION IF EXISTS bump_row_version()');
+}
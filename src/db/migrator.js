@@ -0,0 +1,133 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import pool from '../config/db.js';
+
+const MIGRATIONS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'migrations');
+const MIGRATIONS_TABLE = 'schema_migrations';
+// Verrou consultatif pour éviter deux migrations concurrentes
+const LOCK_KEY = 7241903;
+
+// Charge les fichiers NNN_nom.js triés par version
+export async function loadMigrations() {
+  const files = (await fs.readdir(MIGRATIONS_DIR))
+    .filter(f => /^\d+_[\w-]+\.js$/.test(f))
+    .sort();
+
+  const migrations = [];
+  for (const file of files) {
+    const mod = await import(pathToFileURL(path.join(MIGRATIONS_DIR, file)).href);
+    if (typeof mod.up !== 'function' || typeof mod.down !== 'function') {
+      throw new Error(`Migration ${file} must export up() and down()`);
+    }
+    migrations.push({
+      version: file.split('_')[0],
+      name: file.replace(/\.js$/, ''),
+      description: mod.description || '',
+      up: mod.up,
+      down: mod.down
+    });
+  }
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS ${MIGRATIONS_TABLE} (
+      version VARCHAR(20) PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+}
+
+async function appliedVersions(client) {
+  const result = await client.query(`SELECT version FROM ${MIGRATIONS_TABLE} ORDER BY version`);
+  return result.rows.map(r => r.version);
+}
+
+// Exécute fn avec une connexion dédiée et le verrou de migration
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+// Chaque migration s'exécute dans sa propre transaction
+async function runInTransaction(client, fn) {
+  await client.query('BEGIN');
+  try {
+    await fn();
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  }
+}
+
+// Applique les migrations en attente (jusqu'à `to` inclus si précisé)
+export async function migrateUp({ to } = {}) {
+  const migrations = await loadMigrations();
+  return withMigrationLock(async (client) => {
+    const applied = new Set(await appliedVersions(client));
+    const pending = migrations.filter(m => !applied.has(m.version) && (!to || m.version <= to));
+    const done = [];
+
+    for (const migration of pending) {
+      await runInTransaction(client, async () => {
+        await migration.up(client);
+        await client.query(
+          `INSERT INTO ${MIGRATIONS_TABLE} (version, name) VALUES ($1, $2)`,
+          [migration.version, migration.name]
+        );
+      });
+      done.push(migration.name);
+    }
+    return done;
+  });
+}
+
+// Annule les `steps` dernières migrations appliquées
+export async function migrateDown({ steps = 1 } = {}) {
+  const migrations = await loadMigrations();
+  const byVersion = new Map(migrations.map(m => [m.version, m]));
+
+  return withMigrationLock(async (client) => {
+    const applied = await appliedVersions(client);
+    const toRevert = applied.reverse().slice(0, steps);
+    const done = [];
+
+    for (const version of toRevert) {
+      const migration = byVersion.get(version);
+      if (!migration) throw new Error(`Migration file for applied version ${version} not found`);
+
+      await runInTransaction(client, async () => {
+        await migration.down(client);
+        await client.query(`DELETE FROM ${MIGRATIONS_TABLE} WHERE version = $1`, [version]);
+      });
+      done.push(migration.name);
+    }
+    return done;
+  });
+}
+
+// État de chaque migration connue
+export async function migrationStatus() {
+  const migrations = await loadMigrations();
+  return withMigrationLock(async (client) => {
+    const result = await client.query(`SELECT version, applied_at FROM ${MIGRATIONS_TABLE}`);
+    const applied = new Map(result.rows.map(r => [r.version, r.applied_at]));
+    return migrations.map(m => ({
+      version: m.version,
+      name: m.name,
+      description: m.description,
+      applied_at: applied.get(m.version) || null
+    }));
+  });
+}
@@ -0,0 +1,126 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Données de référence. Les codes servent de clé naturelle :
+// relancer le seed met à jour les libellés sans dupliquer les lignes.
+
+export const categories = [
+  { code: 'education', label: 'Éducation' },
+  { code: 'sante', label: 'Santé' },
+  { code: 'administration', label: 'Administration' }
+];
+
+export const subtypes = [
+  { category: 'education', code: 'EPP', label: 'École Primaire Publique' },
+  { category: 'education', code: 'EPRIV', label: 'École Primaire Privée' },
+  { category: 'education', code: 'CEG', label: "Collège d'Enseignement Général" },
+  { category: 'education', code: 'LYCEE', label: 'Lycée' },
+  { category: 'education', code: 'LTP', label: 'Lycée Technique et Professionnel' },
+  { category: 'education', code: 'UNIV', label: 'Université' },
+  { category: 'sante', code: 'CSB1', label: 'Centre de Santé de Base niveau 1' },
+  { category: 'sante', code: 'CSB2', label: 'Centre de Santé de Base niveau 2' },
+  { category: 'sante', code: 'CHRD', label: 'Centre Hospitalier de Référence de District' },
+  { category: 'sante', code: 'CHRR', label: 'Centre Hospitalier de Référence Régional' },
+  { category: 'sante', code: 'CHU', label: 'Centre Hospitalier Universitaire' },
+  { category: 'administration', code: 'MAIRIE', label: 'Mairie' },
+  { category: 'administration', code: 'FKT', label: 'Bureau de Fokontany' }
+];
+
+export const contactTypes = [
+  { code: 'phone', label: 'Téléphone' },
+  { code: 'mobile', label: 'Mobile' },
+  { code: 'email', label: 'Email' },
+  { code: 'fax', label: 'Fax' },
+  { code: 'website', label: 'Site web' },
+  { code: 'facebook', label: 'Facebook' }
+];
+
+export const staffTypes = [
+  { code: 'teacher', label: 'Enseignant' },
+  { code: 'director', label: 'Directeur' },
+  { code: 'doctor', label: 'Médecin' },
+  { code: 'nurse', label: 'Infirmier' },
+  { code: 'midwife', label: 'Sage-femme' },
+  { code: 'admin', label: 'Personnel administratif' },
+  { code: 'support', label: "Personnel d'appui" }
+];
+
+export const utilityTypes = [
+  { code: 'electricity', label: 'Électricité' },
+  { code: 'water', label: 'Eau courante' },
+  { code: 'internet', label: 'Internet' },
+  { code: 'latrines', label: 'Latrines' },
+  { code: 'solar', label: 'Panneaux solaires' },
+  { code: 'canteen', label: 'Cantine' }
+];
+
+export const regions = [
+  { code: 'diana', name: 'Diana' },
+  { code: 'sava', name: 'Sava' },
+  { code: 'itasy', name: 'Itasy' },
+  { code: 'analamanga', name: 'Analamanga' },
+  { code: 'vakinankaratra', name: 'Vakinankaratra' },
+  { code: 'bongolava', name: 'Bongolava' },
+  { code: 'sofia', name: 'Sofia' },
+  { code: 'boeny', name: 'Boeny' },
+  { code: 'betsiboka', name: 'Betsiboka' },
+  { code: 'melaky', name: 'Melaky' },
+  { code: 'alaotra-mangoro', name: 'Alaotra-Mangoro' },
+  { code: 'atsinanana', name: 'Atsinanana' },
+  { code: 'analanjirofo', name: 'Analanjirofo' },
+  { code: 'amoron-i-mania', name: "Amoron'i Mania" },
+  { code: 'haute-matsiatra', name: 'Haute Matsiatra' },
+  { code: 'vatovavy', name: 'Vatovavy' },
+  { code: 'fitovinany', name: 'Fitovinany' },
+  { code: 'atsimo-atsinanana', name: 'Atsimo-Atsinanana' },
+  { code: 'ihorombe', name: 'Ihorombe' },
+  { code: 'menabe', name: 'Menabe' },
+  { code: 'atsimo-andrefana', name: 'Atsimo-Andrefana' },
+  { code: 'androy', name: 'Androy' },
+  { code: 'anosy', name: 'Anosy' }
+];
+
+async function upsertCodeLabel(client, table, rows) {
+  for (const { code, label } of rows) {
+    await client.query(
+      `INSERT INTO ${table} (id, code, label) VALUES ($1, $2, $3)
+       ON CONFLICT (code) DO UPDATE SET label = EXCLUDED.label`,
+      [uuidv4(), code, label]
+    );
+  }
+}
+
+// Insère ou met à jour toutes les données de référence
+export async function seedReferenceData(client) {
+  await upsertCodeLabel(client, 'institution_category', categories);
+
+  for (const { category, code, label } of subtypes) {
+    const result = await client.query(
+      `INSERT INTO institution_subtype (id, category_id, code, label)
+       SELECT $1, id, $3, $4 FROM institution_category WHERE code = $2
+       ON CONFLICT (code) DO UPDATE SET category_id = EXCLUDED.category_id, label = EXCLUDED.label`,
+      [uuidv4(), category, code, label]
+    );
+    if (!result.rowCount) throw new Error(`Unknown category ${category} for subtype ${code}`);
+  }
+
+  await upsertCodeLabel(client, 'contact_type', contactTypes);
+  await upsertCodeLabel(client, 'staff_type', staffTypes);
+  await upsertCodeLabel(client, 'utility_type', utilityTypes);
+
+  for (const { code, name } of regions) {
+    await client.query(
+      `INSERT INTO region (id, code, name) VALUES ($1, $2, $3)
+       ON CONFLICT (code) DO UPDATE SET name = EXCLUDED.name`,
+      [uuidv4(), code, name]
+    );
+  }
+
+  return {
+    categories: categories.length,
+    subtypes: subtypes.length,
+    contact_types: contactTypes.length,
+    staff_types: staffTypes.length,
+    utility_types: utilityTypes.length,
+    regions: regions.length
+  };
+}
@@ -0,0 +1,38 @@
+// Usage : node src/docs/cli.js <check|print>
+//   check   échoue si une route enregistrée manque à la spécification (ou l'inverse)
+//   print   écrit la spécification OpenAPI (JSON) sur la sortie standard
+import pool from '../config/db.js';
+import { buildOpenApiSpec, checkSpec } from './openapi.js';
+
+const commands = {
+  check() {
+    const { missing, unknown } = checkSpec();
+    missing.forEach(key => console.error(`Route missing from OpenAPI spec: ${key}`));
+    unknown.forEach(key => console.error(`Documented route is not registered: ${key}`));
+    if (missing.length || unknown.length) {
+      process.exitCode = 1;
+      return;
+    }
+    console.log(`OpenAPI spec covers all ${Object.keys(buildOpenApiSpec().paths).length} paths`);
+  },
+  print() {
+    process.stdout.write(JSON.stringify(buildOpenApiSpec(), null, 2) + '\n');
+  }
+};
+
+const [command] = process.argv.slice(2);
+
+if (!commands[command]) {
+  console.error(`Unknown command "${command || ''}". Expected one of: ${Object.keys(commands).join(', ')}`);
+  process.exit(1);
+}
+
+try {
+  commands[command]();
+} catch (err) {
+  console.error(err.message);
+  process.exitCode = 1;
+} finally {
+  // Le routeur importe le pool de connexions
+  await pool.end();
+}
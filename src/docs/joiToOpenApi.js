@@ -0,0 +1,105 @@
+// Conversion des schémas Joi (src/validation) en schémas OpenAPI 3.0,
+// limitée aux règles utilisées par l'API : la documentation suit la validation réelle.
+
+function rule(description, name) {
+  return (description.rules || []).find(r => r.name === name);
+}
+
+function regexSource(regex) {
+  const match = /^\/(.*)\/[a-z]*$/s.exec(regex);
+  return match ? match[1] : regex;
+}
+
+function convert(description) {
+  const flags = description.flags || {};
+  const allow = description.allow || [];
+  const schema = {};
+
+  switch (description.type) {
+    case 'object': {
+      schema.type = 'object';
+      const properties = {};
+      const required = [];
+      for (const [key, child] of Object.entries(description.keys || {})) {
+        properties[key] = convert(child);
+        if (child.flags && child.flags.presence === 'required') required.push(key);
+      }
+      schema.properties = properties;
+      if (required.length) schema.required = required;
+      schema.additionalProperties = false;
+      const min = rule(description, 'min');
+      if (min) schema.minProperties = min.args.limit;
+      break;
+    }
+    case 'number': {
+      schema.type = rule(description, 'integer') ? 'integer' : 'number';
+      const min = rule(description, 'min');
+      const max = rule(description, 'max');
+      if (min) schema.minimum = min.args.limit;
+      if (max) schema.maximum = max.args.limit;
+      if (rule(description, 'positive')) {
+        schema.minimum = 0;
+        schema.exclusiveMinimum = true;
+      }
+      break;
+    }
+    case 'boolean':
+      schema.type = 'boolean';
+      break;
+    case 'array': {
+      schema.type = 'array';
+      if (description.items && description.items.length) schema.items = convert(description.items[0]);
+      const min = rule(description, 'min');
+      const max = rule(description, 'max');
+      if (min) schema.minItems = min.args.limit;
+      if (max) schema.maxItems = max.args.limit;
+      break;
+    }
+    case 'string': {
+      schema.type = 'string';
+      const min = rule(description, 'min');
+      const max = rule(description, 'max');
+      const length = rule(description, 'length');
+      const pattern = rule(description, 'pattern');
+      if (min) schema.minLength = min.args.limit;
+      if (max) schema.maxLength = max.args.limit;
+      if (length) schema.minLength = schema.maxLength = length.args.limit;
+      if (pattern) schema.pattern = regexSource(pattern.args.regex);
+      if (rule(description, 'guid')) schema.format = 'uuid';
+      if (rule(description, 'email')) schema.format = 'email';
+      if (rule(description, 'uri')) schema.format = 'uri';
+      break;
+    }
+    default:
+      break;
+  }
+
+  if (flags.only) {
+    schema.enum = allow.filter(v => v !== null);
+  } else if (allow.includes('') && schema.minLength) {
+    delete schema.minLength;
+  }
+  if (allow.includes(null)) schema.nullable = true;
+  if (flags.default !== undefined && typeof flags.default !== 'function') schema.default = flags.default;
+  if (flags.description) schema.description = flags.description;
+  return schema;
+}
+
+export function joiToSchema(joiSchema) {
+  return convert(joiSchema.describe());
+}
+
+// Paramètres OpenAPI (in: path | query) à partir d'un schéma Joi objet.
+// `only` limite aux clés présentes dans le chemin.
+export function joiToParameters(joiSchema, location, only = null) {
+  const description = joiSchema.describe();
+  return Object.entries(description.keys || {})
+    .filter(([name]) => !only || only.includes(name))
+    .filter(([, child]) => !(child.flags && child.flags.presence === 'forbidden'))
+    .map(([name, child]) => ({
+      name,
+      in: location,
+      required: location === 'path' || (child.flags && child.flags.presence === 'required') || false,
+      schema: convert(child)
+    }));
+}
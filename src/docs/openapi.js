@@ -0,0 +1,841 @@
+import { relations } from '../db/entities.js';
+import { routeParams } from '../validation/common.js';
+import { createInstitutionSchema } from '../validation/institution.js';
+import {
+  categorySchema, subtypeSchema, typeSchema, regionSchema, districtSchema, communeSchema, streetSchema
+} from '../validation/reference.js';
+import { relationSchemas, openingHourSchema, photoUploadSchema } from '../validation/relations.js';
+import { PHOTO_TYPES, PHOTO_MAX_BYTES } from '../services/photos.js';
+import { joiToSchema, joiToParameters } from './joiToOpenApi.js';
+import { apiRoutes, openApiPath, pathParameters } from './routes.js';
+
+// Spécification OpenAPI 3 des routes /api/v1 (institutions et collections transversales).
+// Chaque route enregistrée doit figurer dans `operations` (npm run docs:check) ;
+// paramètres et corps de requête sont déduits des schémas Joi de la route.
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const arrayOf = schema => ({ type: 'array', items: schema });
+const json = schema => ({ content: { 'application/json': { schema } } });
+
+// Enregistrement tel que renvoyé par la base : champs du schéma de création + id
+function record(joiSchema, extra = {}) {
+  const schema = joiToSchema(joiSchema.tailor('create'));
+  delete schema.required;
+  schema.additionalProperties = true;
+  schema.properties = { id: { type: 'string', format: 'uuid' }, ...schema.properties, ...extra };
+  return schema;
+}
+
+const uuidProperty = { type: 'string', format: 'uuid' };
+// Version de la ligne (ETag, If-Match)
+const versionProperty = { type: 'integer', description: 'Incremented on every change; sent back as ETag and checked by If-Match' };
+const timestamp = { type: 'string', format: 'date-time' };
+const nullableTimestamp = { ...timestamp, nullable: true };
+
+// Page d'une liste triée (GET / et collections transversales)
+function pageOf(item) {
+  return {
+    type: 'object',
+    properties: {
+      data: arrayOf(item),
+      count: { type: 'integer', description: 'Rows in this page' },
+      total: { type: 'integer', nullable: true, description: 'Rows matching the filters (null with count=none)' },
+      total_estimated: { type: 'boolean' },
+      limit: { type: 'integer' },
+      offset: { type: 'integer' },
+      sort: { type: 'string' },
+      next_cursor: { type: 'string', nullable: true },
+      prev_cursor: { type: 'string', nullable: true },
+      links: {
+        type: 'object',
+        properties: { next: { type: 'string', nullable: true }, prev: { type: 'string', nullable: true } }
+      }
+    }
+  };
+}
+
+// Élément d'une collection transversale : sous-ressource + résumé de son institution
+function collectionItem(name, properties = {}) {
+  return {
+    allOf: [
+      ref(relationComponent(name)),
+      { type: 'object', properties: { ...properties, institution: ref('InstitutionSummary') } }
+    ]
+  };
+}
+
+const featureCollection = {
+  type: 'object',
+  properties: {
+    type: { type: 'string', enum: ['FeatureCollection'] },
+    features: arrayOf({
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['Feature'] },
+        id: {},
+        geometry: { type: 'object', nullable: true },
+        properties: { type: 'object', additionalProperties: true }
+      }
+    })
+  }
+};
+
+// Colonnes renseignées par l'API en plus des champs modifiables
+const relationExtras = {
+  photos: {
+    storage_key: { type: 'string', nullable: true, description: 'Null for photos hosted elsewhere' },
+    original_filename: { type: 'string', nullable: true },
+    mime_type: { type: 'string', nullable: true },
+    size_bytes: { type: 'integer', nullable: true },
+    width: { type: 'integer', nullable: true },
+    height: { type: 'integer', nullable: true },
+    checksum: { type: 'string', nullable: true, description: 'SHA-256 of the stored file' },
+    thumbnails: {
+      type: 'object', nullable: true,
+      additionalProperties: {
+        type: 'object',
+        properties: {
+          key: { type: 'string' }, width: { type: 'integer' }, height: { type: 'integer' },
+          size_bytes: { type: 'integer' }, checksum: { type: 'string' }
+        }
+      }
+    },
+    uploaded_at: nullableTimestamp
+  }
+};
+
+// Contour servi à part (/geo/boundaries/…)
+const boundaryExtras = {
+  has_boundary: { type: 'boolean' },
+  boundary_updated_at: nullableTimestamp
+};
+
+const components = {
+  securitySchemes: {
+    apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+    bearer: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT' }
+  },
+  schemas: {
+    Error: {
+      type: 'object',
+      required: ['error'],
+      properties: { error: { type: 'string' }, details: { type: 'string' } }
+    },
+    ValidationError: {
+      type: 'object',
+      required: ['error', 'errors'],
+      properties: {
+        error: { type: 'string', enum: ['Validation failed'] },
+        errors: arrayOf({
+          type: 'object',
+          properties: {
+            location: { type: 'string', enum: ['params', 'query', 'body'] },
+            field: { type: 'string', nullable: true },
+            message: { type: 'string' }
+          }
+        })
+      }
+    },
+    VersionConflict: {
+      type: 'object',
+      properties: {
+        error: { type: 'string' },
+        current: { type: 'object', additionalProperties: true, description: 'Current state of the resource (its version is in the ETag header)' }
+      }
+    },
+    Category: record(categorySchema),
+    Subtype: record(subtypeSchema),
+    ReferenceType: record(typeSchema),
+    Region: record(regionSchema, boundaryExtras),
+    District: record(districtSchema, boundaryExtras),
+    Commune: record(communeSchema, boundaryExtras),
+    Street: record(streetSchema),
+    Institution: record(createInstitutionSchema, {
+      version: versionProperty,
+      last_update: timestamp,
+      created_by: { type: 'string', nullable: true },
+      updated_by: { type: 'string', nullable: true },
+      deleted_at: nullableTimestamp,
+      deleted_by: { type: 'string', nullable: true },
+      merged_into: { ...uuidProperty, nullable: true, description: 'Surviving institution when this one was merged' },
+      location_mismatch: {
+        type: 'boolean', nullable: true,
+        description: 'Coordinates outside the boundary of the declared commune (null when not checkable)'
+      },
+      category_code: { type: 'string' },
+      category_label: { type: 'string' },
+      subtype_code: { type: 'string' },
+      subtype_label: { type: 'string' },
+      region_name: { type: 'string', nullable: true },
+      district_name: { type: 'string', nullable: true },
+      commune_name: { type: 'string', nullable: true },
+      street_name: { type: 'string', nullable: true }
+    }),
+    InstitutionList: pageOf(ref('Institution')),
+    InstitutionSummary: {
+      type: 'object',
+      properties: {
+        id: uuidProperty,
+        name: { type: 'string' },
+        status: { type: 'string', nullable: true },
+        category_code: { type: 'string', nullable: true },
+        category_label: { type: 'string', nullable: true },
+        subtype_code: { type: 'string', nullable: true },
+        region_name: { type: 'string', nullable: true },
+        district_name: { type: 'string', nullable: true },
+        commune_name: { type: 'string', nullable: true },
+        deleted_at: nullableTimestamp
+      }
+    },
+    ContactList: pageOf(collectionItem('contacts', {
+      contact_type_code: { type: 'string' }, contact_type_label: { type: 'string' }
+    })),
+    ServiceList: pageOf(collectionItem('services')),
+    PhotoList: pageOf(collectionItem('photos')),
+    InstitutionDetail: {
+      type: 'object',
+      properties: {
+        institution: ref('Institution'),
+        opening_hours: arrayOf(ref('OpeningHour')),
+        ...Object.fromEntries(relations.map(r => [r.name, arrayOf(ref(relationComponent(r.name)))]))
+      }
+    },
+    OpeningHour: record(openingHourSchema, { institution_id: uuidProperty, version: versionProperty, day_name: { type: 'string' } }),
+    ...Object.fromEntries(relations.map(r => [
+      relationComponent(r.name),
+      record(relationSchemas[r.name], { institution_id: uuidProperty, version: versionProperty, ...relationExtras[r.name] })
+    ])),
+    OpenStatus: {
+      type: 'object',
+      properties: {
+        institution_id: uuidProperty,
+        at: timestamp,
+        timezone: { type: 'string' },
+        local_time: { type: 'string', description: 'Evaluated instant in the opening hours time zone' },
+        open: { type: 'boolean' },
+        source: { type: 'string', enum: ['weekly', 'exception'] },
+        exception: {
+          type: 'object', nullable: true,
+          properties: {
+            id: uuidProperty, start_date: { type: 'string', format: 'date' }, end_date: { type: 'string', format: 'date' },
+            closed: { type: 'boolean' }, label: { type: 'string', nullable: true }
+          }
+        },
+        current_slot: {
+          type: 'object', nullable: true,
+          properties: { open_time: { type: 'string' }, close_time: { type: 'string' } }
+        },
+        closes_at: nullableTimestamp,
+        next_opens_at: { ...nullableTimestamp, description: 'Null when closed for more than a year' }
+      }
+    },
+    AuditEntry: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', description: 'Revision id (bigint)' },
+        change_set: uuidProperty,
+        institution_id: uuidProperty,
+        entity_type: { type: 'string' },
+        entity_id: uuidProperty,
+        action: { type: 'string', enum: ['create', 'update', 'delete', 'restore', 'purge', 'revert', 'merge'] },
+        before: { type: 'object', nullable: true },
+        after: { type: 'object', nullable: true },
+        diff: { type: 'object', additionalProperties: { type: 'object', properties: { from: {}, to: {} } } },
+        actor_id: { type: 'string', nullable: true },
+        actor_name: { type: 'string', nullable: true },
+        reverted_revision_id: { type: 'string', nullable: true },
+        created_at: timestamp
+      }
+    },
+    StatsIndicators: {
+      type: 'object',
+      properties: {
+        count: { type: 'integer' },
+        capacity: {
+          type: 'object',
+          properties: { reported: { type: 'integer' }, total: { type: 'number', nullable: true }, average: { type: 'number', nullable: true } }
+        },
+        staff: {
+          type: 'object',
+          properties: {
+            reported: { type: 'integer', description: 'Institutions with staff figures' },
+            total: { type: 'number', nullable: true },
+            per_capacity: { type: 'number', nullable: true, description: 'Staff per place, over institutions reporting both' },
+            capacity_per_staff: { type: 'number', nullable: true }
+          }
+        },
+        utilities: {
+          type: 'object',
+          description: 'By utility type code',
+          additionalProperties: {
+            type: 'object',
+            properties: { reported: { type: 'integer' }, available: { type: 'integer' }, rate: { type: 'number', nullable: true } }
+          }
+        },
+        fees: arrayOf({
+          type: 'object',
+          properties: {
+            level: { type: 'string' }, currency: { type: 'string' }, count: { type: 'integer' },
+            average: { type: 'number' }, min: { type: 'number' }, max: { type: 'number' }
+          }
+        })
+      }
+    },
+    Stats: {
+      type: 'object',
+      properties: {
+        total_institutions: { type: 'integer' },
+        by_category: arrayOf({ type: 'object', properties: { category: { type: 'string' }, count: { type: 'string' } } }),
+        by_region: arrayOf({ type: 'object', properties: { region: { type: 'string' }, count: { type: 'string' } } }),
+        by_status: arrayOf({ type: 'object', properties: { status: { type: 'string', nullable: true }, count: { type: 'string' } } }),
+        average_capacity: { type: 'number' },
+        indicators: ref('StatsIndicators'),
+        group_by: arrayOf({ type: 'string' }),
+        groups: arrayOf({
+          allOf: [ref('StatsIndicators'), {
+            type: 'object',
+            additionalProperties: true,
+            description: 'One property per group_by dimension ({ code, name } or a plain value)',
+            properties: { drilldown: { type: 'string', nullable: true, description: 'Same statistics one level down (region → district → commune)' } }
+          }]
+        }),
+        source: { type: 'string', enum: ['summary', 'live'] },
+        computed_at: { type: 'string', format: 'date-time', description: 'Last refresh of the precomputed summaries (now when live)' },
+        stale: { type: 'boolean', description: 'Writes not yet reflected in the precomputed summaries' }
+      }
+    },
+    StatsRefresh: {
+      type: 'object',
+      properties: {
+        message: { type: 'string' },
+        computed_at: { type: 'string', format: 'date-time' },
+        duration_ms: { type: 'integer' },
+        changes: { type: 'integer', description: 'Logged writes taken into account' }
+      }
+    },
+    SearchResults: {
+      type: 'object',
+      properties: {
+        data: arrayOf({
+          type: 'object',
+          additionalProperties: true,
+          properties: {
+            id: uuidProperty,
+            name: { type: 'string' },
+            score: { type: 'number' },
+            highlights: { type: 'object', additionalProperties: true, description: 'Matched fields with <mark> tags (HTML-escaped)' }
+          }
+        }),
+        count: { type: 'integer' },
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' }
+      }
+    },
+    Suggestion: {
+      type: 'object',
+      properties: {
+        type: { type: 'string', enum: ['institution', 'commune'] },
+        id: uuidProperty,
+        label: { type: 'string' },
+        context: { type: 'string', nullable: true },
+        highlight: { type: 'string', nullable: true }
+      }
+    },
+    ImportReport: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: ['dry_run', 'commit'] },
+        change_set: uuidProperty,
+        rows: arrayOf({ type: 'object', additionalProperties: true }),
+        unknown_columns: arrayOf({ type: 'string' }),
+        summary: { type: 'object', additionalProperties: { type: 'integer' } }
+      }
+    },
+    NearbyResults: {
+      type: 'object',
+      properties: {
+        data: arrayOf({
+          allOf: [ref('Institution'), { type: 'object', properties: { distance: { type: 'number', description: 'In the requested unit' } } }]
+        }),
+        count: { type: 'integer' },
+        total: { type: 'integer', nullable: true, description: 'Matching institutions (at most nearest); null for nearest without radius on PostGIS' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' },
+        center: { type: 'object', properties: { lat: { type: 'number' }, lng: { type: 'number' } } },
+        radius: { type: 'number', nullable: true },
+        nearest: { type: 'integer', nullable: true },
+        unit: { type: 'string', enum: ['km', 'm'] },
+        backend: { type: 'string', enum: ['postgis', 'native'], description: 'Distance computation used' }
+      }
+    },
+    CoverageAnalysis: {
+      type: 'object',
+      properties: {
+        distance: { type: 'number' },
+        unit: { type: 'string', enum: ['km', 'm'] },
+        from: { type: 'string', enum: ['centroid', 'boundary'] },
+        summary: {
+          type: 'object',
+          properties: {
+            communes: { type: 'integer' }, gaps: { type: 'integer' },
+            covered: { type: 'integer' }, unlocated: { type: 'integer', description: 'Communes without boundary nor located institution' },
+            truncated: { type: 'integer', description: 'Communes whose boundary distance may be overestimated (candidate limit reached)' }
+          }
+        },
+        count: { type: 'integer' },
+        data: arrayOf({
+          type: 'object',
+          properties: {
+            commune: { type: 'object', additionalProperties: true, properties: { id: uuidProperty, code: { type: 'string' }, name: { type: 'string' } } },
+            reference: {
+              type: 'object', nullable: true,
+              properties: { lat: { type: 'number' }, lng: { type: 'number' }, source: { type: 'string', enum: ['boundary', 'institutions'] } }
+            },
+            measured_from: { type: 'string', enum: ['centroid', 'boundary'], nullable: true },
+            nearest: { type: 'object', nullable: true, additionalProperties: true, properties: { id: uuidProperty, name: { type: 'string' } } },
+            distance: { type: 'number', nullable: true },
+            gap: { type: 'boolean', nullable: true, description: 'Nearest institution beyond the threshold (or none at all)' },
+            truncated: { type: 'boolean', description: 'from=boundary: candidate limit (1000) reached, the distance may be overestimated' }
+          }
+        })
+      }
+    },
+    BoundaryImportReport: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: ['dry_run', 'commit'] },
+        level: { type: 'string', enum: ['region', 'district', 'commune'] },
+        key: { type: 'string' },
+        summary: { type: 'object', additionalProperties: { type: 'integer' } },
+        rows: arrayOf({
+          type: 'object',
+          properties: {
+            feature: { type: 'integer', description: 'Index of the feature in the file' },
+            code: { type: 'string', nullable: true },
+            id: uuidProperty,
+            name: { type: 'string' },
+            action: { type: 'string', enum: ['update', 'skip'] },
+            errors: arrayOf({ type: 'string' })
+          }
+        })
+      }
+    },
+    DuplicateCandidates: {
+      type: 'object',
+      properties: {
+        data: arrayOf({
+          type: 'object',
+          properties: {
+            score: { type: 'number', description: 'Weighted score between 0 and 1' },
+            institutions: arrayOf({ type: 'object', additionalProperties: true, properties: { id: uuidProperty, name: { type: 'string' } } }),
+            reasons: {
+              type: 'object',
+              properties: {
+                name_similarity: { type: 'number' },
+                distance_m: { type: 'integer', nullable: true },
+                same_commune: { type: 'boolean' },
+                shared_contacts: arrayOf({ type: 'string' })
+              }
+            }
+          }
+        }),
+        count: { type: 'integer' },
+        total: { type: 'integer' },
+        limit: { type: 'integer' },
+        offset: { type: 'integer' }
+      }
+    },
+    MergeResult: {
+      type: 'object',
+      properties: {
+        mode: { type: 'string', enum: ['dry_run', 'commit'] },
+        data: { ...ref('Institution'), description: 'Surviving institution (commit)' },
+        survivor: { ...ref('Institution'), description: 'Surviving institution as it would be (dry run)' },
+        absorbed_id: uuidProperty,
+        change_set: uuidProperty,
+        resolved: { type: 'object', additionalProperties: { type: 'string', enum: ['survivor', 'absorbed'] } },
+        conflicts: arrayOf({
+          type: 'object',
+          properties: { field: { type: 'string' }, survivor: {}, absorbed: {}, kept: { type: 'string', enum: ['survivor', 'absorbed'] } }
+        }),
+        moved: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Related records moved, by type' },
+        dropped: { type: 'object', additionalProperties: { type: 'integer' }, description: 'Weekly opening hours dropped because the survivor has its own' }
+      }
+    },
+    FeatureCollection: featureCollection
+  }
+};
+
+function relationComponent(name) {
+  return name.split('_').map(w => w[0].toUpperCase() + w.slice(1)).join('') + 'Item';
+}
+
+// Réponses de succès
+const ok = (schema, description = 'OK') => ({ 200: { description, ...json(schema) } });
+const created = schema => ({ 201: { description: 'Created', ...json(message({ data: schema })) } });
+const updated = schema => ok(message({ data: schema }), 'Updated');
+const deleted = () => ok(message({ deleted_id: uuidProperty }), 'Deleted');
+
+function message(properties) {
+  return { type: 'object', properties: { message: { type: 'string' }, ...properties } };
+}
+
+const error = description => ({ description, ...json(ref('Error')) });
+
+function crud(tag, name, component, { update = true, remove = true } = {}) {
+  const ops = {
+    [`GET /${name}`]: { tag, summary: `List ${name}`, responses: ok(arrayOf(ref(component))), conditional: true },
+    [`POST /${name}`]: { tag, summary: `Create ${name}`, responses: created(ref(component)), errors: { 409: 'Code already exists' } }
+  };
+  if (update) ops[`PUT /${name}/:id`] = { tag, summary: `Update ${name}`, responses: updated(ref(component)), errors: { 404: 'Not found', 409: 'Code already exists' } };
+  if (remove) ops[`DELETE /${name}/:id`] = { tag, summary: `Delete ${name}`, responses: deleted(), errors: { 404: 'Not found', 409: 'Still referenced by institutions' } };
+  return ops;
+}
+
+// PUT et PATCH (JSON Merge Patch) d'une ressource versionnée
+function versionedUpdate(path, meta) {
+  return {
+    [`PUT ${path}`]: { ...meta, versioned: true },
+    [`PATCH ${path}`]: { ...meta, summary: `${meta.summary} (JSON Merge Patch)`, versioned: true, mergePatch: true }
+  };
+}
+
+// Opérations de /institutions : "MÉTHODE /chemin Express relatif" → métadonnées
+const institutionOperations = {
+  ...crud('Reference data', 'categories', 'Category'),
+  ...crud('Reference data', 'subtypes', 'Subtype'),
+  ...crud('Reference data', 'contact-types', 'ReferenceType', { update: false, remove: false }),
+  ...crud('Reference data', 'staff-types', 'ReferenceType', { update: false, remove: false }),
+  ...crud('Reference data', 'utility-types', 'ReferenceType', { update: false, remove: false }),
+
+  'GET /stats': {
+    tag: 'Statistics', summary: 'Counts and indicators of the filtered institutions, optionally grouped',
+    responses: ok(ref('Stats')), errors: { 400: 'Invalid group_by dimension or filter unavailable from precomputed statistics' }
+  },
+  'POST /stats/refresh': {
+    tag: 'Statistics', summary: 'Refresh the precomputed statistics now',
+    responses: ok(ref('StatsRefresh')), errors: { 409: 'A refresh is already running' }
+  },
+  'GET /nearby': {
+    tag: 'Geography', summary: 'Institutions within a radius or the N nearest, sorted by distance',
+    responses: ok(ref('NearbyResults'))
+  },
+
+  'GET /coverage': {
+    tag: 'Geography', summary: 'Nearest matching institution of each commune, flagged beyond a distance threshold',
+    responses: {
+      200: {
+        description: 'OK',
+        content: {
+          'application/json': { schema: ref('CoverageAnalysis') },
+          'application/geo+json': { schema: ref('FeatureCollection') }
+        }
+      }
+    }
+  },
+
+  'POST /import': {
+    tag: 'Import / export', summary: 'Import institutions from a CSV or XLSX file',
+    requestBody: {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: { type: 'object', required: ['file'], properties: { file: { type: 'string', format: 'binary' } } }
+        }
+      }
+    },
+    responses: {
+      ...ok(ref('ImportReport'), 'Dry-run report'),
+      201: { description: 'Import committed', ...json(ref('ImportReport')) },
+      413: error('File too large'),
+      422: { description: 'Invalid rows, nothing written', ...json(ref('ImportReport')) }
+    },
+    errors: { 409: 'Institution name already exists' }
+  },
+  'GET /export': {
+    tag: 'Import / export', summary: 'Stream the filtered institutions as CSV, XLSX or GeoJSON',
+    responses: {
+      200: {
+        description: 'File download',
+        content: {
+          'text/csv': { schema: { type: 'string' } },
+          'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet': { schema: { type: 'string', format: 'binary' } },
+          'application/geo+json': { schema: ref('FeatureCollection') }
+        }
+      }
+    }
+  },
+  'GET /map': { tag: 'Map', summary: 'Clusters or points within a bounding box', responses: ok(ref('FeatureCollection')) },
+  'GET /tiles/:z/:x/:y.mvt': {
+    tag: 'Map', summary: 'Mapbox vector tile',
+    responses: { 200: { description: 'Vector tile', content: { 'application/vnd.mapbox-vector-tile': { schema: { type: 'string', format: 'binary' } } } } }
+  },
+  'GET /search': { tag: 'Search', summary: 'Ranked, accent-insensitive, typo-tolerant search', responses: ok(ref('SearchResults')) },
+  'GET /search/suggest': { tag: 'Search', summary: 'Autocomplete suggestions', responses: ok(arrayOf(ref('Suggestion'))) },
+
+  'GET /': { tag: 'Institutions', summary: 'List institutions (filters, sort, cursor pagination)', responses: ok(ref('InstitutionList')) },
+  'GET /:id': {
+    tag: 'Institutions', summary: 'Institution with all related data',
+    responses: { ...ok(ref('InstitutionDetail')), 301: { description: 'Merged institution: redirect to the surviving one' } },
+    errors: { 404: 'Institution not found' },
+    conditional: true
+  },
+  'POST /': {
+    tag: 'Institutions', summary: 'Create an institution', responses: created(ref('Institution')),
+    errors: { 409: 'Institution name already exists' }
+  },
+  ...versionedUpdate('/:id', {
+    tag: 'Institutions', summary: 'Partially update an institution', responses: updated(ref('Institution')),
+    errors: { 404: 'Institution not found', 409: 'Institution name already exists' }
+  }),
+  'DELETE /:id': {
+    tag: 'Institutions', summary: 'Soft delete an institution',
+    responses: ok(message({ deleted_id: uuidProperty, deleted_at: timestamp }), 'Deleted'),
+    errors: { 404: 'Institution not found' },
+    versioned: true
+  },
+  'GET /duplicates': {
+    tag: 'Institutions', summary: 'Probable duplicate pairs scored by name, distance, commune and shared contacts',
+    responses: ok(ref('DuplicateCandidates'))
+  },
+  'POST /:id/merge': {
+    tag: 'Institutions', summary: 'Merge another institution into this one, resolving conflicting fields',
+    responses: ok(ref('MergeResult'), 'Merged (or dry-run preview)'),
+    errors: { 404: 'Institution not found', 409: 'Absorbed institution is deleted or already merged' }
+  },
+  'POST /:id/restore': {
+    tag: 'Institutions', summary: 'Restore a soft-deleted institution', responses: ok(message({ data: ref('Institution') }), 'Restored'),
+    errors: { 404: 'Deleted institution not found', 409: 'An active institution already uses this name' },
+    versioned: true
+  },
+  'DELETE /:id/purge': {
+    tag: 'Institutions', summary: 'Permanently delete a soft-deleted institution',
+    responses: ok(message({ purged_id: uuidProperty }), 'Purged'),
+    errors: { 404: 'Institution not found', 409: 'Institution must be deleted first' }
+  },
+
+  'GET /:id/opening-hours': { tag: 'Opening hours', summary: 'List opening hours', responses: ok(arrayOf(ref('OpeningHour'))) },
+  'POST /:id/opening-hours': {
+    tag: 'Opening hours', summary: 'Add an opening slot for a day (several slots per day allowed)', responses: created(ref('OpeningHour')),
+    errors: { 404: 'Institution not found', 409: 'Opening hours overlap an existing slot for this day' }
+  },
+  ...versionedUpdate('/:id/opening-hours/:ohId', {
+    tag: 'Opening hours', summary: 'Update an opening slot', responses: updated(ref('OpeningHour')),
+    errors: { 404: 'Opening hour not found', 409: 'Opening hours overlap an existing slot for this day' }
+  }),
+  'DELETE /:id/opening-hours/:ohId': {
+    tag: 'Opening hours', summary: 'Delete opening hours', responses: deleted(), errors: { 404: 'Opening hour not found' }, versioned: true
+  },
+  'GET /:id/open-status': {
+    tag: 'Opening hours', summary: 'Whether the institution is open at an instant, with the next opening or closing time',
+    responses: ok(ref('OpenStatus')), errors: { 404: 'Institution not found' }
+  },
+
+  'GET /:id/history': {
+    tag: 'History', summary: 'Audit log of an institution and its related data',
+    responses: ok({ type: 'object', properties: { data: arrayOf(ref('AuditEntry')), count: { type: 'integer' }, limit: { type: 'integer' }, offset: { type: 'integer' } } })
+  },
+  'POST /:id/history/:revisionId/revert': {
+    tag: 'History', summary: 'Revert a revision and its whole change set',
+    responses: ok(message({ data: { type: 'object', properties: { change_set: uuidProperty, entries: arrayOf(ref('AuditEntry')) } } }), 'Reverted'),
+    errors: { 404: 'Institution not found (or deleted), or revision not found', 409: 'Revert conflicts with existing data' },
+    versioned: true
+  },
+
+  ...Object.fromEntries(relations.flatMap(r => {
+    const item = ref(relationComponent(r.name));
+    const tag = 'Related data';
+    return [
+      [`GET /:id/${r.name}`, { tag, summary: `List ${r.name}`, responses: ok(arrayOf(item)) }],
+      [`GET /:id/${r.name}/:itemId`, { tag, summary: `Get one of ${r.name}`, responses: ok(item), errors: { 404: 'Not found' }, conditional: true }],
+      [`POST /:id/${r.name}`, { tag, summary: `Add to ${r.name}`, responses: created(item), errors: { 404: 'Institution not found', 409: 'Duplicate entry' } }],
+      ...Object.entries(versionedUpdate(`/:id/${r.name}/:itemId`, { tag, summary: `Update one of ${r.name}`, responses: updated(item), errors: { 404: 'Not found', 409: 'Duplicate entry' } })),
+      [`DELETE /:id/${r.name}/:itemId`, { tag, summary: `Delete one of ${r.name}`, responses: deleted(), errors: { 404: 'Not found' }, versioned: true }]
+    ];
+  })),
+
+  // Remplace l'entrée générique : envoi de fichier (multipart) ou URL externe (JSON)
+  'POST /:id/photos': {
+    tag: 'Related data', summary: 'Upload a photo file, or add a photo hosted elsewhere',
+    requestBody: {
+      required: true,
+      content: {
+        'multipart/form-data': {
+          schema: {
+            ...joiToSchema(photoUploadSchema),
+            required: ['file'],
+            properties: {
+              file: { type: 'string', format: 'binary', description: `${Object.keys(PHOTO_TYPES).join(', ')}; max ${PHOTO_MAX_BYTES} bytes` },
+              ...joiToSchema(photoUploadSchema).properties
+            }
+          }
+        },
+        'application/json': { schema: joiToSchema(relationSchemas.photos.tailor('create')) }
+      }
+    },
+    responses: created(ref('PhotosItem')),
+    errors: { 404: 'Institution not found', 413: 'File too large', 415: 'Unsupported image type' }
+  },
+  'GET /:id/photos/:itemId/file': {
+    tag: 'Related data', summary: 'Uploaded photo file or thumbnail (cacheable, ETag)',
+    responses: {
+      200: { description: 'Image', content: Object.fromEntries(['image/jpeg', 'image/png', 'image/webp'].map(t => [t, { schema: { type: 'string', format: 'binary' } }])) },
+      304: { description: 'Not modified' }
+    },
+    errors: { 404: 'Photo or file not found' }
+  },
+
+  'GET /geo/regions': { tag: 'Geography', summary: 'List regions', responses: ok(arrayOf(ref('Region'))), conditional: true },
+  'POST /geo/regions': { tag: 'Geography', summary: 'Create a region', responses: created(ref('Region')), errors: { 409: 'Region code already exists' } },
+  'GET /geo/districts': { tag: 'Geography', summary: 'List districts', responses: ok(arrayOf(ref('District'))), conditional: true },
+  'POST /geo/districts': { tag: 'Geography', summary: 'Create a district', responses: created(ref('District')), errors: { 409: 'District code already exists' } },
+  'GET /geo/communes': { tag: 'Geography', summary: 'List communes', responses: ok(arrayOf(ref('Commune'))), conditional: true },
+  'POST /geo/communes': { tag: 'Geography', summary: 'Create a commune', responses: created(ref('Commune')), errors: { 409: 'Commune code already exists' } },
+  'GET /geo/streets': { tag: 'Geography', summary: 'List streets', responses: ok(arrayOf(ref('Street'))), conditional: true },
+  'POST /geo/streets': { tag: 'Geography', summary: 'Create a street', responses: created(ref('Street')) },
+  ...Object.fromEntries(['regions', 'districts', 'communes'].flatMap(level => [
+    [`GET /geo/boundaries/${level}`, {
+      tag: 'Geography', summary: `Boundaries of ${level} as GeoJSON`,
+      responses: { 200: { description: 'OK', content: { 'application/geo+json': { schema: ref('FeatureCollection') } } } },
+      conditional: true
+    }],
+    [`POST /geo/boundaries/${level}/import`, {
+      tag: 'Geography', summary: `Import ${level} boundaries from GeoJSON or a zipped shapefile, matched by code`,
+      requestBody: {
+        required: true,
+        content: {
+          'multipart/form-data': {
+            schema: { type: 'object', required: ['file'], properties: { file: { type: 'string', format: 'binary' } } }
+          }
+        }
+      },
+      responses: {
+        ...ok(ref('BoundaryImportReport'), 'Dry-run report'),
+        201: { description: 'Boundaries imported', ...json(ref('BoundaryImportReport')) },
+        413: error('File too large')
+      }
+    }]
+  ]))
+};
+
+// Collections transversales en lecture seule
+function collection(name, component) {
+  return {
+    [`GET /${name}`]: {
+      tag: 'Collections', summary: `List the ${name} of all institutions (filters, sort, cursor pagination)`,
+      responses: ok(ref(component))
+    }
+  };
+}
+
+// Opérations documentées : "MÉTHODE /chemin sous /api/v1" → métadonnées
+export const operations = {
+  ...Object.fromEntries(Object.entries(institutionOperations).map(([key, meta]) => {
+    const [method, path] = key.split(' ');
+    return [`${method} /institutions${path === '/' ? '' : path}`, meta];
+  })),
+  ...collection('contacts', 'ContactList'),
+  ...collection('services', 'ServiceList'),
+  ...collection('photos', 'PhotoList')
+};
+
+// Paramètres, corps et réponses d'erreur déduits des middlewares de la route
+function buildOperation(key, meta, route) {
+  const [method, path] = key.split(' ');
+  const handlers = route ? route.handlers : [];
+  const schemas = Object.assign({}, ...handlers.filter(h => h.schemas).map(h => h.schemas));
+  const role = (handlers.find(h => h.role) || {}).role;
+
+  const parameters = [];
+  const names = pathParameters(path);
+  if (names.length) parameters.push(...joiToParameters(schemas.params || routeParams, 'path', names));
+  if (schemas.query) parameters.push(...joiToParameters(schemas.query, 'query'));
+  // Requêtes conditionnelles : ETag fort, 304 si inchangé
+  if (meta.conditional) {
+    parameters.push({ name: 'If-None-Match', in: 'header', required: false, schema: { type: 'string' }, description: 'ETag of a cached copy' });
+  }
+  // Écritures : 412 si la ressource a changé depuis la version donnée
+  if (meta.versioned) {
+    parameters.push({ name: 'If-Match', in: 'header', required: false, schema: { type: 'string' }, description: 'Expected version (ETag, e.g. "3")' });
+  }
+
+  const operation = {
+    tags: [meta.tag],
+    summary: meta.summary,
+    operationId: `${method.toLowerCase()}${path.replace(/[^A-Za-z0-9]+(.)?/g, (_, c) => (c ? c.toUpperCase() : ''))}`
+  };
+  if (role) operation.description = `Requires the ${role} role.`;
+  if (parameters.length) operation.parameters = parameters;
+  if (meta.requestBody) operation.requestBody = meta.requestBody;
+  else if (schemas.body && meta.mergePatch) {
+    const schema = joiToSchema(schemas.body);
+    operation.requestBody = {
+      required: true,
+      content: { 'application/merge-patch+json': { schema }, 'application/json': { schema } }
+    };
+  } else if (schemas.body) operation.requestBody = { required: true, ...json(joiToSchema(schemas.body)) };
+
+  const responses = { ...meta.responses };
+  if (meta.conditional) responses[304] = { description: 'Not modified (ETag unchanged)' };
+  if (meta.versioned) responses[412] = { description: 'Modified since the If-Match version', ...json(ref('VersionConflict')) };
+  if (schemas.params || schemas.query || schemas.body) {
+    responses[400] = { description: 'Validation failed', ...json(ref('ValidationError')) };
+  }
+  responses[401] = error('Missing or invalid credentials');
+  if (role) {
+    operation.security = [{ apiKey: [] }, { bearer: [] }];
+    responses[403] = error(`Requires ${role} role`);
+  }
+  for (const [status, description] of Object.entries(meta.errors || {})) {
+    responses[status] = error(description);
+  }
+  responses[500] = error('Server error');
+  operation.responses = responses;
+  return operation;
+}
+
+export function buildOpenApiSpec(routes = apiRoutes()) {
+  const paths = {};
+  for (const [key, meta] of Object.entries(operations)) {
+    const [method, path] = key.split(' ');
+    const route = routes.find(r => r.key === key);
+    const specPath = openApiPath(path);
+    paths[specPath] = paths[specPath] || {};
+    paths[specPath][method.toLowerCase()] = buildOperation(key, meta, route);
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Institutions API',
+      version: '1.0.0',
+      description: 'Institutions (education, health, administration), their related data and geography. '
+        + 'Reads are public unless AUTH_PUBLIC_READ=false; writes require an API key (X-API-Key) or a bearer token.'
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{}, { apiKey: [] }, { bearer: [] }],
+    paths,
+    components
+  };
+}
+
+// Écarts entre routes enregistrées et opérations documentées
+export function checkSpec(routes = apiRoutes()) {
+  const documented = new Set(Object.keys(operations));
+  const registered = new Set(routes.map(r => r.key));
+  return {
+    missing: [...registered].filter(key => !documented.has(key)),
+    unknown: [...documented].filter(key => !registered.has(key))
+  };
+}
+
+// Liste courte (méthode, chemin, résumé) pour la page d'accueil de l'API
+export function endpointList(spec) {
+  return Object.entries(spec.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, op]) => ({
+      method: method.toUpperCase(),
+      path: spec.servers[0].url + path,
+      summary: op.summary
+    })));
+}
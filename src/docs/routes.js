@@ -0,0 +1,51 @@
+import institutionRoutes, { subRouters } from '../routes/institutions.js';
+import { contactRoutes, serviceRoutes, photoRoutes } from '../routes/collections.js';
+
+// Routeurs documentés : [chemin sous /api/v1, routeur, sous-routeurs montés]
+export const apiRouters = [
+  ['/institutions', institutionRoutes, subRouters],
+  ['/contacts', contactRoutes, []],
+  ['/services', serviceRoutes, []],
+  ['/photos', photoRoutes, []]
+];
+
+// Routes enregistrées sur tous les routeurs documentés
+export function apiRoutes() {
+  return apiRouters.flatMap(([path, router, mounts]) => registeredRoutes(router, mounts, path));
+}
+
+// Routes enregistrées sur un routeur : { key, method, path, handlers }
+// key = "GET /institutions/:id/history" (chemin Express relatif à `prefix`)
+export function registeredRoutes(router = institutionRoutes, mounts = subRouters, prefix = '') {
+  const routes = [];
+  for (const layer of router.stack) {
+    if (layer.route) {
+      // "/import" + "/" → "/import"
+      const path = (prefix + layer.route.path).replace(/(.)\/$/, '$1');
+      for (const method of Object.keys(layer.route.methods)) {
+        if (method === '_all') continue;
+        routes.push({
+          key: `${method.toUpperCase()} ${path}`,
+          method,
+          path,
+          handlers: layer.route.stack.map(l => l.handle)
+        });
+      }
+    } else if (Array.isArray(layer.handle.stack)) {
+      // Sous-routeur : son chemin de montage n'est connu que via `mounts`
+      const mount = mounts.find(([, subRouter]) => subRouter === layer.handle);
+      if (!mount) throw new Error('Mounted router is not declared in subRouters');
+      routes.push(...registeredRoutes(layer.handle, [], prefix + mount[0]));
+    }
+  }
+  return routes;
+}
+
+// "/:id/opening-hours/:ohId" → "/{id}/opening-hours/{ohId}"
+export function openApiPath(path) {
+  return path.replace(/:([A-Za-z_]\w*)/g, '{$1}') || '/';
+}
+
+export function pathParameters(path) {
+  return [...path.matchAll(/:([A-Za-z_]\w*)/g)].map(m => m[1]);
+}
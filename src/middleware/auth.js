@@ -0,0 +1,73 @@
+import { findActiveApiKey } from '../auth/apiKeys.js';
+import { verifyToken } from '../auth/tokens.js';
+
+// Rôles par ordre croissant de privilèges
+export const ROLES = ['reader', 'editor', 'admin'];
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+// Identifie l'appelant via X-API-Key ou Authorization: Bearer <jwt>.
+// Sans identifiants, req.user reste null ; des identifiants invalides sont rejetés.
+export async function authenticate(req, res, next) {
+  req.user = null;
+  const apiKey = req.get('X-API-Key');
+  const authorization = req.get('Authorization');
+
+  try {
+    if (apiKey) {
+      const key = await findActiveApiKey(apiKey);
+      if (!key) return res.status(401).json({ error: 'Invalid API key' });
+      req.user = { id: `apikey:${key.id}`, name: key.name, role: key.role, auth: 'api_key' };
+    } else if (authorization && authorization.startsWith('Bearer ')) {
+      let payload;
+      try {
+        payload = verifyToken(authorization.slice(7).trim());
+      } catch (err) {
+        return res.status(401).json({ error: 'Invalid or expired token' });
+      }
+      if (!ROLES.includes(payload.role)) return res.status(401).json({ error: 'Invalid token role' });
+      req.user = { id: payload.sub, name: payload.name || payload.sub, role: payload.role, auth: 'token' };
+    }
+    next();
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+}
+
+// Exige un rôle minimal (reader < editor < admin)
+export function requireRole(role) {
+  const middleware = (req, res, next) => {
+    if (!req.user) return res.status(401).json({ error: 'Authentication required' });
+    if (!hasRole(req.user, role)) return res.status(403).json({ error: `Requires ${role} role` });
+    next();
+  };
+  // Lu par la génération de la spécification OpenAPI
+  middleware.role = role;
+  return middleware;
+}
+
+// Lectures publiques par défaut ; AUTH_PUBLIC_READ=false exige le rôle reader
+export function requireReadAccess(req, res, next) {
+  if (process.env.AUTH_PUBLIC_READ === 'false' && ['GET', 'HEAD'].includes(req.method)) {
+    return requireRole('reader')(req, res, next);
+  }
+  next();
+}
+
+// include_deleted=true (admins) : inclut les institutions supprimées logiquement
+export function resolveIncludeDeleted(req, res, next) {
+  req.includeDeleted = false;
+  if (req.query.include_deleted !== 'true') return next();
+  requireRole('admin')(req, res, () => {
+    req.includeDeleted = true;
+    next();
+  });
+}
+
+// Identifiant de l'auteur à enregistrer sur les écritures
+export function actorId(req) {
+  return req.user ? req.user.id : null;
+}
@@ -0,0 +1,46 @@
+import { cachedReference, invalidateReference } from '../services/referenceCache.js';
+
+// Cache HTTP : ETag forts, requêtes conditionnelles (If-None-Match → 304) et Cache-Control
+// par route. Réponses privées si la lecture exige une authentification ou porte sur des
+// institutions supprimées.
+
+export const CACHE_POLICIES = {
+  // Listes de référence : réutilisables 5 minutes, puis revalidées
+  reference: 'max-age=300, must-revalidate',
+  // Fiche d'une institution : toujours revalidée (ETag)
+  entity: 'no-cache',
+  // Tuiles vectorielles de la carte : réutilisables 5 minutes
+  tile: 'max-age=300'
+};
+
+export function setCacheControl(req, res, policy) {
+  const scope = process.env.AUTH_PUBLIC_READ === 'false' || req.includeDeleted ? 'private' : 'public';
+  res.set('Cache-Control', `${scope}, ${CACHE_POLICIES[policy]}`);
+}
+
+// Positionne l'ETag ; envoie 304 et renvoie true si le client a déjà cette version
+export function notModified(req, res, etag) {
+  res.set('ETag', etag);
+  if (!req.fresh) return false;
+  res.status(304).end();
+  return true;
+}
+
+// Liste de référence servie depuis le cache en mémoire (clé : chemin et paramètres)
+export async function sendReference(req, res, tables, load, type = 'application/json') {
+  const key = `${req.baseUrl}${req.path}?${new URLSearchParams(req.query)}`;
+  const { body, etag } = await cachedReference(key, tables, load);
+  setCacheControl(req, res, 'reference');
+  if (notModified(req, res, etag)) return;
+  res.type(type).send(body);
+}
+
+// Invalide les listes dépendant de ces tables après une écriture réussie
+export function invalidatesReference(...tables) {
+  return (req, res, next) => {
+    res.on('finish', () => {
+      if (res.statusCode < 400) invalidateReference(tables);
+    });
+    next();
+  };
+}
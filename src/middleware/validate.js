@@ -0,0 +1,47 @@
+// Validation déclarative des requêtes (schémas Joi de src/validation).
+// Erreurs : 400 { error, errors: [{ location, field, message }] }, toutes les erreurs à la fois.
+
+export const joiOptions = {
+  abortEarly: false,
+  errors: { wrap: { label: false } },
+  messages: {
+    'object.min': 'At least one field is required',
+    'object.oxor': 'Only one of {#peersWithLabels} is allowed',
+    'object.missing': 'At least one of {#peersWithLabels} is required'
+  }
+};
+
+// Liste d'erreurs { location, field, message } d'un résultat Joi
+export function validationErrors(error, location) {
+  if (!error) return [];
+  return error.details.map(d => ({
+    location,
+    field: d.path.length ? d.path.join('.') : (d.context && (d.context.key || (d.context.present || [])[0])) || null,
+    message: d.message
+  }));
+}
+
+export function validationFailed(res, errors) {
+  return res.status(400).json({ error: 'Validation failed', errors });
+}
+
+// validate({ params, query, body }) : body et params sont remplacés par les valeurs
+// converties (valeurs par défaut, nombres…) ; req.query, en lecture seule sous Express 5,
+// est seulement vérifié.
+export function validate(schemas) {
+  const middleware = (req, res, next) => {
+    const errors = [];
+    for (const location of ['params', 'query', 'body']) {
+      const schema = schemas[location];
+      if (!schema) continue;
+      const { value, error } = schema.validate(req[location] || {}, joiOptions);
+      if (error) errors.push(...validationErrors(error, location));
+      else if (location !== 'query') req[location] = value;
+    }
+    if (errors.length) return validationFailed(res, errors);
+    next();
+  };
+  // Lu par la génération de la spécification OpenAPI
+  middleware.schemas = schemas;
+  return middleware;
+}
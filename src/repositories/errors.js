@@ -0,0 +1,19 @@
+// Violations de contraintes traduites par le client (codes Postgres 23505 / 23503) :
+// les routes n'ont pas à connaître les codes du moteur.
+
+export class UniqueViolationError extends Error {
+  constructor(cause) {
+    super('Unique constraint violated');
+    this.status = 409;
+    this.cause = cause;
+  }
+}
+
+// Référence vers une ligne absente (écriture) ou ligne encore référencée (suppression)
+export class ForeignKeyViolationError extends Error {
+  constructor(cause) {
+    super('Foreign key constraint violated');
+    this.status = 409;
+    this.cause = cause;
+  }
+}
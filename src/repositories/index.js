@@ -0,0 +1,21 @@
+import { createPostgresClient } from './postgres.js';
+import { REFERENCE_DEFINITIONS, referenceRepository } from './reference.js';
+
+// Accès aux données par ressource, sur un client {
+//   query(sql, params) → lignes, transaction(fn(executor)) → résultat de fn
+// } qui traduit les erreurs de contraintes en UniqueViolationError / ForeignKeyViolationError
+// (errors.js). PostgreSQL est le seul moteur pris en charge.
+
+// Dépôts construits sur un client : { categories, subtypes, …, streets }
+export function createRepositories(db) {
+  return Object.fromEntries(Object.entries(REFERENCE_DEFINITIONS)
+    .map(([name, definition]) => [name, referenceRepository(db, definition)]));
+}
+
+// Un seul jeu de dépôts par processus, sur le pool de src/config/db.js
+let repositories = null;
+
+export function getRepositories() {
+  if (!repositories) repositories = createRepositories(createPostgresClient());
+  return repositories;
+}
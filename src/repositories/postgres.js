@@ -0,0 +1,30 @@
+import pool, { withTransaction } from '../config/db.js';
+import { UniqueViolationError, ForeignKeyViolationError } from './errors.js';
+
+// Client PostgreSQL des dépôts : pool de src/config/db.js
+
+function mapError(err) {
+  if (err.code === '23505') return new UniqueViolationError(err);
+  if (err.code === '23503') return new ForeignKeyViolationError(err);
+  return err;
+}
+
+function executor(client) {
+  return {
+    async query(sql, params = []) {
+      try {
+        const result = await client.query(sql, params);
+        return result.rows;
+      } catch (err) {
+        throw mapError(err);
+      }
+    }
+  };
+}
+
+export function createPostgresClient(db = pool) {
+  return {
+    ...executor(db),
+    transaction: fn => withTransaction(client => fn(executor(client)))
+  };
+}
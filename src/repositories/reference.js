@@ -0,0 +1,129 @@
+import { v4 as uuidv4 } from 'uuid';
+
+// Dépôts des référentiels (catégories, sous-types, types) et de la géographie : écriture
+// puis relecture par id dans la même transaction, identifiants générés ici.
+
+// Colonnes des listes : le contour est servi à part (/geo/boundaries/…)
+function geoColumns(table, alias = table) {
+  const parent = { district: 'region_id', commune: 'district_id' }[table];
+  return [`${alias}.id`, ...(parent ? [`${alias}.${parent}`] : []), `${alias}.code`, `${alias}.name`,
+    `${alias}.boundary IS NOT NULL AS has_boundary`, `${alias}.boundary_updated_at`].join(', ');
+}
+
+// Filtre facultatif sur une colonne parent (?category_id=…)
+function byParent(sql, column, value, orderBy) {
+  return value === undefined
+    ? { sql: `${sql} ORDER BY ${orderBy}`, params: [] }
+    : { sql: `${sql} WHERE ${column} = $1 ORDER BY ${orderBy}`, params: [value] };
+}
+
+const typeDefinition = table => ({
+  table,
+  fields: ['code', 'label'],
+  list: () => ({ sql: `SELECT * FROM ${table} ORDER BY label`, params: [] })
+});
+
+// Par dépôt : table, champs modifiables, colonnes renvoyées, requête de liste (filtres)
+export const REFERENCE_DEFINITIONS = {
+  categories: typeDefinition('institution_category'),
+  subtypes: {
+    table: 'institution_subtype',
+    fields: ['category_id', 'code', 'label'],
+    list: ({ category_id }) => byParent(`
+      SELECT s.*, c.code as category_code, c.label as category_label
+      FROM institution_subtype s
+      JOIN institution_category c ON s.category_id = c.id`, 's.category_id', category_id, 'c.label, s.label')
+  },
+  contactTypes: typeDefinition('contact_type'),
+  staffTypes: typeDefinition('staff_type'),
+  utilityTypes: typeDefinition('utility_type'),
+  regions: {
+    table: 'region',
+    fields: ['code', 'name'],
+    columns: geoColumns('region'),
+    list: () => ({ sql: `SELECT ${geoColumns('region')} FROM region ORDER BY name`, params: [] })
+  },
+  districts: {
+    table: 'district',
+    fields: ['region_id', 'code', 'name'],
+    columns: geoColumns('district'),
+    list: ({ region_id }) => byParent(`
+      SELECT ${geoColumns('district', 'd')}, r.name as region_name
+      FROM district d
+      JOIN region r ON d.region_id = r.id`, 'd.region_id', region_id, 'r.name, d.name')
+  },
+  communes: {
+    table: 'commune',
+    fields: ['district_id', 'code', 'name'],
+    columns: geoColumns('commune'),
+    list: ({ district_id }) => byParent(`
+      SELECT ${geoColumns('commune', 'c')}, d.name as district_name, r.name as region_name
+      FROM commune c
+      JOIN district d ON c.district_id = d.id
+      JOIN region r ON d.region_id = r.id`, 'c.district_id', district_id, 'r.name, d.name, c.name')
+  },
+  streets: {
+    table: 'street',
+    fields: ['commune_id', 'name', 'postal_code'],
+    list: ({ commune_id }) => byParent(`
+      SELECT s.*, c.name as commune_name, d.name as district_name, r.name as region_name
+      FROM street s
+      JOIN commune c ON s.commune_id = c.id
+      JOIN district d ON c.district_id = d.id
+      JOIN region r ON d.region_id = r.id`, 's.commune_id', commune_id, 'r.name, d.name, c.name, s.name')
+  }
+};
+
+// list(filters), findById(id), create(data), update(id, data), remove(id) ;
+// null si l'élément n'existe pas. Violations de contraintes : voir errors.js.
+export function referenceRepository(db, { table, fields, columns = '*', list }) {
+  const writable = data => fields.filter(f => data[f] !== undefined);
+  const findById = async (id, executor = db) => {
+    const rows = await executor.query(`SELECT ${columns} FROM ${table} WHERE id = $1`, [id]);
+    return rows[0] || null;
+  };
+
+  return {
+    list(filters = {}) {
+      const { sql, params } = list(filters);
+      return db.query(sql, params);
+    },
+
+    findById,
+
+    create(data) {
+      return db.transaction(async (tx) => {
+        const id = uuidv4();
+        const set = writable(data);
+        await tx.query(
+          `INSERT INTO ${table} (id, ${set.join(', ')}) VALUES ($1, ${set.map((_, k) => `$${k + 2}`).join(', ')})`,
+          [id, ...set.map(f => data[f])]
+        );
+        return findById(id, tx);
+      });
+    },
+
+    update(id, data) {
+      return db.transaction(async (tx) => {
+        if (!await findById(id, tx)) return null;
+        const set = writable(data);
+        if (set.length) {
+          await tx.query(
+            `UPDATE ${table} SET ${set.map((f, k) => `${f} = $${k + 1}`).join(', ')} WHERE id = $${set.length + 1}`,
+            [...set.map(f => data[f]), id]
+          );
+        }
+        return findById(id, tx);
+      });
+    },
+
+    remove(id) {
+      return db.transaction(async (tx) => {
+        const current = await findById(id, tx);
+        if (!current) return null;
+        await tx.query(`DELETE FROM ${table} WHERE id = $1`, [id]);
+        return current;
+      });
+    }
+  };
+}
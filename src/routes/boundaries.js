@@ -0,0 +1,74 @@
+import express from 'express';
+import multer from 'multer';
+import pool, { withTransaction } from '../config/db.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { sendReference, invalidatesReference } from '../middleware/httpCache.js';
+import { boundaryListQueries, boundaryImportQuery } from '../validation/reference.js';
+import { parseBoundaryFile, importBoundaries, boundaryFeatures, BoundaryError } from '../services/boundaries.js';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024, files: 1 }
+});
+
+// Fichier attendu dans le champ multipart "file"
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'File too large' });
+    res.status(400).json({ error: err.message });
+  });
+}
+
+// Chemin (/geo/boundaries/communes…) → niveau et filtre par parent
+const levels = [
+  { path: 'regions', level: 'region', parent: null },
+  { path: 'districts', level: 'district', parent: 'region_id' },
+  { path: 'communes', level: 'commune', parent: 'district_id' }
+];
+
+levels.forEach(({ path, level, parent }) => {
+  // =====================
+  // GET contours du niveau en GeoJSON  ?code=  ?region_id= (districts)  ?district_id= (communes)
+  // =====================
+  router.get(`/${path}`, validate({ query: boundaryListQueries[path] }), async (req, res) => {
+    try {
+      await sendReference(req, res, [level], () => boundaryFeatures(pool, level, {
+        parentId: parent ? req.query[parent] : undefined,
+        code: req.query.code
+      }), 'application/geo+json');
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  // =====================
+  // POST import des contours (GeoJSON ou Shapefile zippé), rapprochés par code
+  // ?mode=dry_run (défaut) : rapport par entité sans écriture
+  // ?mode=commit : écrit les entités reconnues ; les autres sont ignorées
+  // ?key=<propriété> : propriété portant le code (défaut "code")
+  // =====================
+  router.post(`/${path}/import`, requireRole('admin'), invalidatesReference(level), validate({ query: boundaryImportQuery }), uploadFile, async (req, res) => {
+    try {
+      const { mode = 'dry_run', key } = req.query;
+      if (!req.file) return res.status(400).json({ error: 'A GeoJSON or zipped shapefile is required in field "file"' });
+
+      const features = await parseBoundaryFile(req.file);
+      if (mode === 'dry_run') {
+        return res.json({ mode, ...await importBoundaries(pool, level, features, { key }) });
+      }
+      const report = await withTransaction(client => importBoundaries(client, level, features, { key, commit: true }));
+      res.status(201).json({ message: 'Boundaries imported', mode, ...report });
+    } catch (err) {
+      if (err instanceof BoundaryError) return res.status(err.status).json({ error: err.message });
+      console.error(err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+});
+
+export default router;
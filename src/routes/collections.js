@@ -0,0 +1,41 @@
+import express from 'express';
+import pool from '../config/db.js';
+import { authenticate, requireReadAccess, resolveIncludeDeleted } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { collectionQueries } from '../validation/relations.js';
+import { COLLECTIONS, listCollection } from '../services/collections.js';
+import { PaginationError, pageRequest, pageResponse } from '../services/pagination.js';
+
+// Routeur en lecture seule d'une collection transversale ; les écritures restent
+// sur /institutions/:id/{relation}
+function collectionRouter(name) {
+  const router = express.Router();
+  router.use(authenticate, requireReadAccess);
+
+  // =====================
+  // GET liste filtrée, triée et paginée (curseur ou offset), avec l'institution de chaque élément
+  // =====================
+  router.get('/', validate({ query: collectionQueries[name] }), resolveIncludeDeleted, async (req, res) => {
+    try {
+      let page;
+      try {
+        page = pageRequest(req.query, COLLECTIONS[name].sortKeys, COLLECTIONS[name].defaultSort);
+      } catch (err) {
+        if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
+        throw err;
+      }
+
+      const { rows, total } = await listCollection(pool, name, req.query, { ...page, includeDeleted: req.includeDeleted });
+      res.json(pageResponse(req, rows, total, page));
+    } catch (err) {
+      console.error(`Error fetching ${name}:`, err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  return router;
+}
+
+export const contactRoutes = collectionRouter('contacts');
+export const serviceRoutes = collectionRouter('services');
+export const photoRoutes = collectionRouter('photos');
@@ -0,0 +1,27 @@
+import express from 'express';
+import swaggerUi from 'swagger-ui-express';
+import { buildOpenApiSpec } from '../docs/openapi.js';
+
+const router = express.Router();
+
+// Construite une seule fois : les routes ne changent pas après le démarrage
+let spec;
+function getSpec() {
+  if (!spec) spec = buildOpenApiSpec();
+  return spec;
+}
+
+// =====================
+// GET spécification OpenAPI 3 (JSON) et explorateur interactif
+// =====================
+router.get('/openapi.json', (req, res) => {
+  res.json(getSpec());
+});
+
+router.use('/docs', swaggerUi.serve);
+router.get('/docs', (req, res, next) => {
+  swaggerUi.setup(getSpec(), { customSiteTitle: 'Institutions API' })(req, res, next);
+});
+
+export { getSpec };
+export default router;
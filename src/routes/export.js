@@ -0,0 +1,52 @@
+import express from 'express';
+import pool from '../config/db.js';
+import { resolveIncludeDeleted } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { exportQuery } from '../validation/institution.js';
+import {
+  exportFormats, exportColumns, exportWriters, buildExportQuery, streamRows
+} from '../services/institutionExport.js';
+
+const router = express.Router();
+
+// =====================
+// GET export des institutions filtrées (mêmes filtres que GET /)
+// ?format=csv|xlsx|geojson  ?include=contacts,services,fees
+// =====================
+router.get('/', validate({ query: exportQuery }), resolveIncludeDeleted, async (req, res) => {
+  const { format = 'csv', include = '' } = req.query;
+  const relations = include ? include.split(',').map(r => r.trim()).filter(Boolean) : [];
+
+  let client;
+  let rows;
+  // Client pg à écarter du pool (curseur abandonné) si l'export ne va pas à son terme
+  let failure = null;
+  try {
+    client = await pool.connect();
+    rows = streamRows(client, buildExportQuery(req.query, { includeDeleted: req.includeDeleted, include: relations }));
+    // Client parti : on arrête de lire le curseur
+    res.on('close', () => rows.destroy());
+
+    const { contentType, extension } = exportFormats[format];
+    const date = new Date().toISOString().slice(0, 10);
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="institutions-${date}.${extension}"`);
+
+    await exportWriters[format](rows, res, exportColumns(relations));
+  } catch (err) {
+    failure = err;
+    // Client parti en cours d'export : rien à signaler
+    if (err.code === 'ERR_STREAM_PREMATURE_CLOSE') return;
+    console.error(err);
+    if (!res.headersSent) {
+      res.status(500).json({ error: 'Server error', details: err.message });
+    } else {
+      // En-têtes déjà envoyés : on coupe la réponse pour signaler l'export incomplet
+      res.destroy(err);
+    }
+  } finally {
+    if (client) client.release(failure || undefined);
+  }
+});
+
+export default router;
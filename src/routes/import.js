@@ -0,0 +1,66 @@
+import express from 'express';
+import multer from 'multer';
+import pool, { withTransaction } from '../config/db.js';
+import { requireRole } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { importQuery } from '../validation/institution.js';
+import { parseImportFile, validateImport, commitImport, ImportFormatError } from '../services/institutionImport.js';
+import { LocationError } from '../services/geoHierarchy.js';
+
+const router = express.Router();
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 }
+});
+
+// Fichier attendu dans le champ multipart "file"
+function uploadFile(req, res, next) {
+  upload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: 'File too large' });
+    res.status(400).json({ error: err.message });
+  });
+}
+
+// =====================
+// POST import CSV / XLSX
+// ?mode=dry_run (défaut) : rapport par ligne sans écriture
+// ?mode=commit : écrit tout dans une seule transaction, ou rien si une ligne est invalide
+// ?upsert=true : met à jour les institutions existantes de même nom
+// =====================
+router.post('/', requireRole('editor'), validate({ query: importQuery }), uploadFile, async (req, res) => {
+  try {
+    const { mode = 'dry_run', upsert, sheet } = req.query;
+    if (!req.file) return res.status(400).json({ error: 'A CSV or XLSX file is required in field "file"' });
+
+    const records = await parseImportFile(req.file, { sheet });
+    const options = { upsert: upsert === 'true' };
+
+    if (mode === 'dry_run') {
+      const report = await validateImport(pool, records, options);
+      return res.json({ mode, ...report });
+    }
+
+    const result = await withTransaction(async (client) => {
+      const report = await validateImport(client, records, options);
+      if (report.summary.invalid) return { report, committed: false };
+      const changeSet = await commitImport(client, report, req.user);
+      return { report, committed: true, changeSet };
+    });
+
+    if (!result.committed) {
+      return res.status(422).json({ error: 'Import contains invalid rows, nothing was written', mode, ...result.report });
+    }
+    res.status(201).json({ message: 'Import committed', mode, change_set: result.changeSet, ...result.report });
+  } catch (err) {
+    if (err instanceof ImportFormatError) return res.status(400).json({ error: err.message });
+    if (err instanceof LocationError) return res.status(400).json({ error: err.message });
+    console.error(err);
+    if (err.code === '23505') return res.status(409).json({ error: 'Institution name already exists' });
+    if (err.code === '23503') return res.status(400).json({ error: 'Invalid foreign key' });
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+});
+
+export default router;
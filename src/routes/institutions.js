@@ -1,15 +1,105 @@
 import express from 'express';
-import pool from '../config/db.js';
+import Joi from 'joi';
+import multer from 'multer';
+import pool, { withTransaction, columnValue } from '../config/db.js';
 import { v4 as uuidv4 } from 'uuid';
+import { authenticate, requireRole, requireReadAccess, resolveIncludeDeleted, actorId } from '../middleware/auth.js';
+import { relations, institutionChildTables, entityTypeForTable } from '../db/entities.js';
+import { auditWriter, getHistory, revertRevision } from '../services/audit.js';
+import { validate, validationFailed } from '../middleware/validate.js';
+import { sendReference, invalidatesReference, setCacheControl, notModified } from '../middleware/httpCache.js';
+import { digest } from '../services/referenceCache.js';
+import { VersionConflictError, versionEtag, ifMatchVersions, checkVersion } from '../services/versions.js';
+import { routeParams } from '../validation/common.js';
+import {
+  createInstitutionSchema, updateInstitutionSchema, listQuery, institutionQuery, nearbyQuery, historyQuery,
+  duplicatesQuery, mergeQuery, mergeSchema, coverageQuery, statsQuery
+} from '../validation/institution.js';
+import { categorySchema, subtypeSchema, typeSchema, subtypeListQuery, geoSchemas, geoListQueries } from '../validation/reference.js';
+import {
+  relationSchemas, openingHourSchema, constraintErrors, openStatusQuery, photoUploadSchema, photoFileQuery
+} from '../validation/relations.js';
+import { createInstitution, updateInstitution } from '../services/institutions.js';
+import { LocationError } from '../services/geoHierarchy.js';
+import { buildInstitutionFilters, whereClause, institutionSortKeys } from '../services/institutionFilters.js';
+import { loadSchedule, openStatus } from '../services/openingHours.js';
+import {
+  PHOTO_MAX_BYTES, PHOTO_TYPES, PHOTO_CACHE_CONTROL, PhotoError, processPhoto, storePhotoFiles, removePhotoFiles, photoFile
+} from '../services/photos.js';
+import { getStorage } from '../storage/index.js';
+import { getRepositories } from '../repositories/index.js';
+import { UniqueViolationError, ForeignKeyViolationError } from '../repositories/errors.js';
+import { findDuplicateCandidates } from '../services/duplicates.js';
+import { findNearby, DISTANCE_UNITS } from '../services/nearby.js';
+import { analyzeCoverage } from '../services/coverage.js';
+import { computeStats, summaryStats, parseGroupBy, summaryApplicable, StatsError, STATS_DIMENSIONS, SUMMARY_FILTERS } from '../services/stats.js';
+import { statsSummaryState, refreshStatsSummaries, StatsRefreshBusyError } from '../services/statsSummary.js';
+import { MergeError, previewMerge, mergeInstitutions, mergeTarget } from '../services/merge.js';
+import {
+  PaginationError, pageRequest, pageResponse, countTotal, orderByClause, cursorColumns, keysetCondition
+} from '../services/pagination.js';
+import importRoutes from './import.js';
+import exportRoutes from './export.js';
+import mapRoutes from './map.js';
+import searchRoutes from './search.js';
+import boundaryRoutes from './boundaries.js';
 
 const router = express.Router();
 
-// Middleware pour valider UUID
-function validateUUID(req, res, next) {
-  const { id } = req.params;
-  const uuidRegex = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
-  if (!uuidRegex.test(id)) return res.status(400).json({ error: 'Invalid UUID' });
-  next();
+// Identification de l'appelant sur toutes les routes ;
+// écritures : editor pour les institutions, admin pour les référentiels et la géographie
+router.use(authenticate, requireReadAccess);
+const requireEditor = requireRole('editor');
+const requireAdmin = requireRole('admin');
+
+// Validation des paramètres de chemin (UUID, identifiant de révision)
+const validateParams = validate({ params: routeParams });
+const noQuery = Joi.object({});
+
+// Localisation incohérente (région → district → commune → rue)
+function locationFailed(res, err) {
+  return validationFailed(res, err.errors.map(e => ({ location: 'body', ...e })));
+}
+
+// If-Match périmé → 412 avec l'état actuel et son ETag
+function versionConflict(res, err) {
+  res.set('ETag', versionEtag(err.current));
+  return res.status(412).json({ error: err.message, current: err.current });
+}
+
+// Violation d'une contrainte CHECK (23514) → 400 comme une erreur de validation
+function constraintFailed(res, err) {
+  const known = constraintErrors[err.constraint];
+  return validationFailed(res, [{ location: 'body', field: known ? known.field : null, message: known ? known.message : 'Invalid value' }]);
+}
+
+// Écriture d'une sous-ressource dans une transaction, journalisée dans audit_log.
+// Renvoie null si l'institution est absente / supprimée ou, pour update/delete,
+// si l'élément ne lui appartient pas ; VersionConflictError si If-Match ne correspond pas.
+async function auditedChildWrite(req, { table, entityType, institutionId, itemId, action }, write) {
+  return withTransaction(async (client) => {
+    // Pas d'écriture sur une institution supprimée
+    const parent = await client.query(
+      'SELECT id FROM institution WHERE id=$1 AND deleted_at IS NULL FOR SHARE',
+      [institutionId]
+    );
+    if (!parent.rows.length) return null;
+
+    let before = null;
+    if (action !== 'create') {
+      const current = await client.query(
+        `SELECT * FROM ${table} WHERE id=$1 AND institution_id=$2 FOR UPDATE`,
+        [itemId, institutionId]
+      );
+      if (!current.rows.length) return null;
+      before = current.rows[0];
+      checkVersion(before, ifMatchVersions(req.get('If-Match')));
+    }
+    const result = await write(client);
+    const after = action === 'delete' ? null : result.rows[0];
+    await auditWriter(client, req.user).record({ institutionId, entityType, entityId: itemId, action, before, after });
+    return after || before;
+  });
 }
 
 // =====================
@@ -17,302 +107,358 @@ function validateUUID(req, res, next) {
 // =====================
 
 // Institution Categories
-router.get('/categories', async (req, res) => {
+router.get('/categories', validate({ query: noQuery }), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM institution_category ORDER BY label');
-    res.json(result.rows);
+    const { categories } = getRepositories();
+    await sendReference(req, res, ['institution_category'], () => categories.list());
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-router.post('/categories', async (req, res) => {
+router.post('/categories', requireAdmin, invalidatesReference('institution_category'), validate({ body: categorySchema.tailor('create') }), async (req, res) => {
   try {
-    const { code, label } = req.body;
-    if (!code || !label) return res.status(400).json({ error: 'Code and label are required' });
-
-    const id = uuidv4();
-    const query = 'INSERT INTO institution_category (id, code, label) VALUES ($1, $2, $3) RETURNING *';
-    const result = await pool.query(query, [id, code, label]);
-    res.status(201).json({ message: 'Category created', data: result.rows[0] });
+    const { categories } = getRepositories();
+    const created = await categories.create(req.body);
+    res.status(201).json({ message: 'Category created', data: created });
   } catch (err) {
     console.error(err);
-    if (err.code === '23505') return res.status(409).json({ error: 'Category code already exists' });
+    if (err instanceof UniqueViolationError) return res.status(409).json({ error: 'Category code already exists' });
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-router.put('/categories/:id', validateUUID, async (req, res) => {
+router.put('/categories/:id', requireAdmin, invalidatesReference('institution_category'), validate({ params: routeParams, body: categorySchema.tailor('update') }), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { code, label } = req.body;
-    if (!code && !label) return res.status(400).json({ error: 'At least code or label is required' });
-
-    const updates = {};
-    if (code) updates.code = code;
-    if (label) updates.label = label;
-
-    const fields = Object.keys(updates);
-    const values = Object.values(updates);
-    const setQuery = fields.map((f, i) => `${f}=$${i + 1}`).join(',');
-    const query = `UPDATE institution_category SET ${setQuery} WHERE id=$${fields.length + 1} RETURNING *`;
-    
-    const result = await pool.query(query, [...values, id]);
-    if (!result.rows.length) return res.status(404).json({ error: 'Category not found' });
-    res.json({ message: 'Category updated', data: result.rows[0] });
+    const { categories } = getRepositories();
+    const updated = await categories.update(req.params.id, req.body);
+    if (!updated) return res.status(404).json({ error: 'Category not found' });
+    res.json({ message: 'Category updated', data: updated });
   } catch (err) {
     console.error(err);
-    if (err.code === '23505') return res.status(409).json({ error: 'Category code already exists' });
+    if (err instanceof UniqueViolationError) return res.status(409).json({ error: 'Category code already exists' });
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-router.delete('/categories/:id', validateUUID, async (req, res) => {
+router.delete('/categories/:id', requireAdmin, invalidatesReference('institution_category'), validateParams, async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query('DELETE FROM institution_category WHERE id=$1 RETURNING *', [id]);
-    if (!result.rows.length) return res.status(404).json({ error: 'Category not found' });
+    const { categories } = getRepositories();
+    if (!await categories.remove(id)) return res.status(404).json({ error: 'Category not found' });
     res.json({ message: 'Category deleted', deleted_id: id });
   } catch (err) {
     console.error(err);
-    if (err.code === '23503') return res.status(409).json({ error: 'Cannot delete category with existing institutions' });
+    if (err instanceof ForeignKeyViolationError) return res.status(409).json({ error: 'Cannot delete category with existing institutions' });
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
 // Institution Subtypes
-router.get('/subtypes', async (req, res) => {
+router.get('/subtypes', validate({ query: subtypeListQuery }), async (req, res) => {
   try {
-    const { category_id } = req.query;
-    let query = `
-      SELECT s.*, c.code as category_code, c.label as category_label 
-      FROM institution_subtype s 
-      JOIN institution_category c ON s.category_id = c.id
-    `;
-    const params = [];
-    
-    if (category_id) {
-      query += ' WHERE s.category_id = $1';
-      params.push(category_id);
-    }
-    
-    query += ' ORDER BY c.label, s.label';
-    const result = await pool.query(query, params);
-    res.json(result.rows);
+    const { subtypes } = getRepositories();
+    await sendReference(req, res, ['institution_subtype', 'institution_category'], () => subtypes.list(req.query));
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-router.post('/subtypes', async (req, res) => {
+router.post('/subtypes', requireAdmin, invalidatesReference('institution_subtype'), validate({ body: subtypeSchema.tailor('create') }), async (req, res) => {
   try {
-    const { category_id, code, label } = req.body;
-    if (!category_id || !code || !label) {
-      return res.status(400).json({ error: 'category_id, code and label are required' });
-    }
-
-    const id = uuidv4();
-    const query = 'INSERT INTO institution_subtype (id, category_id, code, label) VALUES ($1, $2, $3, $4) RETURNING *';
-    const result = await pool.query(query, [id, category_id, code, label]);
-    res.status(201).json({ message: 'Subtype created', data: result.rows[0] });
+    const { subtypes } = getRepositories();
+    const created = await subtypes.create(req.body);
+    res.status(201).json({ message: 'Subtype created', data: created });
   } catch (err) {
     console.error(err);
-    if (err.code === '23505') return res.status(409).json({ error: 'Subtype code already exists' });
-    if (err.code === '23503') return res.status(400).json({ error: 'Invalid category_id' });
+    if (err instanceof UniqueViolationError) return res.status(409).json({ error: 'Subtype code already exists' });
+    if (err instanceof ForeignKeyViolationError) return res.status(400).json({ error: 'Invalid category_id' });
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-router.put('/subtypes/:id', validateUUID, async (req, res) => {
+router.put('/subtypes/:id', requireAdmin, invalidatesReference('institution_subtype'), validate({ params: routeParams, body: subtypeSchema.tailor('update') }), async (req, res) => {
   try {
-    const { id } = req.params;
-    const { category_id, code, label } = req.body;
-    
-    const updates = {};
-    if (category_id) updates.category_id = category_id;
-    if (code) updates.code = code;
-    if (label) updates.label = label;
-    
-    if (!Object.keys(updates).length) {
-      return res.status(400).json({ error: 'At least one field is required' });
-    }
-
-    const fields = Object.keys(updates);
-    const values = Object.values(updates);
-    const setQuery = fields.map((f, i) => `${f}=$${i + 1}`).join(',');
-    const query = `UPDATE institution_subtype SET ${setQuery} WHERE id=$${fields.length + 1} RETURNING *`;
-    
-    const result = await pool.query(query, [...values, id]);
-    if (!result.rows.length) return res.status(404).json({ error: 'Subtype not found' });
-    res.json({ message: 'Subtype updated', data: result.rows[0] });
+    const { subtypes } = getRepositories();
+    const updated = await subtypes.update(req.params.id, req.body);
+    if (!updated) return res.status(404).json({ error: 'Subtype not found' });
+    res.json({ message: 'Subtype updated', data: updated });
   } catch (err) {
     console.error(err);
-    if (err.code === '23505') return res.status(409).json({ error: 'Subtype code already exists' });
-    if (err.code === '23503') return res.status(400).json({ error: 'Invalid category_id' });
+    if (err instanceof UniqueViolationError) return res.status(409).json({ error: 'Subtype code already exists' });
+    if (err instanceof ForeignKeyViolationError) return res.status(400).json({ error: 'Invalid category_id' });
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-router.delete('/subtypes/:id', validateUUID, async (req, res) => {
+router.delete('/subtypes/:id', requireAdmin, invalidatesReference('institution_subtype'), validateParams, async (req, res) => {
   try {
     const { id } = req.params;
-    const result = await pool.query('DELETE FROM institution_subtype WHERE id=$1 RETURNING *', [id]);
-    if (!result.rows.length) return res.status(404).json({ error: 'Subtype not found' });
+    const { subtypes } = getRepositories();
+    if (!await subtypes.remove(id)) return res.status(404).json({ error: 'Subtype not found' });
     res.json({ message: 'Subtype deleted', deleted_id: id });
   } catch (err) {
     console.error(err);
-    if (err.code === '23503') return res.status(409).json({ error: 'Cannot delete subtype with existing institutions' });
+    if (err instanceof ForeignKeyViolationError) return res.status(409).json({ error: 'Cannot delete subtype with existing institutions' });
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-// Contact Types
-router.get('/contact-types', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM contact_type ORDER BY label');
-    res.json(result.rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error', details: err.message });
-  }
+// Contact, Staff et Utility Types : liste et création
+[
+  ['contact-types', 'contactTypes', 'contact_type', 'Contact type'],
+  ['staff-types', 'staffTypes', 'staff_type', 'Staff type'],
+  ['utility-types', 'utilityTypes', 'utility_type', 'Utility type']
+].forEach(([path, repository, table, label]) => {
+  router.get(`/${path}`, validate({ query: noQuery }), async (req, res) => {
+    try {
+      const repositories = getRepositories();
+      await sendReference(req, res, [table], () => repositories[repository].list());
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+
+  router.post(`/${path}`, requireAdmin, invalidatesReference(table), validate({ body: typeSchema.tailor('create') }), async (req, res) => {
+    try {
+      const repositories = getRepositories();
+      const created = await repositories[repository].create(req.body);
+      res.status(201).json({ message: `${label} created`, data: created });
+    } catch (err) {
+      console.error(err);
+      if (err instanceof UniqueViolationError) return res.status(409).json({ error: `${label} code already exists` });
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
 });
 
-router.post('/contact-types', async (req, res) => {
+// =====================
+// ROUTES STATISTIQUES
+// =====================
+
+// Statistiques (mêmes filtres que GET /), indicateurs d'ensemble
+// ?group_by=region,category : indicateurs par groupe, avec lien d'exploration (drilldown)
+// ?source=auto|summary|live : statistiques précalculées (si les filtres le permettent) ou calcul direct
+router.get('/stats', validate({ query: statsQuery }), resolveIncludeDeleted, async (req, res) => {
   try {
-    const { code, label } = req.body;
-    if (!code || !label) return res.status(400).json({ error: 'Code and label are required' });
+    let groupBy;
+    try {
+      groupBy = parseGroupBy(req.query.group_by);
+    } catch (err) {
+      if (err instanceof StatsError) return res.status(400).json({ error: err.message });
+      throw err;
+    }
+    const requested = req.query.source || 'auto';
+    const applicable = summaryApplicable(req.query);
+    if (requested === 'summary' && !applicable) {
+      return res.status(400).json({ error: `Precomputed statistics only support the filters: ${SUMMARY_FILTERS.join(', ')}` });
+    }
+    const source = requested === 'live' || !applicable ? 'live' : 'summary';
+    const freshness = source === 'summary'
+      ? await statsSummaryState(pool)
+      : { computed_at: new Date(), stale: false };
+
+    const options = { includeDeleted: req.includeDeleted, source };
+    const [[overall], summary, groups] = await Promise.all([
+      computeStats(pool, req.query, options),
+      summaryStats(pool, req.query, options),
+      groupBy.length ? computeStats(pool, req.query, { ...options, groupBy }) : null
+    ]);
 
-    const id = uuidv4();
-    const query = 'INSERT INTO contact_type (id, code, label) VALUES ($1, $2, $3) RETURNING *';
-    const result = await pool.query(query, [id, code, label]);
-    res.status(201).json({ message: 'Contact type created', data: result.rows[0] });
+    const body = {
+      total_institutions: overall.count,
+      ...summary,
+      average_capacity: overall.capacity.average || 0,
+      indicators: overall,
+      source,
+      computed_at: freshness.computed_at,
+      stale: freshness.stale
+    };
+    if (groups) {
+      body.group_by = groupBy;
+      body.groups = groups.map(group => ({ ...group, drilldown: drilldownLink(req, groupBy, group) }));
+    }
+    res.json(body);
   } catch (err) {
     console.error(err);
-    if (err.code === '23505') return res.status(409).json({ error: 'Contact type code already exists' });
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-// Staff Types
-router.get('/staff-types', async (req, res) => {
+// Rafraîchissement immédiat des statistiques précalculées
+router.post('/stats/refresh', requireAdmin, async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM staff_type ORDER BY label');
-    res.json(result.rows);
+    const result = await refreshStatsSummaries(pool);
+    res.json({ message: 'Statistics refreshed', ...result });
   } catch (err) {
+    if (err instanceof StatsRefreshBusyError) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-router.post('/staff-types', async (req, res) => {
+// Lien vers le niveau inférieur d'un groupe (région → districts, district → communes)
+function drilldownLink(req, groupBy, group) {
+  const dimension = groupBy.find(d => STATS_DIMENSIONS[d].drilldown && group[d] && group[d].code);
+  if (!dimension) return null;
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  url.searchParams.set(dimension, group[dimension].code);
+  url.searchParams.set('group_by', groupBy.map(d => (d === dimension ? STATS_DIMENSIONS[d].drilldown : d)).join(','));
+  return url.pathname + url.search;
+}
+
+// =====================
+// GET institutions proches, triées par distance (mêmes filtres que GET /)
+// ?lat=&lng=&radius=10&unit=km|m  ?nearest=N (N plus proches, dans le rayon s'il est donné)
+// ?limit=50&offset=
+// =====================
+const DEFAULT_NEARBY_RADIUS_KM = 10;
+const DEFAULT_NEARBY_PAGE_SIZE = 50;
+
+router.get('/nearby', validate({ query: nearbyQuery }), resolveIncludeDeleted, async (req, res) => {
   try {
-    const { code, label } = req.body;
-    if (!code || !label) return res.status(400).json({ error: 'Code and label are required' });
+    const { unit = 'km' } = req.query;
+    const lat = parseFloat(req.query.lat);
+    const lng = parseFloat(req.query.lng);
+    const nearest = req.query.nearest !== undefined ? parseInt(req.query.nearest) : null;
+    const radius = req.query.radius !== undefined
+      ? parseFloat(req.query.radius)
+      : (nearest === null ? DEFAULT_NEARBY_RADIUS_KM * DISTANCE_UNITS.km / DISTANCE_UNITS[unit] : null);
+    const limit = parseInt(req.query.limit) || DEFAULT_NEARBY_PAGE_SIZE;
+    const offset = parseInt(req.query.offset) || 0;
+
+    const { data, total, backend } = await findNearby(pool, req.query, {
+      lat, lng, nearest, limit, offset,
+      radius: radius === null ? null : radius * DISTANCE_UNITS[unit],
+      includeDeleted: req.includeDeleted
+    });
 
-    const id = uuidv4();
-    const query = 'INSERT INTO staff_type (id, code, label) VALUES ($1, $2, $3) RETURNING *';
-    const result = await pool.query(query, [id, code, label]);
-    res.status(201).json({ message: 'Staff type created', data: result.rows[0] });
+    res.json({
+      data: data.map(({ distance_m, ...row }) => ({ ...row, distance: distance_m / DISTANCE_UNITS[unit] })),
+      count: data.length,
+      total,
+      limit,
+      offset,
+      center: { lat, lng },
+      radius,
+      nearest,
+      unit,
+      backend
+    });
   } catch (err) {
     console.error(err);
-    if (err.code === '23505') return res.status(409).json({ error: 'Staff type code already exists' });
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-// Utility Types
-router.get('/utility-types', async (req, res) => {
+// =====================
+// GET couverture : institution correspondante la plus proche de chaque commune
+// ?category=&subtype=&distance=5&unit=km|m  ?from=centroid|boundary  ?region=&district=
+// ?gaps_only=true  ?format=json|geojson (contour ou point de référence de chaque commune)
+// =====================
+router.get('/coverage', validate({ query: coverageQuery }), async (req, res) => {
   try {
-    const result = await pool.query('SELECT * FROM utility_type ORDER BY label');
-    res.json(result.rows);
+    const { unit = 'km', from = 'centroid', gaps_only, format = 'json' } = req.query;
+    const distance = parseFloat(req.query.distance);
+    const analysis = await analyzeCoverage(pool, req.query, { threshold: distance * DISTANCE_UNITS[unit], from });
+
+    const rows = analysis.data
+      .filter(r => gaps_only !== 'true' || r.gap)
+      .map(({ distance_m, ...r }) => ({ ...r, distance: distance_m === null ? null : distance_m / DISTANCE_UNITS[unit] }));
+
+    if (format === 'geojson') {
+      const date = new Date().toISOString().slice(0, 10);
+      res.setHeader('Content-Type', 'application/geo+json');
+      res.setHeader('Content-Disposition', `attachment; filename="coverage-${date}.geojson"`);
+      return res.send(JSON.stringify({
+        type: 'FeatureCollection',
+        features: rows.map(r => ({
+          type: 'Feature',
+          id: r.commune.id,
+          geometry: analysis.boundaries[r.commune.id]
+            || (r.reference ? { type: 'Point', coordinates: [r.reference.lng, r.reference.lat] } : null),
+          properties: {
+            commune_id: r.commune.id,
+            commune_code: r.commune.code,
+            commune_name: r.commune.name,
+            district_name: r.commune.district_name,
+            region_name: r.commune.region_name,
+            nearest_id: r.nearest ? r.nearest.id : null,
+            nearest_name: r.nearest ? r.nearest.name : null,
+            distance: r.distance,
+            unit,
+            gap: r.gap,
+            measured_from: r.measured_from,
+            truncated: r.truncated
+          }
+        }))
+      }));
+    }
+
+    res.json({ distance, unit, from, summary: analysis.summary, count: rows.length, data: rows });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-router.post('/utility-types', async (req, res) => {
+// =====================
+// GET doublons probables : paires notées (nom, distance, commune, contacts communs)
+// ?min_score=0.5&max_distance=500 + filtres de GET /
+// =====================
+router.get('/duplicates', validate({ query: duplicatesQuery }), async (req, res) => {
   try {
-    const { code, label } = req.body;
-    if (!code || !label) return res.status(400).json({ error: 'Code and label are required' });
+    const { min_score, max_distance, limit = 50, offset = 0 } = req.query;
+    const options = { limit: parseInt(limit), offset: parseInt(offset) };
+    if (min_score !== undefined) options.minScore = parseFloat(min_score);
+    if (max_distance !== undefined) options.maxDistance = parseFloat(max_distance);
 
-    const id = uuidv4();
-    const query = 'INSERT INTO utility_type (id, code, label) VALUES ($1, $2, $3) RETURNING *';
-    const result = await pool.query(query, [id, code, label]);
-    res.status(201).json({ message: 'Utility type created', data: result.rows[0] });
+    const { data, total } = await withTransaction(client => findDuplicateCandidates(client, req.query, options));
+    res.json({ data, count: data.length, total, limit: options.limit, offset: options.offset });
   } catch (err) {
     console.error(err);
-    if (err.code === '23505') return res.status(409).json({ error: 'Utility type code already exists' });
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
+// Sous-routeurs (chemin de montage, routeur), montés avant '/:id' ;
+// parcourus aussi par la spécification OpenAPI (src/docs)
+export const subRouters = [
+  ['/import', importRoutes], // import en masse (CSV / XLSX)
+  ['/export', exportRoutes], // export des listes filtrées
+  ['', mapRoutes], // carte : emprise regroupée et tuiles vectorielles
+  ['/search', searchRoutes], // recherche classée et autocomplétion
+  ['/geo/boundaries', boundaryRoutes] // contours administratifs (GeoJSON, Shapefile)
+];
+for (const [path, subRouter] of subRouters) {
+  if (path) router.use(path, subRouter);
+  else router.use(subRouter);
+}
+
 // =====================
 // GET institutions avec filtres avancés
+// ?sort=-capacity,name  ?limit=  ?cursor= (ou offset=)  ?count=exact|estimated|none
 // =====================
-router.get('/', async (req, res) => {
+router.get('/', validate({ query: listQuery }), resolveIncludeDeleted, async (req, res) => {
   try {
-    const {
-      category,
-      subtype,
-      region,
-      district,
-      commune,
-      street,
-      name,
-      status,
-      min_capacity,
-      max_capacity,
-      limit = 100,
-      offset = 0,
-      sort = 'name'
-    } = req.query;
-
-    const params = [];
-    const conditions = [];
-
-    if (category) {
-      conditions.push(`i.category_id = (SELECT id FROM institution_category WHERE code = $${params.length+1})`);
-      params.push(category);
-    }
-    if (subtype) {
-      conditions.push(`i.subtype_id = (SELECT id FROM institution_subtype WHERE code = $${params.length+1})`);
-      params.push(subtype);
-    }
-    if (region) {
-      conditions.push(`i.region_id = (SELECT id FROM region WHERE code = $${params.length+1})`);
-      params.push(region);
-    }
-    if (district) {
-      conditions.push(`i.district_id = (SELECT id FROM district WHERE code = $${params.length+1})`);
-      params.push(district);
-    }
-    if (commune) {
-      conditions.push(`i.commune_id = (SELECT id FROM commune WHERE code = $${params.length+1})`);
-      params.push(commune);
-    }
-    if (street) {
-      conditions.push(`i.street_id = (SELECT id FROM street WHERE name = $${params.length+1})`);
-      params.push(street);
-    }
-    if (name) {
-      conditions.push(`LOWER(i.name) LIKE $${params.length+1}`);
-      params.push(`%${name.toLowerCase()}%`);
-    }
-    if (status) {
-      conditions.push(`i.status = $${params.length+1}`);
-      params.push(status);
-    }
-    if (min_capacity) {
-      conditions.push(`i.capacity >= $${params.length+1}`);
-      params.push(min_capacity);
-    }
-    if (max_capacity) {
-      conditions.push(`i.capacity <= $${params.length+1}`);
-      params.push(max_capacity);
+    let page;
+    try {
+      page = pageRequest(req.query, institutionSortKeys, 'name');
+    } catch (err) {
+      if (err instanceof PaginationError) return res.status(400).json({ error: err.message });
+      throw err;
     }
+    const { keys, position, limit, offset } = page;
+
+    const { conditions, params } = buildInstitutionFilters(req.query, { includeDeleted: req.includeDeleted });
+    // Total calculé sur les seuls filtres (sans curseur)
+    const countSql = `SELECT 1 FROM institution i${whereClause(conditions)}`;
+    const countParams = [...params];
+
+    if (position) conditions.push(keysetCondition(keys, 'i.id', position, params));
 
     let query = `
       SELECT
@@ -323,7 +469,8 @@ router.get('/', async (req, res) => {
         c.name as commune_name, s.name as street_name,
         COALESCE(json_agg(DISTINCT cont.*) FILTER (WHERE cont.id IS NOT NULL), '[]') AS contacts,
         COALESCE(json_agg(DISTINCT serv.*) FILTER (WHERE serv.id IS NOT NULL), '[]') AS services,
-        COALESCE(json_agg(DISTINCT f.*) FILTER (WHERE f.id IS NOT NULL), '[]') AS education_fees
+        COALESCE(json_agg(DISTINCT f.*) FILTER (WHERE f.id IS NOT NULL), '[]') AS education_fees,
+        ${cursorColumns(keys).join(', ')}
       FROM institution i
       LEFT JOIN institution_category ic ON i.category_id = ic.id
       LEFT JOIN institution_subtype ist ON i.subtype_id = ist.id
@@ -336,20 +483,17 @@ router.get('/', async (req, res) => {
       LEFT JOIN education_fee f ON f.institution_id = i.id
     `;
 
-    if (conditions.length > 0) query += ' WHERE ' + conditions.join(' AND ');
+    query += whereClause(conditions);
 
+    // Une ligne de plus que la page pour savoir s'il en reste
     query += ` GROUP BY i.id, ic.code, ic.label, ist.code, ist.label, r.name, d.name, c.name, s.name 
-               ORDER BY ${sort} LIMIT $${params.length+1} OFFSET $${params.length+2}`;
-    params.push(parseInt(limit), parseInt(offset));
+               ORDER BY ${orderByClause(keys, 'i.id', { backward: !!position && position.d === 'prev' })}
+               LIMIT $${params.length+1} OFFSET $${params.length+2}`;
+    params.push(limit + 1, offset);
 
     const result = await pool.query(query, params);
-
-    res.json({
-      data: result.rows,
-      count: result.rows.length,
-      limit: parseInt(limit),
-      offset: parseInt(offset)
-    });
+    const total = await countTotal(pool, countSql, countParams, page.count);
+    res.json(pageResponse(req, result.rows, total, page));
   } catch (err) {
     console.error('Error fetching institutions:', err);
     res.status(500).json({ error: 'Server error', details: err.message });
@@ -359,7 +503,7 @@ router.get('/', async (req, res) => {
 // =====================
 // GET institution par ID avec toutes les relations
 // =====================
-router.get('/:id', validateUUID, async (req, res) => {
+router.get('/:id', validate({ params: routeParams, query: institutionQuery }), resolveIncludeDeleted, async (req, res) => {
   try {
     const { id } = req.params;
     const instQuery = `
@@ -367,7 +511,8 @@ router.get('/:id', validateUUID, async (req, res) => {
         ic.code as category_code, ic.label as category_label,
         ist.code as subtype_code, ist.label as subtype_label,
         r.name as region_name, d.name as district_name, 
-        c.name as commune_name, s.name as street_name
+        c.name as commune_name, s.name as street_name,
+        (SELECT max(a.id) FROM audit_log a WHERE a.institution_id = i.id) AS revision
       FROM institution i
       LEFT JOIN institution_category ic ON i.category_id = ic.id
       LEFT JOIN institution_subtype ist ON i.subtype_id = ist.id
@@ -375,13 +520,26 @@ router.get('/:id', validateUUID, async (req, res) => {
       LEFT JOIN district d ON i.district_id = d.id
       LEFT JOIN commune c ON i.commune_id = c.id
       LEFT JOIN street s ON i.street_id = s.id
-      WHERE i.id = $1
+      WHERE i.id = $1${req.includeDeleted ? '' : ' AND i.deleted_at IS NULL'}
     `;
     
     const instResult = await pool.query(instQuery, [id]);
-    if (!instResult.rows.length) return res.status(404).json({ error: 'Institution not found' });
+    if (!instResult.rows.length) {
+      // Identifiant absorbé par une fusion : redirection permanente vers l'institution conservée
+      const target = await mergeTarget(pool, id);
+      if (target) return res.redirect(301, req.originalUrl.replace(id, target));
+      return res.status(404).json({ error: 'Institution not found' });
+    }
 
-    const [contacts, staff, utilities, services, photos, opening_hours, fees, ratios] = await Promise.all([
+    // ETag "<version>-<empreinte>" : version de l'institution (If-Match des écritures), puis
+    // ligne, libellés et dernière révision d'audit (toute écriture d'une sous-ressource en
+    // crée une) ; 304 sans charger les sous-ressources
+    const { revision, ...institution } = instResult.rows[0];
+    setCacheControl(req, res, 'entity');
+    const etag = `"${institution.version}-${digest(JSON.stringify([institution, revision]))}"`;
+    if (notModified(req, res, etag)) return;
+
+    const [contacts, staff, utilities, services, photos, opening_hours, fees, ratios, exceptions] = await Promise.all([
       pool.query(`
         SELECT c.*, ct.code AS contact_type_code, ct.label AS contact_type_label 
         FROM contact c 
@@ -402,13 +560,14 @@ router.get('/:id', validateUUID, async (req, res) => {
       `, [id]),
       pool.query('SELECT * FROM service WHERE institution_id=$1', [id]),
       pool.query('SELECT * FROM photo WHERE institution_id=$1', [id]),
-      pool.query('SELECT * FROM opening_hour WHERE institution_id=$1 ORDER BY day_of_week', [id]),
+      pool.query('SELECT * FROM opening_hour WHERE institution_id=$1 ORDER BY day_of_week, open_time', [id]),
       pool.query('SELECT * FROM education_fee WHERE institution_id=$1', [id]),
-      pool.query('SELECT * FROM institution_ratio WHERE institution_id=$1 ORDER BY year DESC', [id])
+      pool.query('SELECT * FROM institution_ratio WHERE institution_id=$1 ORDER BY year DESC', [id]),
+      pool.query('SELECT * FROM opening_exception WHERE institution_id=$1 ORDER BY start_date', [id])
     ]);
 
     res.json({
-      institution: instResult.rows[0],
+      institution,
       contacts: contacts.rows,
       staff: staff.rows,
       utilities: utilities.rows,
@@ -416,7 +575,8 @@ router.get('/:id', validateUUID, async (req, res) => {
       photos: photos.rows,
       opening_hours: opening_hours.rows,
       education_fees: fees.rows,
-      ratios: ratios.rows
+      ratios: ratios.rows,
+      opening_exceptions: exceptions.rows
     });
   } catch (err) {
     console.error(err);
@@ -427,34 +587,12 @@ router.get('/:id', validateUUID, async (req, res) => {
 // =====================
 // POST create institution
 // =====================
-router.post('/', async (req, res) => {
+router.post('/', requireEditor, validate({ body: createInstitutionSchema }), async (req, res) => {
   try {
-    const {
-      category_id, subtype_id, name, label, description, lat, lng,
-      region_id, district_id, commune_id, street_id, established,
-      capacity, last_renovation, accreditation, phone_principal,
-      email_principal, website, status, building_condition
-    } = req.body;
-
-    if (!name || !category_id || !subtype_id) return res.status(400).json({ error: 'Required fields missing' });
-    if (lat && (lat < -90 || lat > 90)) return res.status(400).json({ error: 'Invalid latitude' });
-    if (lng && (lng < -180 || lng > 180)) return res.status(400).json({ error: 'Invalid longitude' });
-    if (email_principal && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email_principal)) return res.status(400).json({ error: 'Invalid email' });
-
-    const id = uuidv4();
-    const query = `
-      INSERT INTO institution (
-        id, category_id, subtype_id, name, label, description, lat, lng,
-        region_id, district_id, commune_id, street_id, established, capacity,
-        last_renovation, accreditation, phone_principal, email_principal,
-        website, status, building_condition, last_update
-      ) VALUES (
-        $1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,$18,$19,$20,$21,NOW()
-      ) RETURNING *`;
-    const values = [id, category_id, subtype_id, name, label, description, lat, lng, region_id, district_id, commune_id, street_id, established, capacity, last_renovation, accreditation, phone_principal, email_principal, website, status, building_condition];
-    const result = await pool.query(query, values);
-    res.status(201).json({ message: 'Institution created', data: result.rows[0] });
+    const created = await withTransaction(client => createInstitution(client, req.body, { user: req.user }));
+    res.status(201).json({ message: 'Institution created', data: created });
   } catch (err) {
+    if (err instanceof LocationError) return locationFailed(res, err);
     console.error(err);
     if (err.code === '23505') return res.status(409).json({ error: 'Institution name already exists' });
     if (err.code === '23503') return res.status(400).json({ error: 'Invalid foreign key' });
@@ -463,56 +601,145 @@ router.post('/', async (req, res) => {
 });
 
 // =====================
-// PUT update institution
+// PUT / PATCH update institution : mise à jour partielle (PATCH en JSON Merge Patch, null
+// efface un champ) ; If-Match : 412 si l'institution a changé depuis cette version
 // =====================
-router.put('/:id', validateUUID, async (req, res) => {
+['put', 'patch'].forEach(method => {
+  router[method]('/:id', requireEditor, validate({ params: routeParams, body: updateInstitutionSchema }), async (req, res) => {
+    try {
+      const { id } = req.params;
+      const updated = await withTransaction(client => updateInstitution(client, id, req.body, {
+        user: req.user, expectedVersion: ifMatchVersions(req.get('If-Match'))
+      }));
+      if (!updated) return res.status(404).json({ error: 'Institution not found' });
+      res.set('ETag', versionEtag(updated));
+      res.json({ message: 'Updated successfully', data: updated });
+    } catch (err) {
+      if (err instanceof VersionConflictError) return versionConflict(res, err);
+      if (err instanceof LocationError) return locationFailed(res, err);
+      console.error(err);
+      if (err.code === '23505') return res.status(409).json({ error: 'Institution name already exists' });
+      if (err.code === '23503') return res.status(400).json({ error: 'Invalid foreign key' });
+      res.status(500).json({ error: 'Server error', details: err.message });
+    }
+  });
+});
+
+// =====================
+// DELETE institution (suppression logique)
+// =====================
+router.delete('/:id', requireEditor, validateParams, async (req,res)=>{
+  try{
+    const {id} = req.params;
+    const deleted = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM institution WHERE id=$1 AND deleted_at IS NULL FOR UPDATE',[id]);
+      if(!before.rows.length) return null;
+      checkVersion(before.rows[0], ifMatchVersions(req.get('If-Match')));
+
+      const result = await client.query(
+        `UPDATE institution SET deleted_at=NOW(), deleted_by=$1, last_update=NOW(), updated_by=$1
+         WHERE id=$2 RETURNING *`,
+        [actorId(req), id]
+      );
+      await auditWriter(client, req.user).record({
+        institutionId: id, entityType: 'institution', entityId: id, action: 'delete',
+        before: before.rows[0], after: result.rows[0]
+      });
+      return result.rows[0];
+    });
+    if(!deleted) return res.status(404).json({ error:'Institution not found' });
+    res.json({ message:'Institution deleted', deleted_id:id, deleted_at: deleted.deleted_at });
+  }catch(err){
+    if (err instanceof VersionConflictError) return versionConflict(res, err);
+    console.error(err);
+    res.status(500).json({ error:'Server error', details:err.message });
+  }
+});
+
+// Restauration d'une institution supprimée logiquement
+router.post('/:id/restore', requireEditor, validateParams, async (req, res) => {
   try {
     const { id } = req.params;
-    const allowedFields = [
-      'category_id','subtype_id','name','label','description','lat','lng',
-      'region_id','district_id','commune_id','street_id','established',
-      'capacity','last_renovation','accreditation','phone_principal',
-      'email_principal','website','status','building_condition'
-    ];
-    const updates = Object.keys(req.body).filter(k => allowedFields.includes(k)).reduce((obj,k)=>{obj[k]=req.body[k];return obj;},{});
-    if (!Object.keys(updates).length) return res.status(400).json({ error: 'No valid fields' });
-
-    const fields = Object.keys(updates);
-    const values = Object.values(updates);
-    const setQuery = fields.map((f,i)=>`${f}=$${i+1}`).join(',');
-    const query = `UPDATE institution SET ${setQuery}, last_update=NOW() WHERE id=$${fields.length+1} RETURNING *`;
-    const result = await pool.query(query, [...values,id]);
-    if (!result.rows.length) return res.status(404).json({ error: 'Institution not found' });
-    res.json({ message: 'Updated successfully', data: result.rows[0] });
+    const restored = await withTransaction(async (client) => {
+      const before = await client.query('SELECT * FROM institution WHERE id=$1 AND deleted_at IS NOT NULL FOR UPDATE', [id]);
+      if (!before.rows.length) return null;
+      checkVersion(before.rows[0], ifMatchVersions(req.get('If-Match')));
+
+      const result = await client.query(
+        `UPDATE institution SET deleted_at=NULL, deleted_by=NULL, merged_into=NULL, last_update=NOW(), updated_by=$1
+         WHERE id=$2 RETURNING *`,
+        [actorId(req), id]
+      );
+      await auditWriter(client, req.user).record({
+        institutionId: id, entityType: 'institution', entityId: id, action: 'restore',
+        before: before.rows[0], after: result.rows[0]
+      });
+      return result.rows[0];
+    });
+    if (!restored) return res.status(404).json({ error: 'Deleted institution not found' });
+    res.set('ETag', versionEtag(restored));
+    res.json({ message: 'Institution restored', data: restored });
   } catch (err) {
+    if (err instanceof VersionConflictError) return versionConflict(res, err);
     console.error(err);
+    if (err.code === '23505') return res.status(409).json({ error: 'An active institution already uses this name' });
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-// =====================
-// DELETE institution
-// =====================
-router.delete('/:id', validateUUID, async (req,res)=>{
-  try{
-    const {id} = req.params;
-    const exists = await pool.query('SELECT id FROM institution WHERE id=$1',[id]);
-    if(!exists.rows.length) return res.status(404).json({ error:'Institution not found' });
-
-    await pool.query('BEGIN');
-    try{
-      const tables = ['contact','institution_staff','institution_utility','service','photo','opening_hour','education_fee','institution_ratio'];
-      for(const t of tables){ await pool.query(`DELETE FROM ${t} WHERE institution_id=$1`,[id]); }
-      await pool.query('DELETE FROM institution WHERE id=$1',[id]);
-      await pool.query('COMMIT');
-      res.json({ message:'Institution deleted', deleted_id:id });
-    }catch(e){
-      await pool.query('ROLLBACK');
-      throw e;
+// Fusionne l'institution absorbée (absorbed_id) dans l'institution :id ;
+// ?mode=dry_run renvoie l'aperçu (champs résolus, conflits, sous-ressources) sans écrire
+router.post('/:id/merge', requireEditor, validate({ params: routeParams, query: mergeQuery, body: mergeSchema }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { absorbed_id, fields = {} } = req.body;
+    if (absorbed_id === id) return res.status(400).json({ error: 'An institution cannot be merged into itself' });
+
+    if (req.query.mode === 'dry_run') {
+      const preview = await withTransaction(client => previewMerge(client, id, absorbed_id, fields));
+      return res.json({ mode: 'dry_run', ...preview });
     }
-  }catch(err){
+    const result = await withTransaction(client => mergeInstitutions(client, id, absorbed_id, fields, { user: req.user }));
+    res.json({ message: 'Institutions merged', mode: 'commit', ...result });
+  } catch (err) {
+    if (err instanceof MergeError) return res.status(err.status).json({ error: err.message });
+    if (err instanceof LocationError) return locationFailed(res, err);
     console.error(err);
-    res.status(500).json({ error:'Server error', details:err.message });
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+});
+
+// Purge (admin) : suppression physique en cascade d'une institution déjà supprimée logiquement
+router.delete('/:id/purge', requireAdmin, validateParams, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const removedPhotos = [];
+    const outcome = await withTransaction(async (client) => {
+      const exists = await client.query('SELECT * FROM institution WHERE id=$1 FOR UPDATE', [id]);
+      if (!exists.rows.length) return 'not_found';
+      if (!exists.rows[0].deleted_at) return 'active';
+
+      // Chaque ligne supprimée est journalisée dans le même change set
+      const audit = auditWriter(client, req.user);
+      for (const t of institutionChildTables) {
+        const removed = await client.query(`DELETE FROM ${t} WHERE institution_id=$1 RETURNING *`, [id]);
+        if (t === 'photo') removedPhotos.push(...removed.rows);
+        for (const row of removed.rows) {
+          await audit.record({ institutionId: id, entityType: entityTypeForTable(t), entityId: row.id, action: 'purge', before: row });
+        }
+      }
+      await client.query('DELETE FROM institution WHERE id=$1', [id]);
+      await audit.record({ institutionId: id, entityType: 'institution', entityId: id, action: 'purge', before: exists.rows[0] });
+      return 'purged';
+    });
+    if (outcome === 'not_found') return res.status(404).json({ error: 'Institution not found' });
+    if (outcome === 'active') return res.status(409).json({ error: 'Institution must be deleted before it can be purged' });
+    // Fichiers supprimés une fois la transaction validée
+    await removePhotoFiles(removedPhotos);
+    res.json({ message: 'Institution purged', purged_id: id });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
@@ -521,7 +748,7 @@ router.delete('/:id', validateUUID, async (req,res)=>{
 // =====================
 
 // Opening Hours - Routes spécialisées
-router.get('/:id/opening-hours', validateUUID, async (req, res) => {
+router.get('/:id/opening-hours', validate({ params: routeParams, query: noQuery }), async (req, res) => {
   try {
     const { id } = req.params;
     const query = `
@@ -533,7 +760,7 @@ router.get('/:id/opening-hours', validateUUID, async (req, res) => {
         END as day_name
       FROM opening_hour oh 
       WHERE oh.institution_id = $1 
-      ORDER BY oh.day_of_week
+      ORDER BY oh.day_of_week, oh.open_time
     `;
     const result = await pool.query(query, [id]);
     res.json(result.rows);
@@ -543,140 +770,235 @@ router.get('/:id/opening-hours', validateUUID, async (req, res) => {
   }
 });
 
-router.post('/:id/opening-hours', validateUUID, async (req, res) => {
+router.post('/:id/opening-hours', requireEditor, validate({ params: routeParams, body: openingHourSchema.tailor('create') }), async (req, res) => {
   try {
     const { id } = req.params;
     const { day_of_week, open_time, close_time } = req.body;
-    
-    if (day_of_week === undefined || day_of_week < 1 || day_of_week > 7) {
-      return res.status(400).json({ error: 'day_of_week must be between 1 and 7' });
-    }
-
-    // Vérifier si l'horaire existe déjà pour ce jour
-    const existing = await pool.query(
-      'SELECT id FROM opening_hour WHERE institution_id = $1 AND day_of_week = $2',
-      [id, day_of_week]
-    );
-
-    if (existing.rows.length > 0) {
-      return res.status(409).json({ error: 'Opening hour already exists for this day' });
-    }
 
     const ohId = uuidv4();
     const query = `
       INSERT INTO opening_hour (id, institution_id, day_of_week, open_time, close_time) 
       VALUES ($1, $2, $3, $4, $5) RETURNING *
     `;
-    const result = await pool.query(query, [ohId, id, day_of_week, open_time, close_time]);
-    res.status(201).json({ message: 'Opening hour created', data: result.rows[0] });
+    const created = await auditedChildWrite(req,
+      { table: 'opening_hour', entityType: 'opening_hours', institutionId: id, itemId: ohId, action: 'create' },
+      (client) => client.query(query, [ohId, id, day_of_week, open_time, close_time])
+    );
+    if (!created) return res.status(404).json({ error: 'Institution not found' });
+    res.status(201).json({ message: 'Opening hour created', data: created });
   } catch (err) {
     console.error(err);
     if (err.code === '23503') return res.status(400).json({ error: 'Invalid institution_id' });
+    if (err.code === '23P01') return res.status(409).json({ error: 'Opening hours overlap an existing slot for this day' });
+    if (err.code === '23514') return constraintFailed(res, err);
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-router.put('/:id/opening-hours/:ohId', validateUUID, async (req, res) => {
-  try {
-    const { id, ohId } = req.params;
-    const { day_of_week, open_time, close_time } = req.body;
+// PUT / PATCH (JSON Merge Patch) ; If-Match : 412 si la plage a changé
+['put', 'patch'].forEach(method => {
+  router[method]('/:id/opening-hours/:ohId', requireEditor, validate({ params: routeParams, body: openingHourSchema.tailor('update') }), async (req, res) => {
+    try {
+      const { id, ohId } = req.params;
+      const updates = req.body;
+      const fields = Object.keys(updates);
+      const values = Object.values(updates);
+      const setQuery = fields.map((f, i) => `${f}=$${i + 1}`).join(',');
+      const query = `
+        UPDATE opening_hour SET ${setQuery} 
+        WHERE id=$${fields.length + 1} AND institution_id=$${fields.length + 2} 
+        RETURNING *
+      `;
     
-    const updates = {};
-    if (day_of_week !== undefined) {
-      if (day_of_week < 1 || day_of_week > 7) {
-        return res.status(400).json({ error: 'day_of_week must be between 1 and 7' });
-      }
-      updates.day_of_week = day_of_week;
+      const updated = await auditedChildWrite(req,
+        { table: 'opening_hour', entityType: 'opening_hours', institutionId: id, itemId: ohId, action: 'update' },
+        (client) => client.query(query, [...values, ohId, id])
+      );
+      if (!updated) return res.status(404).json({ error: 'Opening hour not found' });
+      res.set('ETag', versionEtag(updated));
+      res.json({ message: 'Opening hour updated', data: updated });
+    } catch (err) {
+      if (err instanceof VersionConflictError) return versionConflict(res, err);
+      console.error(err);
+      if (err.code === '23514') return constraintFailed(res, err);
+      if (err.code === '23P01') return res.status(409).json({ error: 'Opening hours overlap an existing slot for this day' });
+      res.status(500).json({ error: 'Server error', details: err.message });
     }
-    if (open_time !== undefined) updates.open_time = open_time;
-    if (close_time !== undefined) updates.close_time = close_time;
+  });
+});
 
-    if (!Object.keys(updates).length) {
-      return res.status(400).json({ error: 'At least one field is required' });
-    }
+router.delete('/:id/opening-hours/:ohId', requireEditor, validateParams, async (req, res) => {
+  try {
+    const { id, ohId } = req.params;
+    const deleted = await auditedChildWrite(req,
+      { table: 'opening_hour', entityType: 'opening_hours', institutionId: id, itemId: ohId, action: 'delete' },
+      (client) => client.query('DELETE FROM opening_hour WHERE id=$1 AND institution_id=$2', [ohId, id])
+    );
+    if (!deleted) return res.status(404).json({ error: 'Opening hour not found' });
+    res.json({ message: 'Opening hour deleted', deleted_id: ohId });
+  } catch (err) {
+    if (err instanceof VersionConflictError) return versionConflict(res, err);
+    console.error(err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+});
+
+// Ouvert / fermé à un instant (maintenant par défaut), exceptions datées comprises
+router.get('/:id/open-status', validate({ params: routeParams, query: openStatusQuery }), resolveIncludeDeleted, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const exists = await pool.query(
+      `SELECT id FROM institution WHERE id = $1${req.includeDeleted ? '' : ' AND deleted_at IS NULL'}`,
+      [id]
+    );
+    if (!exists.rows.length) return res.status(404).json({ error: 'Institution not found' });
+
+    const at = req.query.at && req.query.at !== 'now' ? new Date(req.query.at) : new Date();
+    const schedule = await loadSchedule(pool, id);
+    res.json({ institution_id: id, ...openStatus(schedule, at) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+});
+
+// =====================
+// Photos : envoi de fichiers (multipart) et service des images
+// Le POST JSON { url } générique reste possible pour une photo hébergée ailleurs.
+// =====================
 
-    const fields = Object.keys(updates);
-    const values = Object.values(updates);
-    const setQuery = fields.map((f, i) => `${f}=$${i + 1}`).join(',');
+const photoUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: PHOTO_MAX_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    if (PHOTO_TYPES[file.mimetype]) return cb(null, true);
+    cb(new PhotoError(`Unsupported file type ${file.mimetype}. Allowed: ${Object.keys(PHOTO_TYPES).join(', ')}`, 415));
+  }
+});
+
+// Image attendue dans le champ multipart "file" ; un corps JSON passe à la route générique
+function uploadPhotoFile(req, res, next) {
+  if (!req.is('multipart/form-data')) return next('route');
+  photoUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    if (err.code === 'LIMIT_FILE_SIZE') return res.status(413).json({ error: `File too large (max ${PHOTO_MAX_BYTES} bytes)` });
+    res.status(err.status || 400).json({ error: err.message });
+  });
+}
+
+router.post('/:id/photos', requireEditor, validateParams, uploadPhotoFile, validate({ body: photoUploadSchema }), async (req, res) => {
+  const { id } = req.params;
+  const photoId = uuidv4();
+  let files = null;
+  try {
+    if (!req.file) return res.status(400).json({ error: 'An image is required in field "file"' });
+
+    const processed = await processPhoto(req.file.buffer, req.file.mimetype);
+    files = await storePhotoFiles(id, photoId, processed);
+    const row = {
+      url: `/api/v1/institutions/${id}/photos/${photoId}/file`,
+      caption: req.body.caption,
+      credit: req.body.credit,
+      original_filename: req.file.originalname ? req.file.originalname.slice(0, 255) : null,
+      ...files,
+      thumbnails: JSON.stringify(files.thumbnails)
+    };
+    const columns = Object.keys(row);
     const query = `
-      UPDATE opening_hour SET ${setQuery} 
-      WHERE id=$${fields.length + 1} AND institution_id=$${fields.length + 2} 
-      RETURNING *
+      INSERT INTO photo (id, institution_id, ${columns.join(', ')}, uploaded_at)
+      VALUES ($1, $2, ${columns.map((_, i) => `$${i + 3}`).join(', ')}, NOW()) RETURNING *
     `;
-    
-    const result = await pool.query(query, [...values, ohId, id]);
-    if (!result.rows.length) return res.status(404).json({ error: 'Opening hour not found' });
-    res.json({ message: 'Opening hour updated', data: result.rows[0] });
+    const created = await auditedChildWrite(req,
+      { table: 'photo', entityType: 'photos', institutionId: id, itemId: photoId, action: 'create' },
+      (client) => client.query(query, [photoId, id, ...Object.values(row)])
+    );
+    if (!created) {
+      await removePhotoFiles([files]);
+      return res.status(404).json({ error: 'Institution not found' });
+    }
+    res.status(201).json({ message: 'photo created', data: created });
   } catch (err) {
+    if (files) await removePhotoFiles([files]);
+    if (err instanceof PhotoError) return res.status(err.status).json({ error: err.message });
     console.error(err);
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-router.delete('/:id/opening-hours/:ohId', validateUUID, async (req, res) => {
+// ?size=small|medium|large (miniatures WebP) ; original par défaut
+router.get('/:id/photos/:itemId/file', validate({ params: routeParams, query: photoFileQuery }), resolveIncludeDeleted, async (req, res) => {
   try {
-    const { id, ohId } = req.params;
-    const result = await pool.query(
-      'DELETE FROM opening_hour WHERE id=$1 AND institution_id=$2 RETURNING *',
-      [ohId, id]
-    );
-    if (!result.rows.length) return res.status(404).json({ error: 'Opening hour not found' });
-    res.json({ message: 'Opening hour deleted', deleted_id: ohId });
+    const { id, itemId } = req.params;
+    const result = await pool.query(`
+      SELECT p.* FROM photo p
+      JOIN institution i ON i.id = p.institution_id
+      WHERE p.id = $1 AND p.institution_id = $2${req.includeDeleted ? '' : ' AND i.deleted_at IS NULL'}
+    `, [itemId, id]);
+    if (!result.rows.length) return res.status(404).json({ error: 'photo not found' });
+
+    const file = photoFile(result.rows[0], req.query.size || 'original');
+    if (!file) return res.status(404).json({ error: 'Photo has no uploaded file' });
+
+    res.set('Cache-Control', PHOTO_CACHE_CONTROL);
+    res.set('ETag', `"${file.checksum}"`);
+    if (req.fresh) return res.status(304).end();
+
+    const data = await getStorage().get(file.key);
+    if (!data) return res.status(404).json({ error: 'Photo file not found' });
+    res.type(file.mimeType).send(data);
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Server error', details: err.message });
   }
 });
 
-// Relations génériques avec CRUD complet
-const relations = [
-  { 
-    name: 'contacts', 
-    table: 'contact', 
-    fields: ['contact_type_id', 'value'],
-    required: ['contact_type_id', 'value']
-  },
-  { 
-    name: 'staff', 
-    table: 'institution_staff', 
-    fields: ['staff_type_id', 'quantity'],
-    required: ['staff_type_id', 'quantity']
-  },
-  { 
-    name: 'utilities', 
-    table: 'institution_utility',
-    fields: ['utility_type_id', 'availability'],
-    required: ['utility_type_id']
-  },
-  { 
-    name: 'services', 
-    table: 'service', 
-    fields: ['service_code', 'name', 'description'],
-    required: ['service_code', 'name']
-  },
-  { 
-    name: 'photos', 
-    table: 'photo', 
-    fields: ['url', 'caption', 'credit'],
-    required: ['url']
-  },
-  { 
-    name: 'education_fees', 
-    table: 'education_fee', 
-    fields: ['level', 'amount', 'currency', 'description'],
-    required: ['level', 'amount']
-  },
-  { 
-    name: 'ratios', 
-    table: 'institution_ratio', 
-    fields: ['ratio_type', 'value', 'year'],
-    required: ['ratio_type', 'value']
+// =====================
+// Historique des modifications (audit_log)
+// =====================
+router.get('/:id/history', validate({ params: routeParams, query: historyQuery }), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { entity_type, limit = 50, offset = 0 } = req.query;
+    const rows = await getHistory(pool, id, {
+      entityType: entity_type,
+      limit: parseInt(limit),
+      offset: parseInt(offset)
+    });
+    res.json({ data: rows, count: rows.length, limit: parseInt(limit), offset: parseInt(offset) });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error', details: err.message });
   }
-];
+});
+
+// Annule la révision (et tout son change set) dans une seule transaction
+router.post('/:id/history/:revisionId/revert', requireEditor, validateParams, async (req, res) => {
+  try {
+    const { id, revisionId } = req.params;
+    const result = await withTransaction(async (client) => {
+      // Comme PUT / PATCH : pas sur une institution supprimée (voir /restore), If-Match vérifié
+      const institution = await client.query('SELECT * FROM institution WHERE id=$1 AND deleted_at IS NULL FOR UPDATE', [id]);
+      if (!institution.rows.length) return { missing: 'Institution not found' };
+      checkVersion(institution.rows[0], ifMatchVersions(req.get('If-Match')));
+      const reverted = await revertRevision(client, id, revisionId, req.user);
+      return reverted ? { reverted } : { missing: 'Revision not found' };
+    });
+    if (result.missing) return res.status(404).json({ error: result.missing });
+    res.json({ message: 'Revision reverted', data: result.reverted });
+  } catch (err) {
+    if (err instanceof VersionConflictError) return versionConflict(res, err);
+    console.error(err);
+    if (err.code === '23505') return res.status(409).json({ error: 'Revert conflicts with existing data' });
+    if (err.code === '23503') return res.status(409).json({ error: 'Revert conflicts with related records' });
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+});
+
+// Relations génériques avec CRUD complet (définies dans db/entities.js)
 
 relations.forEach(r => {
   // GET - Liste des éléments
-  router.get(`/:id/${r.name}`, validateUUID, async (req, res) => {
+  router.get(`/:id/${r.name}`, validate({ params: routeParams, query: noQuery }), async (req, res) => {
     try {
       const { id } = req.params;
       let query = `SELECT * FROM ${r.table} WHERE institution_id=$1`;
@@ -688,6 +1010,8 @@ relations.forEach(r => {
         query += ' ORDER BY level, amount';
       } else if (r.name === 'staff') {
         query += ' ORDER BY quantity DESC';
+      } else if (r.name === 'opening_exceptions') {
+        query += ' ORDER BY start_date, end_date';
       }
       
       const result = await pool.query(query, [id]);
@@ -699,7 +1023,7 @@ relations.forEach(r => {
   });
 
   // GET - Élément spécifique
-  router.get(`/:id/${r.name}/:itemId`, validateUUID, async (req, res) => {
+  router.get(`/:id/${r.name}/:itemId`, validateParams, async (req, res) => {
     try {
       const { id, itemId } = req.params;
       const result = await pool.query(
@@ -709,6 +1033,7 @@ relations.forEach(r => {
       if (!result.rows.length) {
         return res.status(404).json({ error: `${r.name.slice(0, -1)} not found` });
       }
+      if (notModified(req, res, versionEtag(result.rows[0]))) return;
       res.json(result.rows[0]);
     } catch (err) {
       console.error(err);
@@ -717,31 +1042,26 @@ relations.forEach(r => {
   });
 
   // POST - Créer un nouvel élément
-  router.post(`/:id/${r.name}`, validateUUID, async (req, res) => {
+  router.post(`/:id/${r.name}`, requireEditor, validate({ params: routeParams, body: relationSchemas[r.name].tailor('create') }), async (req, res) => {
     try {
       const { id } = req.params;
-      
-      // Vérifier les champs requis
-      const missingFields = r.required.filter(field => !req.body.hasOwnProperty(field));
-      if (missingFields.length > 0) {
-        return res.status(400).json({ 
-          error: `Missing required fields for ${r.name}: ${missingFields.join(', ')}` 
-        });
-      }
-
-      const values = r.fields.map(f => req.body[f]);
+      const values = r.fields.map(f => columnValue(req.body[f]));
       const itemId = uuidv4();
       
-      const placeholders = r.fields.map((_, i) => `${i + 3}`).join(',');
+      const placeholders = r.fields.map((_, i) => `$${i + 3}`).join(',');
       const query = `
         INSERT INTO ${r.table} (id, institution_id, ${r.fields.join(',')}) 
         VALUES ($1, $2, ${placeholders}) RETURNING *
       `;
       
-      const result = await pool.query(query, [itemId, id, ...values]);
+      const created = await auditedChildWrite(req,
+        { table: r.table, entityType: r.name, institutionId: id, itemId, action: 'create' },
+        (client) => client.query(query, [itemId, id, ...values])
+      );
+      if (!created) return res.status(404).json({ error: 'Institution not found' });
       res.status(201).json({ 
         message: `${r.name.slice(0, -1)} created`, 
-        data: result.rows[0] 
+        data: created 
       });
     } catch (err) {
       console.error(err);
@@ -751,74 +1071,74 @@ relations.forEach(r => {
       if (err.code === '23505') {
         return res.status(409).json({ error: 'Duplicate entry' });
       }
+      if (err.code === '23514') return constraintFailed(res, err);
       res.status(500).json({ error: 'Server error', details: err.message });
     }
   });
 
-  // PUT - Mettre à jour un élément
-  router.put(`/:id/${r.name}/:itemId`, validateUUID, async (req, res) => {
-    try {
-      const { id, itemId } = req.params;
+  // PUT / PATCH (JSON Merge Patch) - Mettre à jour un élément ; If-Match : 412 s'il a changé
+  ['put', 'patch'].forEach(method => {
+    router[method](`/:id/${r.name}/:itemId`, requireEditor, validate({ params: routeParams, body: relationSchemas[r.name].tailor('update') }), async (req, res) => {
+      try {
+        const { id, itemId } = req.params;
       
-      // Filtrer les champs valides
-      const updates = {};
-      r.fields.forEach(field => {
-        if (req.body.hasOwnProperty(field)) {
-          updates[field] = req.body[field];
-        }
-      });
-
-      if (!Object.keys(updates).length) {
-        return res.status(400).json({ error: 'No valid fields to update' });
-      }
-
-      const fields = Object.keys(updates);
-      const values = Object.values(updates);
-      const setQuery = fields.map((f, i) => `${f}=${i + 1}`).join(',');
+        const updates = req.body;
+        const fields = Object.keys(updates);
+        const values = Object.values(updates).map(columnValue);
+        const setQuery = fields.map((f, i) => `${f}=$${i + 1}`).join(',');
       
-      const query = `
-        UPDATE ${r.table} SET ${setQuery} 
-        WHERE id=${fields.length + 1} AND institution_id=${fields.length + 2} 
-        RETURNING *
-      `;
+        const query = `
+          UPDATE ${r.table} SET ${setQuery} 
+          WHERE id=$${fields.length + 1} AND institution_id=$${fields.length + 2} 
+          RETURNING *
+        `;
       
-      const result = await pool.query(query, [...values, itemId, id]);
-      if (!result.rows.length) {
-        return res.status(404).json({ error: `${r.name.slice(0, -1)} not found` });
-      }
+        const updated = await auditedChildWrite(req,
+          { table: r.table, entityType: r.name, institutionId: id, itemId, action: 'update' },
+          (client) => client.query(query, [...values, itemId, id])
+        );
+        if (!updated) {
+          return res.status(404).json({ error: `${r.name.slice(0, -1)} not found` });
+        }
       
-      res.json({ 
-        message: `${r.name.slice(0, -1)} updated`, 
-        data: result.rows[0] 
-      });
-    } catch (err) {
-      console.error(err);
-      if (err.code === '23503') {
-        return res.status(400).json({ error: 'Invalid foreign key reference' });
-      }
-      if (err.code === '23505') {
-        return res.status(409).json({ error: 'Duplicate entry' });
+        res.set('ETag', versionEtag(updated));
+        res.json({ 
+          message: `${r.name.slice(0, -1)} updated`, 
+          data: updated 
+        });
+      } catch (err) {
+        if (err instanceof VersionConflictError) return versionConflict(res, err);
+        console.error(err);
+        if (err.code === '23503') {
+          return res.status(400).json({ error: 'Invalid foreign key reference' });
+        }
+        if (err.code === '23505') {
+          return res.status(409).json({ error: 'Duplicate entry' });
+        }
+        if (err.code === '23514') return constraintFailed(res, err);
+        res.status(500).json({ error: 'Server error', details: err.message });
       }
-      res.status(500).json({ error: 'Server error', details: err.message });
-    }
+    });
   });
 
-  // DELETE - Supprimer un élément
-  router.delete(`/:id/${r.name}/:itemId`, validateUUID, async (req, res) => {
+  // DELETE - Supprimer un élément (et les fichiers d'une photo, qu'un revert ne restaure pas)
+  router.delete(`/:id/${r.name}/:itemId`, requireEditor, validateParams, async (req, res) => {
     try {
       const { id, itemId } = req.params;
-      const result = await pool.query(
-        `DELETE FROM ${r.table} WHERE id=$1 AND institution_id=$2 RETURNING *`,
-        [itemId, id]
+      const deleted = await auditedChildWrite(req,
+        { table: r.table, entityType: r.name, institutionId: id, itemId, action: 'delete' },
+        (client) => client.query(`DELETE FROM ${r.table} WHERE id=$1 AND institution_id=$2`, [itemId, id])
       );
-      if (!result.rows.length) {
+      if (!deleted) {
         return res.status(404).json({ error: `${r.name.slice(0, -1)} not found` });
       }
+      if (r.table === 'photo') await removePhotoFiles([deleted]);
       res.json({ 
         message: `${r.name.slice(0, -1)} deleted`, 
         deleted_id: itemId 
       });
     } catch (err) {
+      if (err instanceof VersionConflictError) return versionConflict(res, err);
       console.error(err);
       res.status(500).json({ error: 'Server error', details: err.message });
     }
@@ -829,246 +1149,35 @@ relations.forEach(r => {
 // ROUTES GÉOGRAPHIQUES
 // =====================
 
-// Regions
-router.get('/geo/regions', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM region ORDER BY name');
-    res.json(result.rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error', details: err.message });
-  }
-});
-
-router.post('/geo/regions', async (req, res) => {
-  try {
-    const { code, name } = req.body;
-    if (!code || !name) return res.status(400).json({ error: 'Code and name are required' });
-
-    const id = uuidv4();
-    const query = 'INSERT INTO region (id, code, name) VALUES ($1, $2, $3) RETURNING *';
-    const result = await pool.query(query, [id, code, name]);
-    res.status(201).json({ message: 'Region created', data: result.rows[0] });
-  } catch (err) {
-    console.error(err);
-    if (err.code === '23505') return res.status(409).json({ error: 'Region code already exists' });
-    res.status(500).json({ error: 'Server error', details: err.message });
-  }
-});
-
-// Districts
-router.get('/geo/districts', async (req, res) => {
-  try {
-    const { region_id } = req.query;
-    let query = `
-      SELECT d.*, r.name as region_name 
-      FROM district d 
-      JOIN region r ON d.region_id = r.id
-    `;
-    const params = [];
-    
-    if (region_id) {
-      query += ' WHERE d.region_id = $1';
-      params.push(region_id);
-    }
-    
-    query += ' ORDER BY r.name, d.name';
-    const result = await pool.query(query, params);
-    res.json(result.rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error', details: err.message });
-  }
-});
-
-router.post('/geo/districts', async (req, res) => {
-  try {
-    const { region_id, code, name } = req.body;
-    if (!region_id || !code || !name) {
-      return res.status(400).json({ error: 'region_id, code and name are required' });
-    }
-
-    const id = uuidv4();
-    const query = 'INSERT INTO district (id, region_id, code, name) VALUES ($1, $2, $3, $4) RETURNING *';
-    const result = await pool.query(query, [id, region_id, code, name]);
-    res.status(201).json({ message: 'District created', data: result.rows[0] });
-  } catch (err) {
-    console.error(err);
-    if (err.code === '23505') return res.status(409).json({ error: 'District code already exists' });
-    if (err.code === '23503') return res.status(400).json({ error: 'Invalid region_id' });
-    res.status(500).json({ error: 'Server error', details: err.message });
-  }
-});
-
-// Communes
-router.get('/geo/communes', async (req, res) => {
-  try {
-    const { district_id } = req.query;
-    let query = `
-      SELECT c.*, d.name as district_name, r.name as region_name 
-      FROM commune c 
-      JOIN district d ON c.district_id = d.id
-      JOIN region r ON d.region_id = r.id
-    `;
-    const params = [];
-    
-    if (district_id) {
-      query += ' WHERE c.district_id = $1';
-      params.push(district_id);
-    }
-    
-    query += ' ORDER BY r.name, d.name, c.name';
-    const result = await pool.query(query, params);
-    res.json(result.rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error', details: err.message });
-  }
-});
-
-router.post('/geo/communes', async (req, res) => {
-  try {
-    const { district_id, code, name } = req.body;
-    if (!district_id || !code || !name) {
-      return res.status(400).json({ error: 'district_id, code and name are required' });
-    }
-
-    const id = uuidv4();
-    const query = 'INSERT INTO commune (id, district_id, code, name) VALUES ($1, $2, $3, $4) RETURNING *';
-    const result = await pool.query(query, [id, district_id, code, name]);
-    res.status(201).json({ message: 'Commune created', data: result.rows[0] });
-  } catch (err) {
-    console.error(err);
-    if (err.code === '23505') return res.status(409).json({ error: 'Commune code already exists' });
-    if (err.code === '23503') return res.status(400).json({ error: 'Invalid district_id' });
-    res.status(500).json({ error: 'Server error', details: err.message });
-  }
-});
-
-// Streets
-router.get('/geo/streets', async (req, res) => {
-  try {
-    const { commune_id } = req.query;
-    let query = `
-      SELECT s.*, c.name as commune_name, d.name as district_name, r.name as region_name 
-      FROM street s 
-      JOIN commune c ON s.commune_id = c.id
-      JOIN district d ON c.district_id = d.id
-      JOIN region r ON d.region_id = r.id
-    `;
-    const params = [];
-    
-    if (commune_id) {
-      query += ' WHERE s.commune_id = $1';
-      params.push(commune_id);
-    }
-    
-    query += ' ORDER BY r.name, d.name, c.name, s.name';
-    const result = await pool.query(query, params);
-    res.json(result.rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error', details: err.message });
-  }
-});
-
-router.post('/geo/streets', async (req, res) => {
-  try {
-    const { commune_id, name, postal_code } = req.body;
-    if (!commune_id || !name) {
-      return res.status(400).json({ error: 'commune_id and name are required' });
+// Regions, Districts, Communes, Streets : liste (filtrée par parent) et création
+[
+  ['regions', ['region'], 'Region', { unique: 'Region code already exists' }],
+  ['districts', ['district', 'region'], 'District', { unique: 'District code already exists', parent: 'Invalid region_id' }],
+  ['communes', ['commune', 'district', 'region'], 'Commune', { unique: 'Commune code already exists', parent: 'Invalid district_id' }],
+  ['streets', ['street', 'commune', 'district', 'region'], 'Street', { parent: 'Invalid commune_id' }]
+].forEach(([name, tables, label, errors]) => {
+  router.get(`/geo/${name}`, validate({ query: geoListQueries[name] }), async (req, res) => {
+    try {
+      const repositories = getRepositories();
+      await sendReference(req, res, tables, () => repositories[name].list(req.query));
+    } catch (err) {
+      console.error(err);
+      res.status(500).json({ error: 'Server error', details: err.message });
     }
+  });
 
-    const id = uuidv4();
-    const query = 'INSERT INTO street (id, commune_id, name, postal_code) VALUES ($1, $2, $3, $4) RETURNING *';
-    const result = await pool.query(query, [id, commune_id, name, postal_code]);
-    res.status(201).json({ message: 'Street created', data: result.rows[0] });
-  } catch (err) {
-    console.error(err);
-    if (err.code === '23503') return res.status(400).json({ error: 'Invalid commune_id' });
-    res.status(500).json({ error: 'Server error', details: err.message });
-  }
-});
-
-// =====================
-// ROUTES STATISTIQUES
-// =====================
-
-// Statistiques générales
-router.get('/stats', async (req, res) => {
-  try {
-    const [
-      totalInstitutions,
-      institutionsByCategory,
-      institutionsByRegion,
-      institutionsByStatus,
-      avgCapacity
-    ] = await Promise.all([
-      pool.query('SELECT COUNT(*) as total FROM institution'),
-      pool.query(`
-        SELECT ic.label as category, COUNT(i.id) as count 
-        FROM institution_category ic 
-        LEFT JOIN institution i ON ic.id = i.category_id 
-        GROUP BY ic.id, ic.label 
-        ORDER BY count DESC
-      `),
-      pool.query(`
-        SELECT r.name as region, COUNT(i.id) as count 
-        FROM region r 
-        LEFT JOIN institution i ON r.id = i.region_id 
-        GROUP BY r.id, r.name 
-        ORDER BY count DESC
-      `),
-      pool.query(`
-        SELECT status, COUNT(*) as count 
-        FROM institution 
-        GROUP BY status 
-        ORDER BY count DESC
-      `),
-      pool.query('SELECT AVG(capacity) as avg_capacity FROM institution WHERE capacity IS NOT NULL')
-    ]);
-
-    res.json({
-      total_institutions: parseInt(totalInstitutions.rows[0].total),
-      by_category: institutionsByCategory.rows,
-      by_region: institutionsByRegion.rows,
-      by_status: institutionsByStatus.rows,
-      average_capacity: parseFloat(avgCapacity.rows[0].avg_capacity) || 0
-    });
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error', details: err.message });
-  }
-});
-
-// Recherche géospatiale (si lat/lng disponibles)
-router.get('/nearby', async (req, res) => {
-  try {
-    const { lat, lng, radius = 10 } = req.query;
-    
-    if (!lat || !lng) {
-      return res.status(400).json({ error: 'Latitude and longitude are required' });
+  router.post(`/geo/${name}`, requireAdmin, invalidatesReference(tables[0]), validate({ body: geoSchemas[name].tailor('create') }), async (req, res) => {
+    try {
+      const repositories = getRepositories();
+      const created = await repositories[name].create(req.body);
+      res.status(201).json({ message: `${label} created`, data: created });
+    } catch (err) {
+      console.error(err);
+      if (err instanceof UniqueViolationError && errors.unique) return res.status(409).json({ error: errors.unique });
+      if (err instanceof ForeignKeyViolationError && errors.parent) return res.status(400).json({ error: errors.parent });
+      res.status(500).json({ error: 'Server error', details: err.message });
     }
-
-    const query = `
-      SELECT i.*, ic.label as category_label,
-        (6371 * acos(cos(radians($1)) * cos(radians(i.lat)) * 
-         cos(radians(i.lng) - radians($2)) + sin(radians($1)) * 
-         sin(radians(i.lat)))) AS distance
-      FROM institution i
-      JOIN institution_category ic ON i.category_id = ic.id
-      WHERE i.lat IS NOT NULL AND i.lng IS NOT NULL
-      HAVING distance < $3
-      ORDER BY distance
-      LIMIT 50
-    `;
-    
-    const result = await pool.query(query, [parseFloat(lat), parseFloat(lng), parseFloat(radius)]);
-    res.json(result.rows);
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: 'Server error', details: err.message });
-  }
+  });
 });
 
 export default router;
\ No newline at end of file
@@ -0,0 +1,60 @@
+import express from 'express';
+import pool from '../config/db.js';
+import { resolveIncludeDeleted } from '../middleware/auth.js';
+import { setCacheControl } from '../middleware/httpCache.js';
+import { validate } from '../middleware/validate.js';
+import { routeParams } from '../validation/common.js';
+import { mapQuery, tileQuery } from '../validation/institution.js';
+import {
+  CLUSTER_MAX_ZOOM, parseBbox, tileBounds, queryClusters, queryPoints, toFeatureCollection, encodeTile
+} from '../services/mapData.js';
+
+const router = express.Router();
+
+// =====================
+// GET carte : institutions d'une emprise, regroupées aux petits zooms
+// ?bbox=minLng,minLat,maxLng,maxLat&zoom=0..22 + filtres de GET /
+// =====================
+router.get('/map', validate({ query: mapQuery }), resolveIncludeDeleted, async (req, res) => {
+  try {
+    const bbox = parseBbox(req.query.bbox);
+    if (!bbox) return res.status(400).json({ error: 'bbox must be minLng,minLat,maxLng,maxLat' });
+    const zoom = parseInt(req.query.zoom);
+
+    const options = { bbox, zoom, includeDeleted: req.includeDeleted };
+    const data = zoom < CLUSTER_MAX_ZOOM
+      ? { clusters: await queryClusters(pool, req.query, options) }
+      : { points: await queryPoints(pool, req.query, options) };
+
+    res.json({ ...toFeatureCollection(data), zoom, clustered: !!data.clusters });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+});
+
+// =====================
+// GET tuile vectorielle XYZ (Mapbox Vector Tile)
+// =====================
+router.get('/tiles/:z/:x/:y.mvt', validate({ params: routeParams, query: tileQuery }), resolveIncludeDeleted, async (req, res) => {
+  try {
+    const [z, x, y] = ['z', 'x', 'y'].map(k => Number(req.params[k]));
+    if (x >= 2 ** z || y >= 2 ** z) {
+      return res.status(400).json({ error: 'Invalid tile coordinates' });
+    }
+
+    const options = { bbox: tileBounds(z, x, y), zoom: z, includeDeleted: req.includeDeleted };
+    const data = z < CLUSTER_MAX_ZOOM
+      ? { clusters: await queryClusters(pool, req.query, options) }
+      : { points: await queryPoints(pool, req.query, options) };
+
+    res.setHeader('Content-Type', 'application/vnd.mapbox-vector-tile');
+    setCacheControl(req, res, 'tile');
+    res.send(encodeTile(data, z, x, y));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+});
+
+export default router;
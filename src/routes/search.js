@@ -0,0 +1,52 @@
+import express from 'express';
+import { withTransaction } from '../config/db.js';
+import { resolveIncludeDeleted } from '../middleware/auth.js';
+import { validate } from '../middleware/validate.js';
+import { searchQuery, suggestQuery } from '../validation/institution.js';
+import { MIN_QUERY_LENGTH, searchTerms, searchInstitutions, suggest } from '../services/search.js';
+
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+const MAX_SUGGESTIONS = 20;
+
+// =====================
+// GET recherche plein texte classée par pertinence
+// ?q=...&limit=&offset= + filtres de GET /
+// =====================
+router.get('/', validate({ query: searchQuery }), resolveIncludeDeleted, async (req, res) => {
+  try {
+    const terms = searchTerms(req.query.q || '');
+    if (!terms.length) {
+      return res.status(400).json({ error: `q must contain at least one word of ${MIN_QUERY_LENGTH} characters` });
+    }
+    const limit = Math.min(parseInt(req.query.limit) || 20, MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+
+    const { data, total } = await withTransaction(client => searchInstitutions(client, req.query, {
+      terms, limit, offset, includeDeleted: req.includeDeleted
+    }));
+    res.json({ data, count: data.length, total, limit, offset });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+});
+
+// =====================
+// GET suggestions d'autocomplétion (institutions et communes)
+// ?q=...&limit=8
+// =====================
+router.get('/suggest', validate({ query: suggestQuery }), resolveIncludeDeleted, async (req, res) => {
+  try {
+    const q = req.query.q.trim();
+    const limit = Math.min(parseInt(req.query.limit) || 8, MAX_SUGGESTIONS);
+
+    res.json(await withTransaction(client => suggest(client, q, { limit, includeDeleted: req.includeDeleted })));
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Server error', details: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,131 @@
+import { v4 as uuidv4 } from 'uuid';
+import { auditedEntities } from '../db/entities.js';
+import { columnValue } from '../config/db.js';
+
+const COLUMN_RE = /^[a-z_][a-z0-9_]*$/;
+
+// Valeur comparable (Date, numeric, etc. tels que sérialisés en JSONB)
+function normalize(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+// { champ: { from, to } } pour chaque champ modifié
+export function diffRows(before, after) {
+  const diff = {};
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  for (const key of keys) {
+    const from = normalize(before ? before[key] : null);
+    const to = normalize(after ? after[key] : null);
+    if (JSON.stringify(from) !== JSON.stringify(to)) diff[key] = { from, to };
+  }
+  return diff;
+}
+
+// Regroupe les entrées écrites dans une même transaction (change set)
+export function auditWriter(client, user) {
+  const changeSet = uuidv4();
+  return {
+    changeSet,
+    async record({ institutionId, entityType, entityId, action, before = null, after = null, revertedRevisionId = null }) {
+      const result = await client.query(
+        `INSERT INTO audit_log (
+          change_set, institution_id, entity_type, entity_id, action,
+          before, after, diff, actor_id, actor_name, reverted_revision_id
+        ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11) RETURNING *`,
+        [
+          changeSet, institutionId, entityType, entityId, action,
+          before && JSON.stringify(before), after && JSON.stringify(after),
+          JSON.stringify(diffRows(before, after)),
+          user ? user.id : null, user ? user.name : null, revertedRevisionId
+        ]
+      );
+      return result.rows[0];
+    }
+  };
+}
+
+export async function getHistory(db, institutionId, { entityType, limit = 50, offset = 0 } = {}) {
+  const params = [institutionId];
+  let query = 'SELECT * FROM audit_log WHERE institution_id = $1';
+  if (entityType) {
+    params.push(entityType);
+    query += ` AND entity_type = $${params.length}`;
+  }
+  query += ` ORDER BY id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+  params.push(limit, offset);
+  const result = await db.query(query, params);
+  return result.rows;
+}
+
+// Ramène une entité à l'état `target` (null = supprimée)
+async function restoreEntity(client, table, entityId, target, user) {
+  const current = await client.query(`SELECT * FROM ${table} WHERE id = $1 FOR UPDATE`, [entityId]);
+  const exists = current.rows.length > 0;
+
+  if (!target) {
+    if (!exists) return { before: null, after: null };
+    await client.query(`DELETE FROM ${table} WHERE id = $1`, [entityId]);
+    return { before: current.rows[0], after: null };
+  }
+
+  const values = { ...target };
+  delete values.id;
+  if (table === 'institution') {
+    values.last_update = new Date();
+    values.updated_by = user ? user.id : null;
+  }
+  const columns = Object.keys(values);
+  if (columns.some(c => !COLUMN_RE.test(c))) throw new Error(`Invalid column in ${table} snapshot`);
+
+  let result;
+  if (exists) {
+    const setQuery = columns.map((c, i) => `${c}=$${i + 1}`).join(',');
+    result = await client.query(
+      `UPDATE ${table} SET ${setQuery} WHERE id=$${columns.length + 1} RETURNING *`,
+      [...Object.values(values).map(columnValue), entityId]
+    );
+  } else {
+    const placeholders = columns.map((_, i) => `$${i + 2}`).join(',');
+    result = await client.query(
+      `INSERT INTO ${table} (id, ${columns.join(',')}) VALUES ($1, ${placeholders}) RETURNING *`,
+      [entityId, ...Object.values(values).map(columnValue)]
+    );
+  }
+  return { before: exists ? current.rows[0] : null, after: result.rows[0] };
+}
+
+// Annule le change set contenant la révision : chaque entité retrouve son état
+// d'avant la révision. Les entrées sont rejouées en ordre inverse pour respecter
+// les clés étrangères (l'institution est recréée avant ses sous-ressources).
+// Renvoie null si la révision n'appartient pas à l'institution.
+export async function revertRevision(client, institutionId, revisionId, user) {
+  const revision = await client.query(
+    'SELECT * FROM audit_log WHERE id = $1 AND institution_id = $2',
+    [revisionId, institutionId]
+  );
+  if (!revision.rows.length) return null;
+
+  const entries = await client.query(
+    'SELECT * FROM audit_log WHERE change_set = $1 ORDER BY id DESC',
+    [revision.rows[0].change_set]
+  );
+
+  const audit = auditWriter(client, user);
+  const reverted = [];
+  for (const entry of entries.rows) {
+    const table = auditedEntities[entry.entity_type];
+    if (!table) throw new Error(`Unknown audited entity type ${entry.entity_type}`);
+
+    const { before, after } = await restoreEntity(client, table, entry.entity_id, entry.before, user);
+    reverted.push(await audit.record({
+      institutionId: entry.institution_id,
+      entityType: entry.entity_type,
+      entityId: entry.entity_id,
+      action: 'revert',
+      before,
+      after,
+      revertedRevisionId: entry.id
+    }));
+  }
+  return { change_set: audit.changeSet, entries: reverted };
+}
@@ -0,0 +1,345 @@
+import path from 'path';
+import JSZip from 'jszip';
+import * as shapefile from 'shapefile';
+import { EARTH_RADIUS_M } from './geo.js';
+
+// Contours administratifs : lecture des fichiers (GeoJSON ou Shapefile zippé), import par
+// code, export GeoJSON et géocodage inverse d'un point (région, district, commune).
+// Sans PostGIS : l'emprise (box, index GiST) préfiltre, le test exact est fait ici.
+
+// Niveau → table et colonne parente
+export const BOUNDARY_LEVELS = {
+  region: { table: 'region', parentColumn: null },
+  district: { table: 'district', parentColumn: 'region_id' },
+  commune: { table: 'commune', parentColumn: 'district_id' }
+};
+
+export class BoundaryError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+// =====================
+// Géométrie
+// =====================
+
+// Polygones de la géométrie, chacun [anneau extérieur, trous…] de positions [lng, lat]
+function polygonsOf(geometry) {
+  return geometry.type === 'Polygon' ? [geometry.coordinates] : geometry.coordinates;
+}
+
+// Renvoie le message d'erreur ou null si la géométrie est un (Multi)Polygon WGS84 valide
+export function geometryError(geometry) {
+  if (!geometry || !['Polygon', 'MultiPolygon'].includes(geometry.type)) return 'geometry must be a Polygon or MultiPolygon';
+  if (!Array.isArray(geometry.coordinates)) return 'geometry has no coordinates';
+  const polygons = polygonsOf(geometry);
+  if (!polygons.length) return 'geometry is empty';
+  for (const polygon of polygons) {
+    if (!Array.isArray(polygon) || !polygon.length) return 'polygon has no ring';
+    for (const ring of polygon) {
+      if (!Array.isArray(ring) || ring.length < 4) return 'ring must have at least 4 positions';
+      for (const position of ring) {
+        const [lng, lat] = Array.isArray(position) ? position : [];
+        if (!Number.isFinite(lng) || !Number.isFinite(lat) || Math.abs(lng) > 180 || Math.abs(lat) > 90) {
+          return 'coordinates must be WGS84 longitude / latitude';
+        }
+      }
+      const first = ring[0];
+      const last = ring[ring.length - 1];
+      if (first[0] !== last[0] || first[1] !== last[1]) return 'ring must be closed';
+    }
+  }
+  return null;
+}
+
+// Emprise au format box PostgreSQL : "(max_lng,max_lat),(min_lng,min_lat)"
+export function geometryBox(geometry) {
+  let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+  for (const polygon of polygonsOf(geometry)) {
+    for (const [lng, lat] of polygon[0]) {
+      minLng = Math.min(minLng, lng);
+      maxLng = Math.max(maxLng, lng);
+      minLat = Math.min(minLat, lat);
+      maxLat = Math.max(maxLat, lat);
+    }
+  }
+  return `(${maxLng},${maxLat}),(${minLng},${minLat})`;
+}
+
+// Lancer de rayon (pair-impair) sur un anneau
+function inRing(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i];
+    const [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Le point est dans un polygone de la géométrie (dans l'anneau extérieur, hors des trous)
+export function containsPoint(geometry, lat, lng) {
+  return polygonsOf(geometry).some(([outer, ...holes]) =>
+    inRing(outer, lng, lat) && !holes.some(hole => inRing(hole, lng, lat)));
+}
+
+// Centre de gravité des surfaces (trous déduits), en degrés ; approximation plane
+// suffisante à l'échelle d'une commune. Peut tomber hors d'un contour concave.
+export function geometryCentroid(geometry) {
+  // Coordonnées relatives au premier sommet, pour la précision
+  const [originLng, originLat] = polygonsOf(geometry)[0][0][0];
+  let area = 0, x = 0, y = 0;
+  for (const polygon of polygonsOf(geometry)) {
+    polygon.forEach((ring, index) => {
+      const points = ring.map(([lng, lat]) => [lng - originLng, lat - originLat]);
+      let ringArea = 0, rx = 0, ry = 0;
+      for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const cross = points[j][0] * points[i][1] - points[i][0] * points[j][1];
+        ringArea += cross;
+        rx += (points[j][0] + points[i][0]) * cross;
+        ry += (points[j][1] + points[i][1]) * cross;
+      }
+      // Anneau extérieur ajouté, trous retranchés, quel que soit le sens de parcours
+      const sign = (index === 0) === (ringArea >= 0) ? 1 : -1;
+      area += sign * ringArea / 2;
+      x += sign * rx / 6;
+      y += sign * ry / 6;
+    });
+  }
+  if (!area) return { lat: originLat, lng: originLng };
+  return { lat: originLat + y / area, lng: originLng + x / area };
+}
+
+// Distance (m) d'un point au contour : 0 à l'intérieur, sinon au segment le plus proche
+// (projection équirectangulaire locale autour du point)
+export function distanceToGeometry(geometry, lat, lng) {
+  if (containsPoint(geometry, lat, lng)) return 0;
+  const k = (Math.PI / 180) * EARTH_RADIUS_M;
+  const cos = Math.cos((lat * Math.PI) / 180);
+  const project = ([pLng, pLat]) => [(pLng - lng) * cos * k, (pLat - lat) * k];
+  let min = Infinity;
+  for (const polygon of polygonsOf(geometry)) {
+    for (const ring of polygon) {
+      for (let i = 1; i < ring.length; i++) {
+        const [ax, ay] = project(ring[i - 1]);
+        const [bx, by] = project(ring[i]);
+        const dx = bx - ax, dy = by - ay;
+        const t = dx || dy ? Math.max(0, Math.min(1, -(ax * dx + ay * dy) / (dx * dx + dy * dy))) : 0;
+        min = Math.min(min, Math.hypot(ax + t * dx, ay + t * dy));
+      }
+    }
+  }
+  return min;
+}
+
+// =====================
+// Lecture des fichiers
+// =====================
+
+// Les coordonnées projetées (.prj en PROJCS) ne sont pas reprojetées
+function checkProjection(prj) {
+  if (prj && /^\s*PROJCS/i.test(prj)) {
+    throw new BoundaryError('Shapefile must use WGS84 longitude / latitude (EPSG:4326), not a projected coordinate system');
+  }
+}
+
+async function readShapefileZip(buffer) {
+  let zip;
+  try {
+    zip = await JSZip.loadAsync(buffer);
+  } catch (err) {
+    throw new BoundaryError('Could not read ZIP file');
+  }
+  const entry = ext => Object.values(zip.files).find(f => !f.dir && path.extname(f.name).toLowerCase() === ext);
+  const shp = entry('.shp');
+  const dbf = entry('.dbf');
+  if (!shp || !dbf) throw new BoundaryError('ZIP file must contain a .shp and a .dbf file');
+  const prj = entry('.prj');
+  checkProjection(prj ? await prj.async('string') : null);
+  return shapefile.read(await shp.async('uint8array'), await dbf.async('uint8array'), { encoding: 'utf-8' });
+}
+
+// Fichier multer → entités GeoJSON : .geojson / .json (FeatureCollection ou Feature) ou
+// .zip d'un Shapefile (.shp, .dbf et .prj facultatif)
+export async function parseBoundaryFile(file) {
+  const ext = path.extname(file.originalname || '').toLowerCase();
+  let data;
+  if (ext === '.zip') {
+    try {
+      data = await readShapefileZip(file.buffer);
+    } catch (err) {
+      if (err instanceof BoundaryError) throw err;
+      throw new BoundaryError(`Invalid shapefile: ${err.message}`);
+    }
+  } else if (ext === '.geojson' || ext === '.json') {
+    try {
+      data = JSON.parse(file.buffer.toString('utf8'));
+    } catch (err) {
+      throw new BoundaryError('Invalid GeoJSON: file is not valid JSON');
+    }
+  } else {
+    throw new BoundaryError('Unsupported file type. Use .geojson, .json or a zipped shapefile (.zip)');
+  }
+
+  if (data && data.type === 'Feature') return [data];
+  if (!data || data.type !== 'FeatureCollection' || !Array.isArray(data.features)) {
+    throw new BoundaryError('GeoJSON must be a FeatureCollection or a Feature');
+  }
+  return data.features;
+}
+
+// =====================
+// Import et export
+// =====================
+
+// Rapproche chaque entité d'un enregistrement du niveau par la propriété `key` (= code,
+// sans tenir compte de la casse) ; rapport par entité, écriture si `commit`
+export async function importBoundaries(client, level, features, { key = 'code', commit = false } = {}) {
+  const { table } = BOUNDARY_LEVELS[level];
+  const existing = await client.query(`SELECT id, code, name FROM ${table}`);
+  const byCode = new Map(existing.rows.map(row => [row.code.toLowerCase(), row]));
+
+  const seen = new Set();
+  const rows = features.map((feature, index) => {
+    const value = feature && feature.properties ? feature.properties[key] : undefined;
+    const row = { feature: index, code: value === undefined || value === null ? null : String(value), errors: [] };
+    const record = row.code === null ? null : byCode.get(row.code.trim().toLowerCase());
+    const invalid = feature && geometryError(feature.geometry);
+
+    if (row.code === null) row.errors.push(`Property "${key}" is missing`);
+    else if (!record) row.errors.push(`Unknown ${level} code "${row.code}"`);
+    else if (seen.has(record.id)) row.errors.push(`Duplicate ${level} code "${row.code}"`);
+    if (invalid) row.errors.push(invalid);
+
+    if (record) {
+      seen.add(record.id);
+      Object.assign(row, { id: record.id, name: record.name });
+    }
+    row.action = row.errors.length ? 'skip' : 'update';
+    return row;
+  });
+
+  const valid = rows.filter(r => r.action === 'update');
+  if (commit) {
+    for (const row of valid) {
+      const geometry = features[row.feature].geometry;
+      await client.query(
+        `UPDATE ${table} SET boundary = $1, bbox = $2::box, boundary_updated_at = NOW() WHERE id = $3`,
+        [JSON.stringify({ type: geometry.type, coordinates: geometry.coordinates }), geometryBox(geometry), row.id]
+      );
+    }
+  }
+
+  const summary = { features: rows.length, matched: valid.length, skipped: rows.length - valid.length };
+  if (commit && level === 'commune') {
+    summary.institutions_checked = await refreshLocationMismatches(client, valid.map(r => r.id));
+  }
+  return { level, key, summary, rows };
+}
+
+// FeatureCollection des contours d'un niveau (enregistrements sans contour exclus)
+export async function boundaryFeatures(db, level, { parentId, code } = {}) {
+  const { table, parentColumn } = BOUNDARY_LEVELS[level];
+  const conditions = ['boundary IS NOT NULL'];
+  const params = [];
+  if (parentId) {
+    params.push(parentId);
+    conditions.push(`${parentColumn} = $${params.length}`);
+  }
+  if (code) {
+    params.push(code);
+    conditions.push(`code = $${params.length}`);
+  }
+  const result = await db.query(`
+    SELECT id, code, name${parentColumn ? `, ${parentColumn}` : ''}, boundary, boundary_updated_at
+    FROM ${table} WHERE ${conditions.join(' AND ')} ORDER BY name
+  `, params);
+
+  return {
+    type: 'FeatureCollection',
+    features: result.rows.map(({ id, boundary, ...properties }) => ({
+      type: 'Feature',
+      id,
+      geometry: boundary,
+      properties: { id, level, ...properties }
+    }))
+  };
+}
+
+// =====================
+// Géocodage inverse et contrôle de cohérence
+// =====================
+
+async function containingRow(db, level, lat, lng) {
+  const { table, parentColumn } = BOUNDARY_LEVELS[level];
+  const result = await db.query(
+    `SELECT id, boundary${parentColumn ? `, ${parentColumn} AS parent_id` : ''}
+     FROM ${table} WHERE bbox @> point($1, $2)`,
+    [lng, lat]
+  );
+  return result.rows.find(row => containsPoint(row.boundary, lat, lng)) || null;
+}
+
+// Région, district et commune contenant le point d'après les contours importés ; les niveaux
+// supérieurs sont déduits du plus précis trouvé. Objet vide si aucun contour ne contient le point.
+export async function locatePoint(db, lat, lng) {
+  const commune = await containingRow(db, 'commune', lat, lng);
+  if (commune) {
+    const district = await db.query('SELECT region_id FROM district WHERE id = $1', [commune.parent_id]);
+    return { region_id: district.rows[0].region_id, district_id: commune.parent_id, commune_id: commune.id };
+  }
+  const district = await containingRow(db, 'district', lat, lng);
+  if (district) return { region_id: district.parent_id, district_id: district.id };
+  const region = await containingRow(db, 'region', lat, lng);
+  return region ? { region_id: region.id } : {};
+}
+
+// Colonnes de localisation à déduire des coordonnées : seulement quand la position change
+// sans que la localisation soit donnée. La rue est effacée si elle n'est plus dans la commune.
+export async function locationFromPoint(db, data, current = {}, locationGiven = false) {
+  if (locationGiven || (data.lat === undefined && data.lng === undefined)) return {};
+  const lat = data.lat !== undefined ? data.lat : current.lat;
+  const lng = data.lng !== undefined ? data.lng : current.lng;
+  if (lat === null || lat === undefined || lng === null || lng === undefined) return {};
+  const located = await locatePoint(db, Number(lat), Number(lng));
+  if (!located.region_id) return {};
+  // Sans contour de commune, les niveaux plus précis sont conservés s'ils restent dans la zone trouvée
+  if (!located.commune_id) {
+    const sameArea = located.district_id
+      ? located.district_id === current.district_id
+      : located.region_id === current.region_id;
+    if (sameArea) return located;
+    Object.assign(located, { district_id: located.district_id || null, commune_id: null });
+  }
+  if (current.street_id && located.commune_id !== current.commune_id) located.street_id = null;
+  return located;
+}
+
+// true si les coordonnées sont hors du contour de la commune, null si indéterminé
+export async function locationMismatch(db, { lat, lng, commune_id: communeId }) {
+  if (lat === null || lat === undefined || lng === null || lng === undefined || !communeId) return null;
+  const result = await db.query('SELECT boundary FROM commune WHERE id = $1', [communeId]);
+  const boundary = result.rows.length ? result.rows[0].boundary : null;
+  return boundary ? !containsPoint(boundary, Number(lat), Number(lng)) : null;
+}
+
+// Recalcule location_mismatch des institutions des communes données ; renvoie leur nombre
+export async function refreshLocationMismatches(client, communeIds) {
+  if (!communeIds.length) return 0;
+  const result = await client.query(`
+    SELECT i.id, i.lat, i.lng, i.location_mismatch, c.boundary
+    FROM institution i JOIN commune c ON c.id = i.commune_id
+    WHERE i.commune_id = ANY($1::uuid[])
+  `, [communeIds]);
+  for (const row of result.rows) {
+    const mismatch = row.lat === null || row.lng === null || !row.boundary
+      ? null
+      : !containsPoint(row.boundary, Number(row.lat), Number(row.lng));
+    if (mismatch !== row.location_mismatch) {
+      await client.query('UPDATE institution SET location_mismatch = $1 WHERE id = $2', [mismatch, row.id]);
+    }
+  }
+  return result.rows.length;
+}
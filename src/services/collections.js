@@ -0,0 +1,109 @@
+import { buildInstitutionFilters, whereClause } from './institutionFilters.js';
+import { normalizedContact } from './duplicates.js';
+import { orderByClause, cursorColumns, keysetCondition, countTotal } from './pagination.js';
+
+// Collections transversales (/api/v1/contacts, /services, /photos) : sous-ressources de toutes
+// les institutions, chacune accompagnée d'un résumé de son institution. Les filtres de GET /
+// portent sur l'institution (alias `i`), ceux de la collection sur l'élément (alias `x`).
+
+const containsText = (column, params, value) => {
+  params.push(value);
+  return `lower(f_unaccent(${column})) LIKE '%' || lower(f_unaccent($${params.length})) || '%'`;
+};
+const blank = column => `NULLIF(trim(${column}), '') IS NULL`;
+const flag = (value, whenTrue, whenFalse) => (value === 'true' ? whenTrue : whenFalse);
+
+// Par collection : table, jointures et colonnes propres, clés de tri, filtres (paramètre → condition)
+export const COLLECTIONS = {
+  contacts: {
+    table: 'contact',
+    joins: 'JOIN contact_type t ON x.contact_type_id = t.id',
+    columns: 't.code AS contact_type_code, t.label AS contact_type_label',
+    sortKeys: { institution: 'i.name', value: 'x.value', contact_type: 't.code' },
+    defaultSort: 'institution',
+    filters: {
+      contact_type: (value, params) => {
+        params.push(value);
+        return `t.code = $${params.length}`;
+      },
+      // Valeur exacte, espaces et casse ignorés (même numéro écrit autrement)
+      value: (value, params) => {
+        params.push(value);
+        return `${normalizedContact('x.value')} = ${normalizedContact(`$${params.length}`)}`;
+      },
+      q: (value, params) => containsText('x.value', params, value)
+    }
+  },
+  services: {
+    table: 'service',
+    sortKeys: { service_code: 'x.service_code', name: 'x.name', institution: 'i.name' },
+    defaultSort: 'service_code,institution',
+    filters: {
+      service_code: (value, params) => {
+        params.push(value);
+        return `x.service_code = $${params.length}`;
+      },
+      q: (value, params) => `(${containsText('x.name', params, value)} OR ${containsText("COALESCE(x.description, '')", params, value)})`
+    }
+  },
+  photos: {
+    table: 'photo',
+    sortKeys: { uploaded_at: 'x.uploaded_at', institution: 'i.name', caption: 'x.caption' },
+    // Les plus récentes d'abord ; les photos hébergées ailleurs (sans date) en fin de liste
+    defaultSort: '-uploaded_at',
+    filters: {
+      missing_credit: value => flag(value, blank('x.credit'), `NOT ${blank('x.credit')}`),
+      missing_caption: value => flag(value, blank('x.caption'), `NOT ${blank('x.caption')}`),
+      // Fichier déposé sur l'API (true) ou image hébergée ailleurs (false)
+      stored: value => flag(value, 'x.storage_key IS NOT NULL', 'x.storage_key IS NULL')
+    }
+  }
+};
+
+// Résumé de l'institution propriétaire, imbriqué dans chaque élément
+const institutionSummary = `json_build_object(
+  'id', i.id, 'name', i.name, 'status', i.status,
+  'category_code', ic.code, 'category_label', ic.label, 'subtype_code', ist.code,
+  'region_name', r.name, 'district_name', d.name, 'commune_name', c.name,
+  'deleted_at', i.deleted_at
+) AS institution`;
+
+const institutionJoins = `
+  JOIN institution i ON x.institution_id = i.id
+  LEFT JOIN institution_category ic ON i.category_id = ic.id
+  LEFT JOIN institution_subtype ist ON i.subtype_id = ist.id
+  LEFT JOIN region r ON i.region_id = r.id
+  LEFT JOIN district d ON i.district_id = d.id
+  LEFT JOIN commune c ON i.commune_id = c.id`;
+
+// Une page de la collection (limit + 1 lignes, voir paginate) et son total selon `count`
+export async function listCollection(db, name, query, {
+  keys, position = null, limit, offset = 0, count = 'exact', includeDeleted = false
+}) {
+  const collection = COLLECTIONS[name];
+  const { conditions, params } = buildInstitutionFilters(query, { includeDeleted });
+  if (query.institution_id) {
+    params.push(query.institution_id);
+    conditions.push(`x.institution_id = $${params.length}`);
+  }
+  for (const [param, condition] of Object.entries(collection.filters)) {
+    if (query[param] !== undefined) conditions.push(condition(query[param], params));
+  }
+
+  const from = `FROM ${collection.table} x ${institutionJoins} ${collection.joins || ''}`;
+  // Total calculé sur les seuls filtres (sans curseur)
+  const countSql = `SELECT 1 ${from}${whereClause(conditions)}`;
+  const countParams = [...params];
+
+  if (position) conditions.push(keysetCondition(keys, 'x.id', position, params));
+  const sql = `
+    SELECT x.*, ${collection.columns ? `${collection.columns}, ` : ''}${institutionSummary},
+      ${cursorColumns(keys).join(', ')}
+    ${from}${whereClause(conditions)}
+    ORDER BY ${orderByClause(keys, 'x.id', { backward: !!position && position.d === 'prev' })}
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+  params.push(limit + 1, offset);
+
+  const result = await db.query(sql, params);
+  return { rows: result.rows, total: await countTotal(db, countSql, countParams, count) };
+}
@@ -0,0 +1,223 @@
+import { buildInstitutionFilters } from './institutionFilters.js';
+import { geometryCentroid, distanceToGeometry } from './boundaries.js';
+import { distanceMeters, distanceSql, pointSql, boxSql } from './geo.js';
+
+// Couverture du territoire : pour chaque commune, l'institution correspondant aux filtres
+// (catégorie, sous-type…) la plus proche et sa distance, signalée au-delà du seuil.
+// Les institutions sont cherchées partout, pas seulement dans les communes analysées.
+//
+// Point de référence d'une commune : centre de gravité du contour, ou à défaut position
+// moyenne de ses institutions actives. Mesure depuis le contour (`from=boundary`) : 0 pour
+// une institution dans la commune, sinon distance au bord le plus proche.
+//
+// Une requête pour toutes les communes (LATERAL par point de référence sur l'index GiST
+// point(lng, lat)), plus une pour les candidates autour des contours.
+
+// Filtres de GET / qui portent sur les institutions recherchées
+export const COVERAGE_FACILITY_FILTERS = ['category', 'subtype', 'status', 'min_capacity', 'max_capacity'];
+
+// Limite de candidates examinées autour d'une commune en mesure depuis le contour ;
+// au-delà, la commune est signalée (`truncated`)
+export const BOUNDARY_CANDIDATES = 1000;
+
+const nearestColumns = `i.id, i.name, i.lat, i.lng, ic.code AS category_code, ist.code AS subtype_code,
+  c.name AS commune_name`;
+const nearestJoins = `
+  LEFT JOIN institution_category ic ON i.category_id = ic.id
+  LEFT JOIN institution_subtype ist ON i.subtype_id = ist.id
+  LEFT JOIN commune c ON i.commune_id = c.id`;
+
+// Filtres des institutions recherchées, après les tableaux de points ($1…$n)
+function facilityFilters(facilities, arrays) {
+  const filters = buildInstitutionFilters(facilities, { params: [...arrays] });
+  filters.conditions.push('i.lat IS NOT NULL', 'i.lng IS NOT NULL');
+  return { where: filters.conditions.join(' AND '), params: filters.params };
+}
+
+// Lignes regroupées par point, dans l'ordre de la requête
+function groupByPoint(rows) {
+  const groups = new Map();
+  for (const { point_id, ...row } of rows) {
+    if (!groups.has(point_id)) groups.set(point_id, []);
+    groups.get(point_id).push(row);
+  }
+  return groups;
+}
+
+// Institution la plus proche de chaque point { id, lat, lng } → Map id → ligne. La plus proche
+// en degrés (<->) borne la distance ; la plus proche sur la sphère est cherchée dans l'emprise
+// de cette borne, comme pour GET /nearby.
+async function nearestToPoints(db, facilities, points) {
+  const { where, params } = facilityFilters(facilities, [
+    points.map(p => p.id), points.map(p => p.lat), points.map(p => p.lng)
+  ]);
+  const distance = distanceSql('p.lat', 'p.lng', 'i.lat', 'i.lng');
+  const result = await db.query(`
+    SELECT p.id AS point_id, n.*
+    FROM unnest($1::uuid[], $2::float8[], $3::float8[]) WITH ORDINALITY AS p(id, lat, lng, ord)
+    CROSS JOIN LATERAL (
+      SELECT ${distance} + 1e-6 AS radius FROM institution i
+      WHERE ${where}
+      ORDER BY ${pointSql('i')} <-> point(p.lng, p.lat)
+      LIMIT 1
+    ) k
+    CROSS JOIN LATERAL (
+      SELECT ${nearestColumns}, ${distance} AS distance_m
+      FROM institution i ${nearestJoins}
+      WHERE ${where} AND ${pointSql('i')} <@ ${boxSql('p.lat', 'p.lng', 'k.radius')} AND ${distance} <= k.radius
+      ORDER BY distance_m, i.id
+      LIMIT 1
+    ) n
+    ORDER BY p.ord
+  `, params);
+  return new Map([...groupByPoint(result.rows)].map(([id, rows]) => [id, rows[0]]));
+}
+
+// Candidates dans un rayon autour de chaque point { id, lat, lng, radius }, les plus proches
+// d'abord → Map id → lignes ; une de plus que BOUNDARY_CANDIDATES pour détecter la limite
+async function candidatesAround(db, facilities, areas) {
+  const { where, params } = facilityFilters(facilities, [
+    areas.map(a => a.id), areas.map(a => a.lat), areas.map(a => a.lng), areas.map(a => a.radius)
+  ]);
+  const distance = distanceSql('p.lat', 'p.lng', 'i.lat', 'i.lng');
+  const result = await db.query(`
+    SELECT p.id AS point_id, n.*
+    FROM unnest($1::uuid[], $2::float8[], $3::float8[], $4::float8[]) WITH ORDINALITY AS p(id, lat, lng, radius, ord)
+    CROSS JOIN LATERAL (
+      SELECT ${nearestColumns}, ${distance} AS distance_m
+      FROM institution i ${nearestJoins}
+      WHERE ${where} AND ${pointSql('i')} <@ ${boxSql('p.lat', 'p.lng', 'p.radius')} AND ${distance} <= p.radius
+      ORDER BY distance_m, i.id
+      LIMIT ${BOUNDARY_CANDIDATES + 1}
+    ) n
+    ORDER BY p.ord, n.distance_m, n.id
+  `, params);
+  return groupByPoint(result.rows);
+}
+
+async function loadCommunes(db, { region, district, commune }) {
+  const conditions = [];
+  const params = [];
+  for (const [value, column] of [[region, 'r.code'], [district, 'd.code'], [commune, 'c.code']]) {
+    if (!value) continue;
+    params.push(value);
+    conditions.push(`${column} = $${params.length}`);
+  }
+  const result = await db.query(`
+    SELECT c.id, c.code, c.name, c.boundary, d.name AS district_name, r.name AS region_name,
+      inst.lat AS mean_lat, inst.lng AS mean_lng
+    FROM commune c
+    JOIN district d ON c.district_id = d.id
+    JOIN region r ON d.region_id = r.id
+    LEFT JOIN LATERAL (
+      SELECT avg(i.lat) AS lat, avg(i.lng) AS lng FROM institution i
+      WHERE i.commune_id = c.id AND i.deleted_at IS NULL AND i.lat IS NOT NULL AND i.lng IS NOT NULL
+    ) inst ON TRUE
+    ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY r.name, d.name, c.name
+  `, params);
+  return result.rows;
+}
+
+function referencePoint(commune) {
+  if (commune.boundary) return { ...geometryCentroid(commune.boundary), source: 'boundary' };
+  if (commune.mean_lat !== null) return { lat: Number(commune.mean_lat), lng: Number(commune.mean_lng), source: 'institutions' };
+  return null;
+}
+
+// Distance maximale du centre aux sommets du contour
+function boundaryRadius(boundary, center) {
+  const rings = boundary.type === 'Polygon' ? [boundary.coordinates] : boundary.coordinates;
+  let max = 0;
+  for (const polygon of rings) {
+    for (const [lng, lat] of polygon[0]) max = Math.max(max, distanceMeters(center.lat, center.lng, lat, lng));
+  }
+  return max;
+}
+
+// Institution la plus proche du contour parmi les candidates, ordonnées par distance au centre
+// (la plus proche du centre est la première borne). `truncated` : limite atteinte sans trouver
+// d'institution dans la commune, une candidate non examinée pourrait être plus proche du bord.
+function nearestToBoundary(commune, fromCenter, bound, candidates) {
+  let best = { row: fromCenter, distance_m: bound };
+  for (const row of candidates.slice(0, BOUNDARY_CANDIDATES)) {
+    const distance = distanceToGeometry(commune.boundary, row.lat, row.lng);
+    if (distance < best.distance_m) best = { row, distance_m: distance };
+    if (!distance) break;
+  }
+  best.truncated = candidates.length > BOUNDARY_CANDIDATES && best.distance_m > 0;
+  return best;
+}
+
+const summary = row => ({
+  id: row.id, name: row.name, lat: row.lat, lng: row.lng,
+  category_code: row.category_code, subtype_code: row.subtype_code, commune_name: row.commune_name
+});
+
+// query : filtres des institutions recherchées et des communes analysées (region, district, commune)
+export async function analyzeCoverage(db, query, { threshold, from = 'centroid' }) {
+  const facilities = Object.fromEntries(COVERAGE_FACILITY_FILTERS.filter(f => query[f] !== undefined).map(f => [f, query[f]]));
+  const communes = await loadCommunes(db, query);
+
+  const centers = new Map(communes.map(c => [c.id, referencePoint(c)]));
+  const located = communes.filter(c => centers.get(c.id));
+  const nearest = located.length
+    ? await nearestToPoints(db, facilities, located.map(c => ({ id: c.id, ...centers.get(c.id) })))
+    : new Map();
+
+  // Mesure depuis le contour : candidates dans la borne augmentée du rayon du contour, sauf
+  // si l'institution la plus proche du centre est déjà dans la commune
+  const best = new Map();
+  const outside = [];
+  for (const commune of located) {
+    const row = nearest.get(commune.id);
+    if (!row) continue;
+    if (from === 'boundary' && commune.boundary) {
+      const center = centers.get(commune.id);
+      const bound = distanceToGeometry(commune.boundary, row.lat, row.lng);
+      best.set(commune.id, { row, distance_m: bound, measured_from: 'boundary' });
+      if (bound > 0) {
+        outside.push({ commune, bound, id: commune.id, lat: center.lat, lng: center.lng, radius: bound + boundaryRadius(commune.boundary, center) + 1 });
+      }
+    } else {
+      best.set(commune.id, { row, distance_m: row.distance_m, measured_from: 'centroid' });
+    }
+  }
+  const candidates = outside.length ? await candidatesAround(db, facilities, outside) : new Map();
+  for (const { commune, bound } of outside) {
+    const found = nearestToBoundary(commune, nearest.get(commune.id), bound, candidates.get(commune.id) || []);
+    best.set(commune.id, { ...found, measured_from: 'boundary' });
+  }
+
+  const results = communes.map(commune => {
+    const reference = centers.get(commune.id);
+    const found = best.get(commune.id);
+    return {
+      commune: { id: commune.id, code: commune.code, name: commune.name, district_name: commune.district_name, region_name: commune.region_name },
+      reference,
+      measured_from: found ? found.measured_from : null,
+      nearest: found ? summary(found.row) : null,
+      distance_m: found ? found.distance_m : null,
+      // Aucune institution correspondante nulle part : gap ; sans point de référence : null
+      gap: found ? found.distance_m > threshold : reference ? true : null,
+      truncated: !!(found && found.truncated)
+    };
+  });
+
+  // Communes les plus mal desservies en tête (sans institution du tout d'abord),
+  // communes sans point de référence à la fin
+  const rank = r => (r.gap === null ? -1 : r.distance_m === null ? Infinity : r.distance_m);
+  results.sort((a, b) => (rank(b) - rank(a)) || 0);
+
+  return {
+    data: results,
+    summary: {
+      communes: results.length,
+      gaps: results.filter(r => r.gap === true).length,
+      covered: results.filter(r => r.gap === false).length,
+      unlocated: results.filter(r => r.gap === null).length,
+      truncated: results.filter(r => r.truncated).length
+    },
+    boundaries: Object.fromEntries(communes.filter(c => c.boundary).map(c => [c.id, c.boundary]))
+  };
+}
@@ -0,0 +1,137 @@
+import { buildInstitutionFilters } from './institutionFilters.js';
+import { distanceSql, degreeSpan, pointSql } from './geo.js';
+
+// Détection de doublons : paires d'institutions actives rapprochées par nom (trigrammes,
+// sans accents), par position ou par un contact commun, puis notées.
+
+// Poids de chaque critère dans le score (total 1)
+export const DUPLICATE_WEIGHTS = {
+  name: 0.5,
+  distance: 0.25,
+  commune: 0.1,
+  contacts: 0.15
+};
+
+export const DEFAULT_MAX_DISTANCE_M = 500;
+export const DEFAULT_MIN_SCORE = 0.5;
+
+const normalizedName = col => `lower(f_unaccent(${col}))`;
+// Contact comparé sans espaces ni casse ("034 12 345 67" = "0341234567")
+export const normalizedContact = col => `lower(regexp_replace(${col}, '\\s+', '', 'g'))`;
+
+// Paires candidates classées par score décroissant ; les filtres de GET / restreignent
+// les institutions comparées. Le score de distance décroît linéairement jusqu'à maxDistance.
+// `db` : client dans une transaction (withTransaction), pour que le seuil de nom s'applique.
+export async function findDuplicateCandidates(db, query, {
+  minScore = DEFAULT_MIN_SCORE, maxDistance = DEFAULT_MAX_DISTANCE_M, limit = 50, offset = 0
+} = {}) {
+  const span = degreeSpan(maxDistance);
+  const { conditions, params } = buildInstitutionFilters(query, { params: [maxDistance, span.lat, minScore] });
+  // Une paire trouvée par le seul nom (ni proche, ni contact commun) n'atteint minScore qu'avec
+  // cette similarité : seuil de l'opérateur % (au moins celui de pg_trgm, 0.3), qui borne aussi
+  // le nombre de candidats lus dans l'index
+  const nameThreshold = Math.min(1, Math.max(0.3, (minScore - DUPLICATE_WEIGHTS.commune) / DUPLICATE_WEIGHTS.name));
+  await db.query("SELECT set_config('pg_trgm.similarity_threshold', $1, true)", [String(nameThreshold)]);
+  const distance = distanceSql('a.lat', 'a.lng', 'b.lat', 'b.lng');
+
+  // Candidats cherchés dans `institution` pour chaque institution du périmètre, par les index
+  // (trigrammes de 006_search, point GiST de 012) : pas de produit cartésien du périmètre.
+  // Le second membre de chaque paire est ensuite ramené au périmètre par jointure.
+  const sql = `
+    WITH scope AS MATERIALIZED (
+      SELECT i.id, i.name, i.lat, i.lng, i.commune_id, ${normalizedName('i.name')} AS norm
+      FROM institution i
+      WHERE ${conditions.join(' AND ')}
+    ),
+    contacts AS MATERIALIZED (
+      SELECT ct.institution_id, ct.value, ${normalizedContact('ct.value')} AS norm
+      FROM contact ct JOIN scope s ON s.id = ct.institution_id
+    ),
+    -- Contacts communs, une ligne par paire
+    shared AS (
+      SELECT ca.institution_id AS a_id, cb.institution_id AS b_id, array_agg(DISTINCT ca.value) AS shared_contacts
+      FROM contacts ca JOIN contacts cb ON ca.norm = cb.norm AND ca.institution_id < cb.institution_id
+      GROUP BY ca.institution_id, cb.institution_id
+    ),
+    candidates AS (
+      SELECT a.id AS a_id, n.id AS b_id
+      FROM scope a
+      CROSS JOIN LATERAL (
+        SELECT b.id FROM institution b
+        WHERE ${normalizedName('b.name')} % a.norm AND b.id > a.id
+      ) n
+      UNION
+      -- Préfiltre par emprise, distance exacte vérifiée au calcul du score
+      SELECT a.id, n.id
+      FROM scope a
+      CROSS JOIN LATERAL (
+        SELECT b.id FROM institution b
+        WHERE b.lat IS NOT NULL AND b.lng IS NOT NULL AND b.id > a.id
+          AND ${pointSql('b')} <@ box(
+            point(a.lng - $2 / GREATEST(cos(radians(a.lat)), 0.01), a.lat - $2),
+            point(a.lng + $2 / GREATEST(cos(radians(a.lat)), 0.01), a.lat + $2)
+          )
+      ) n
+      WHERE a.lat IS NOT NULL AND a.lng IS NOT NULL
+      UNION
+      SELECT a_id, b_id FROM shared
+    ),
+    scored AS (
+      SELECT p.a_id, p.b_id,
+        similarity(a.norm, b.norm) AS name_similarity,
+        CASE WHEN a.lat IS NOT NULL AND a.lng IS NOT NULL AND b.lat IS NOT NULL AND b.lng IS NOT NULL
+          THEN ${distance} END AS distance_m,
+        (a.commune_id IS NOT NULL AND a.commune_id = b.commune_id) AS same_commune,
+        COALESCE(sh.shared_contacts, '{}') AS shared_contacts
+      FROM candidates p
+      JOIN scope a ON a.id = p.a_id
+      JOIN scope b ON b.id = p.b_id
+      LEFT JOIN shared sh ON sh.a_id = p.a_id AND sh.b_id = p.b_id
+    ),
+    ranked AS (
+      SELECT scored.*,
+        ${DUPLICATE_WEIGHTS.name} * name_similarity
+        + ${DUPLICATE_WEIGHTS.distance} * COALESCE(GREATEST(0, 1 - distance_m / $1), 0)
+        + ${DUPLICATE_WEIGHTS.commune} * same_commune::int
+        + ${DUPLICATE_WEIGHTS.contacts} * (cardinality(shared_contacts) > 0)::int AS score
+      FROM scored
+    )
+    SELECT r.*, COUNT(*) OVER() AS total
+    FROM ranked r
+    WHERE r.score >= $3
+    ORDER BY r.score DESC, r.a_id, r.b_id
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+  params.push(limit, offset);
+
+  const result = await db.query(sql, params);
+  const total = result.rows.length ? parseInt(result.rows[0].total) : 0;
+  const summaries = await institutionSummaries(db, result.rows.flatMap(r => [r.a_id, r.b_id]));
+
+  const data = result.rows.map(r => ({
+    score: round(r.score),
+    institutions: [summaries[r.a_id], summaries[r.b_id]],
+    reasons: {
+      name_similarity: round(r.name_similarity),
+      distance_m: r.distance_m === null ? null : Math.round(r.distance_m),
+      same_commune: r.same_commune,
+      shared_contacts: r.shared_contacts
+    }
+  }));
+  return { data, total };
+}
+
+const round = value => Math.round(value * 1000) / 1000;
+
+async function institutionSummaries(db, ids) {
+  if (!ids.length) return {};
+  const result = await db.query(`
+    SELECT i.id, i.name, i.lat, i.lng, i.status, ic.code AS category_code, ist.code AS subtype_code,
+      c.name AS commune_name, i.last_update
+    FROM institution i
+    LEFT JOIN institution_category ic ON i.category_id = ic.id
+    LEFT JOIN institution_subtype ist ON i.subtype_id = ist.id
+    LEFT JOIN commune c ON i.commune_id = c.id
+    WHERE i.id = ANY($1::uuid[])
+  `, [[...new Set(ids)]]);
+  return Object.fromEntries(result.rows.map(row => [row.id, row]));
+}
@@ -0,0 +1,55 @@
+// Calculs de distance sur la sphère terrestre (latitude / longitude en degrés)
+
+export const EARTH_RADIUS_M = 6371000;
+
+// Distance (mètres) par la formule de haversine entre deux points SQL
+export function distanceSql(lat1, lng1, lat2, lng2) {
+  return `(2 * ${EARTH_RADIUS_M} * asin(sqrt(
+    power(sin(radians(${lat2} - ${lat1}) / 2), 2)
+    + cos(radians(${lat1})) * cos(radians(${lat2})) * power(sin(radians(${lng2} - ${lng1}) / 2), 2)
+  )))`;
+}
+
+// Même calcul côté JavaScript
+export function distanceMeters(lat1, lng1, lat2, lng2) {
+  const rad = d => (d * Math.PI) / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2
+    + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Demi-côtés (degrés) d'un carré englobant un cercle de `meters` autour de la latitude `lat`,
+// pour préfiltrer par index avant le calcul exact
+export function degreeSpan(meters, lat = 0) {
+  const latSpan = (meters / EARTH_RADIUS_M) * (180 / Math.PI);
+  const cos = Math.max(Math.cos((lat * Math.PI) / 180), 0.01);
+  return { lat: latSpan, lng: latSpan / cos };
+}
+
+// Même emprise en SQL (expression box, comparable par <@ au point indexé), pour un centre et un
+// rayon pris dans la requête ; sans borne de longitude si elle traverse l'antiméridien ou un pôle
+export function boxSql(lat, lng, meters) {
+  const latSpan = `((${meters}) / ${EARTH_RADIUS_M} * degrees(1))`;
+  const lngSpan = `(${latSpan} / GREATEST(cos(radians(${lat})), 0.01))`;
+  const wraps = `(${lng} - ${lngSpan} < -180 OR ${lng} + ${lngSpan} > 180 OR ${lat} + ${latSpan} > 90 OR ${lat} - ${latSpan} < -90)`;
+  return `box(
+    point(CASE WHEN ${wraps} THEN -180 ELSE ${lng} - ${lngSpan} END, GREATEST(${lat} - ${latSpan}, -90)),
+    point(CASE WHEN ${wraps} THEN 180 ELSE ${lng} + ${lngSpan} END, LEAST(${lat} + ${latSpan}, 90))
+  )`;
+}
+
+// Point indexé (GiST, migration 012) d'une table aliasée ; même expression que l'index
+export const pointSql = alias => `point(${alias}.lng, ${alias}.lat)`;
+
+// Géographie PostGIS d'une table aliasée ; même expression que l'index facultatif
+export const geographySql = alias => `(ST_SetSRID(ST_MakePoint(${alias}.lng, ${alias}.lat), 4326)::geography)`;
+
+// PostGIS est-il installé dans la base ? (vérifié une fois par processus)
+let postgis = null;
+export async function hasPostgis(db) {
+  if (postgis === null) {
+    const result = await db.query("SELECT 1 FROM pg_extension WHERE extname = 'postgis'");
+    postgis = result.rows.length > 0;
+  }
+  return postgis;
+}
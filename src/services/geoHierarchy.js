@@ -0,0 +1,117 @@
+// Cohérence de la localisation d'une institution : région → district → commune → rue.
+// Les niveaux parents manquants sont déduits du niveau le plus précis ; région, district
+// et commune peuvent être donnés par code (region, district, commune) et la rue par son
+// nom dans la commune (street), comme pour les filtres de GET /.
+
+// Niveau → table, colonne parente et niveau parent
+const LEVELS = {
+  street: { table: 'street', parentColumn: 'commune_id', parent: 'commune' },
+  commune: { table: 'commune', parentColumn: 'district_id', parent: 'district' },
+  district: { table: 'district', parentColumn: 'region_id', parent: 'region' },
+  region: { table: 'region', parentColumn: null, parent: null }
+};
+
+// Du plus précis au plus général
+const BOTTOM_UP = ['street', 'commune', 'district', 'region'];
+
+export const locationIdFields = BOTTOM_UP.map(level => `${level}_id`);
+export const locationCodeFields = ['region', 'district', 'commune', 'street'];
+
+export class LocationError extends Error {
+  constructor(errors) {
+    super(errors.map(e => e.message).join('; '));
+    this.errors = errors;
+  }
+}
+
+export function touchesLocation(data) {
+  return [...locationIdFields, ...locationCodeFields].some(f => data[f] !== undefined);
+}
+
+// Champ de la requête désignant le niveau (code ou identifiant)
+function fieldFor(data, level) {
+  return data[level] !== undefined ? level : `${level}_id`;
+}
+
+async function loadLevel(db, level, id) {
+  const { table, parentColumn } = LEVELS[level];
+  const result = await db.query(
+    `SELECT id${parentColumn ? `, ${parentColumn} AS parent_id` : ''} FROM ${table} WHERE id = $1`,
+    [id]
+  );
+  return result.rows[0] || null;
+}
+
+// Renvoie les colonnes *_id à écrire (niveaux donnés ou déduits) pour que la chaîne
+// résultante, appliquée à `current` (ligne existante en mise à jour), soit cohérente.
+// Lève LocationError ({ field, message }[]) si un code est inconnu ou si la chaîne se contredit.
+export async function resolveLocation(db, data, current = {}) {
+  const errors = [];
+  const given = {};
+
+  for (const level of ['region', 'district', 'commune']) {
+    if (data[level] === undefined) continue;
+    if (data[level] === null) {
+      given[level] = null;
+      continue;
+    }
+    const result = await db.query(`SELECT id FROM ${LEVELS[level].table} WHERE code = $1`, [data[level]]);
+    if (result.rows.length) given[level] = result.rows[0].id;
+    else errors.push({ field: level, message: `Unknown ${level} code "${data[level]}"` });
+  }
+  for (const level of BOTTOM_UP) {
+    if (data[`${level}_id`] !== undefined) given[level] = data[`${level}_id`];
+  }
+  if (errors.length) throw new LocationError(errors);
+
+  const effective = {};
+  for (const level of BOTTOM_UP) {
+    effective[level] = given[level] !== undefined ? given[level] : current[`${level}_id`] || null;
+  }
+
+  // La rue par son nom, dans la commune retenue
+  if (data.street !== undefined && data.street !== null) {
+    if (!effective.commune) throw new LocationError([{ field: 'street', message: 'street requires a commune' }]);
+    const result = await db.query(
+      'SELECT id FROM street WHERE commune_id = $1 AND lower(f_unaccent(name)) = lower(f_unaccent($2))',
+      [effective.commune, data.street]
+    );
+    if (result.rows.length !== 1) {
+      const message = result.rows.length ? `Ambiguous street "${data.street}"` : `Unknown street "${data.street}" in commune`;
+      throw new LocationError([{ field: 'street', message }]);
+    }
+    given.street = effective.street = result.rows[0].id;
+  } else if (data.street === null) {
+    given.street = effective.street = null;
+  }
+
+  // Du plus précis au plus général : un niveau modifié (ou sans parent) impose son parent,
+  // sauf si ce parent est aussi donné, auquel cas ils doivent concorder
+  const changed = new Set(Object.keys(given));
+  for (const level of BOTTOM_UP) {
+    const id = effective[level];
+    if (!id || !LEVELS[level].parent) continue;
+    const row = await loadLevel(db, level, id);
+    if (!row) {
+      errors.push({ field: `${level}_id`, message: `Unknown ${level}_id "${id}"` });
+      break;
+    }
+    const parent = LEVELS[level].parent;
+    if (given[parent] === undefined && (changed.has(level) || !effective[parent])) {
+      if (effective[parent] !== row.parent_id) {
+        effective[parent] = row.parent_id;
+        changed.add(parent);
+      }
+    } else if (effective[parent] !== row.parent_id) {
+      const field = fieldFor(data, level);
+      const message = effective[parent]
+        ? `${level} does not belong to the given ${parent}`
+        : `${parent} cannot be empty while ${level} is set`;
+      errors.push({ field, message });
+      break;
+    }
+  }
+  if (errors.length) throw new LocationError(errors);
+
+  return Object.fromEntries([...changed].map(level => [`${level}_id`, effective[level]]));
+}
@@ -0,0 +1,123 @@
+import { PassThrough } from 'stream';
+import { pipeline } from 'stream/promises';
+import QueryStream from 'pg-query-stream';
+import { stringify } from 'csv-stringify';
+import ExcelJS from 'exceljs';
+import { buildInstitutionFilters, whereClause } from './institutionFilters.js';
+
+export const exportFormats = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+  geojson: { contentType: 'application/geo+json', extension: 'geojson' }
+};
+
+const baseColumns = [
+  'id', 'name', 'label', 'category_code', 'category_label', 'subtype_code', 'subtype_label',
+  'region_name', 'district_name', 'commune_name', 'street_name', 'lat', 'lng',
+  'established', 'capacity', 'last_renovation', 'accreditation', 'phone_principal',
+  'email_principal', 'website', 'status', 'building_condition', 'last_update'
+];
+
+// Données liées aplaties en une colonne texte "a | b | c"
+export const exportRelations = {
+  contacts: `(SELECT string_agg(ct.code || ': ' || x.value, ' | ' ORDER BY ct.code, x.value)
+    FROM contact x JOIN contact_type ct ON x.contact_type_id = ct.id WHERE x.institution_id = i.id)`,
+  services: `(SELECT string_agg(x.service_code || ': ' || x.name, ' | ' ORDER BY x.service_code)
+    FROM service x WHERE x.institution_id = i.id)`,
+  fees: `(SELECT string_agg(x.level || ': ' || x.amount || ' ' || x.currency, ' | ' ORDER BY x.level, x.amount)
+    FROM education_fee x WHERE x.institution_id = i.id)`
+};
+
+const BATCH_SIZE = 500;
+
+export function exportColumns(include) {
+  return [...baseColumns, ...include];
+}
+
+export function buildExportQuery(query, { includeDeleted = false, include = [] } = {}) {
+  const { conditions, params } = buildInstitutionFilters(query, { includeDeleted });
+  const related = include.map(name => `${exportRelations[name]} AS ${name}`);
+  const sql = `
+    SELECT
+      i.id, i.name, i.label,
+      ic.code as category_code, ic.label as category_label,
+      ist.code as subtype_code, ist.label as subtype_label,
+      r.name as region_name, d.name as district_name,
+      c.name as commune_name, s.name as street_name,
+      i.lat, i.lng, i.established, i.capacity, i.last_renovation, i.accreditation,
+      i.phone_principal, i.email_principal, i.website, i.status, i.building_condition,
+      i.last_update${related.length ? ',\n      ' + related.join(',\n      ') : ''}
+    FROM institution i
+    LEFT JOIN institution_category ic ON i.category_id = ic.id
+    LEFT JOIN institution_subtype ist ON i.subtype_id = ist.id
+    LEFT JOIN region r ON i.region_id = r.id
+    LEFT JOIN district d ON i.district_id = d.id
+    LEFT JOIN commune c ON i.commune_id = c.id
+    LEFT JOIN street s ON i.street_id = s.id
+    ${whereClause(conditions)}
+    ORDER BY i.name, i.id`;
+  return { sql, params };
+}
+
+// Curseur serveur : la mémoire reste bornée à BATCH_SIZE lignes quel que soit le volume
+export function streamRows(client, { sql, params }) {
+  return client.query(new QueryStream(sql, params, { batchSize: BATCH_SIZE }));
+}
+
+function cellValue(value) {
+  if (value instanceof Date) return value.toISOString();
+  return value === null || value === undefined ? '' : value;
+}
+
+// Les écrivains passent par pipeline() : si le client se déconnecte, la réponse est fermée,
+// le curseur détruit et la promesse rejetée (au lieu d'attendre un 'drain' qui ne viendra plus).
+
+export async function writeCsv(rows, out, columns) {
+  const csv = stringify({ header: true, columns, bom: true, cast: { date: d => d.toISOString() } });
+  await pipeline(rows, csv, out);
+}
+
+export async function writeXlsx(rows, out, columns) {
+  const file = new PassThrough();
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: file, useStyles: false, useSharedStrings: false });
+  const produce = async () => {
+    const sheet = workbook.addWorksheet('institutions');
+    sheet.columns = columns.map(key => ({ header: key, key }));
+    for await (const row of rows) {
+      sheet.addRow(columns.map(c => cellValue(row[c]))).commit();
+    }
+    sheet.commit();
+    await workbook.commit();
+  };
+  // Sortie fermée : on arrête aussi de lire le curseur
+  const sending = pipeline(file, out).catch((err) => {
+    rows.destroy();
+    throw err;
+  });
+  await Promise.all([sending, produce()]);
+}
+
+// FeatureCollection ; geometry null pour les institutions sans coordonnées
+export async function writeGeoJson(rows, out, columns) {
+  await pipeline(rows, async function* (source) {
+    yield '{"type":"FeatureCollection","features":[';
+    let first = true;
+    for await (const row of source) {
+      const properties = {};
+      for (const c of columns) {
+        if (c !== 'lat' && c !== 'lng') properties[c] = row[c] === undefined ? null : row[c];
+      }
+      const feature = {
+        type: 'Feature',
+        id: row.id,
+        geometry: row.lat !== null && row.lng !== null ? { type: 'Point', coordinates: [row.lng, row.lat] } : null,
+        properties
+      };
+      yield (first ? '' : ',') + JSON.stringify(feature);
+      first = false;
+    }
+    yield ']}';
+  }, out);
+}
+
+export const exportWriters = { csv: writeCsv, xlsx: writeXlsx, geojson: writeGeoJson };
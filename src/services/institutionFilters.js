@@ -0,0 +1,101 @@
+import { openAtCondition } from './openingHours.js';
+
+// Filtres de GET / partagés par les routes de liste, d'export, de carte, etc.
+// Les conditions portent sur l'alias `i` (table institution).
+export const institutionFilterParams = [
+  'category', 'subtype', 'region', 'district', 'commune', 'street',
+  'name', 'status', 'min_capacity', 'max_capacity', 'open_at', 'location_mismatch'
+];
+
+// Clés de tri autorisées pour les listes (?sort=-capacity,name) → expression SQL
+export const institutionSortKeys = {
+  name: 'i.name',
+  capacity: 'i.capacity',
+  established: 'i.established',
+  last_renovation: 'i.last_renovation',
+  last_update: 'i.last_update',
+  status: 'i.status',
+  category: 'ic.code',
+  subtype: 'ist.code',
+  region: 'r.name',
+  district: 'd.name',
+  commune: 'c.name'
+};
+
+// Ajoute les paramètres à `params` (existants conservés) et renvoie les conditions SQL
+export function buildInstitutionFilters(query, { includeDeleted = false, params = [] } = {}) {
+  const {
+    category,
+    subtype,
+    region,
+    district,
+    commune,
+    street,
+    name,
+    status,
+    min_capacity,
+    max_capacity,
+    open_at,
+    location_mismatch
+  } = query;
+
+  const conditions = [];
+
+  if (!includeDeleted) conditions.push('i.deleted_at IS NULL');
+  if (category) {
+    conditions.push(`i.category_id = (SELECT id FROM institution_category WHERE code = $${params.length+1})`);
+    params.push(category);
+  }
+  if (subtype) {
+    conditions.push(`i.subtype_id = (SELECT id FROM institution_subtype WHERE code = $${params.length+1})`);
+    params.push(subtype);
+  }
+  if (region) {
+    conditions.push(`i.region_id = (SELECT id FROM region WHERE code = $${params.length+1})`);
+    params.push(region);
+  }
+  if (district) {
+    conditions.push(`i.district_id = (SELECT id FROM district WHERE code = $${params.length+1})`);
+    params.push(district);
+  }
+  if (commune) {
+    conditions.push(`i.commune_id = (SELECT id FROM commune WHERE code = $${params.length+1})`);
+    params.push(commune);
+  }
+  if (street) {
+    conditions.push(`i.street_id = (SELECT id FROM street WHERE name = $${params.length+1})`);
+    params.push(street);
+  }
+  if (name) {
+    // Insensible à la casse et aux accents ("lycee" trouve "Lycée")
+    conditions.push(`lower(f_unaccent(i.name)) LIKE '%' || lower(f_unaccent($${params.length+1})) || '%'`);
+    params.push(name);
+  }
+  if (status) {
+    conditions.push(`i.status = $${params.length+1}`);
+    params.push(status);
+  }
+  if (min_capacity) {
+    conditions.push(`i.capacity >= $${params.length+1}`);
+    params.push(min_capacity);
+  }
+  if (max_capacity) {
+    conditions.push(`i.capacity <= $${params.length+1}`);
+    params.push(max_capacity);
+  }
+  if (open_at) {
+    // Ouvertes à cet instant (ou maintenant), exceptions datées comprises
+    conditions.push(openAtCondition(open_at === 'now' ? new Date() : new Date(open_at), params));
+  }
+  if (location_mismatch) {
+    // Coordonnées hors du contour de la commune déclarée (false : contrôlées et cohérentes)
+    conditions.push(location_mismatch === 'true' ? 'i.location_mismatch' : 'i.location_mismatch = false');
+  }
+
+  return { conditions, params };
+}
+
+// "WHERE a AND b" ou chaîne vide
+export function whereClause(conditions) {
+  return conditions.length ? ' WHERE ' + conditions.join(' AND ') : '';
+}
@@ -0,0 +1,264 @@
+import { parse } from 'csv-parse/sync';
+import ExcelJS from 'exceljs';
+import { auditWriter } from './audit.js';
+import { createInstitution, updateInstitution } from './institutions.js';
+import { loadReferenceIndex, resolveReference, normalizeKey } from './referenceResolver.js';
+import { checkInstitution } from '../validation/institution.js';
+
+export const MAX_IMPORT_ROWS = 10000;
+
+const TEXT_FIELDS = [
+  'name', 'label', 'description', 'accreditation', 'phone_principal',
+  'email_principal', 'website', 'status', 'building_condition'
+];
+const FLOAT_FIELDS = ['lat', 'lng'];
+const INTEGER_FIELDS = ['established', 'capacity', 'last_renovation'];
+const REFERENCE_LEVELS = ['category', 'subtype', 'region', 'district', 'commune'];
+const KNOWN_COLUMNS = new Set([
+  ...TEXT_FIELDS, ...FLOAT_FIELDS, ...INTEGER_FIELDS, 'street',
+  ...REFERENCE_LEVELS.flatMap(l => [l, `${l}_code`, `${l}_name`, `${l}_id`])
+]);
+
+export class ImportFormatError extends Error {}
+
+// "Code Région" → "code_region"
+function normalizeHeader(header) {
+  return normalizeKey(header).replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+}
+
+function cellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') {
+    if (value.richText) return value.richText.map(t => t.text).join('');
+    if (value.text !== undefined) return cellText(value.text);
+    if (value.result !== undefined) return cellText(value.result);
+    return '';
+  }
+  return String(value).trim();
+}
+
+// Séparateur le plus fréquent de la ligne d'en-tête (les tableurs français exportent en ";")
+function detectDelimiter(buffer) {
+  const header = buffer.toString('utf8', 0, Math.min(buffer.length, 4096)).split(/\r?\n/)[0];
+  const counts = [',', ';', '\t'].map(d => [d, header.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+function parseCsv(buffer) {
+  return parse(buffer, {
+    columns: header => header.map(normalizeHeader),
+    bom: true,
+    delimiter: detectDelimiter(buffer),
+    skip_empty_lines: true,
+    trim: true,
+    relax_column_count: true
+  });
+}
+
+async function parseXlsx(buffer, sheetName) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = sheetName ? workbook.getWorksheet(sheetName) : workbook.worksheets[0];
+  if (!sheet) throw new ImportFormatError(sheetName ? `Sheet "${sheetName}" not found` : 'Workbook has no sheet');
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    headers[col] = normalizeHeader(cellText(cell.value));
+  });
+
+  const rows = [];
+  sheet.eachRow((row, rowNumber) => {
+    if (rowNumber === 1) return;
+    const record = {};
+    row.eachCell({ includeEmpty: true }, (cell, col) => {
+      if (headers[col]) record[headers[col]] = cellText(cell.value);
+    });
+    if (Object.values(record).some(v => v !== '')) rows.push(record);
+  });
+  return rows;
+}
+
+// Lit un fichier CSV ou XLSX en tableau d'objets indexés par en-tête normalisé
+export async function parseImportFile({ buffer, originalname = '', mimetype = '' }, { sheet } = {}) {
+  const extension = originalname.toLowerCase().split('.').pop();
+  let rows;
+  if (extension === 'csv' || mimetype === 'text/csv') {
+    try {
+      rows = parseCsv(buffer);
+    } catch (err) {
+      throw new ImportFormatError(`Invalid CSV: ${err.message}`);
+    }
+  } else if (extension === 'xlsx' || mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') {
+    try {
+      rows = await parseXlsx(buffer, sheet);
+    } catch (err) {
+      if (err instanceof ImportFormatError) throw err;
+      throw new ImportFormatError(`Invalid XLSX: ${err.message}`);
+    }
+  } else {
+    throw new ImportFormatError('Unsupported file type, expected .csv or .xlsx');
+  }
+
+  if (!rows.length) throw new ImportFormatError('File contains no data rows');
+  if (rows.length > MAX_IMPORT_ROWS) throw new ImportFormatError(`File exceeds ${MAX_IMPORT_ROWS} rows`);
+  return rows;
+}
+
+function firstValue(record, level) {
+  for (const key of [level, `${level}_code`, `${level}_name`, `${level}_id`]) {
+    if (record[key] !== undefined && record[key] !== '') return record[key];
+  }
+  return null;
+}
+
+function parseNumber(raw, integer) {
+  const value = Number(String(raw).replace(/\s/g, '').replace(',', '.'));
+  if (!Number.isFinite(value) || (integer && !Number.isInteger(value))) return null;
+  return value;
+}
+
+// Convertit une ligne brute en champs d'institution ; références résolues via l'index
+async function prepareRow(db, index, record, streetCache) {
+  const data = {};
+  const errors = [];
+  const warnings = [];
+
+  for (const field of TEXT_FIELDS) {
+    if (record[field]) data[field] = record[field];
+  }
+  for (const field of [...FLOAT_FIELDS, ...INTEGER_FIELDS]) {
+    if (!record[field]) continue;
+    const value = parseNumber(record[field], INTEGER_FIELDS.includes(field));
+    if (value === null) errors.push({ field, message: `Invalid number "${record[field]}"` });
+    else data[field] = value;
+  }
+
+  const resolved = {};
+  const parentOf = { subtype: 'category', district: 'region', commune: 'district' };
+  for (const level of REFERENCE_LEVELS) {
+    const value = firstValue(record, level);
+    if (value === null) continue;
+    const parent = resolved[parentOf[level]];
+    const { row, error } = resolveReference(index, level, value, parent && parent.id);
+    if (error) {
+      errors.push({ field: level, message: error });
+      continue;
+    }
+    resolved[level] = row;
+    data[`${level}_id`] = row.id;
+  }
+
+  // Le sous-type détermine la catégorie
+  if (resolved.subtype) {
+    if (!resolved.category) {
+      data.category_id = resolved.subtype.parent_id;
+      warnings.push({ field: 'category', message: 'Category derived from subtype' });
+    } else if (resolved.subtype.parent_id !== resolved.category.id) {
+      errors.push({ field: 'subtype', message: `Subtype "${resolved.subtype.code}" does not belong to category "${resolved.category.code}"` });
+    }
+  }
+  // Chaîne géographique cohérente ; les niveaux absents sont déduits à l'écriture
+  if (resolved.district && resolved.region && resolved.district.parent_id !== resolved.region.id) {
+    errors.push({ field: 'district', message: `District "${resolved.district.code}" is not in region "${resolved.region.code}"` });
+  }
+  if (resolved.commune && resolved.district && resolved.commune.parent_id !== resolved.district.id) {
+    errors.push({ field: 'commune', message: `Commune "${resolved.commune.code}" is not in district "${resolved.district.code}"` });
+  }
+
+  if (record.street) {
+    if (!resolved.commune) {
+      errors.push({ field: 'street', message: 'Street requires a commune' });
+    } else {
+      const key = `${resolved.commune.id}|${normalizeKey(record.street)}`;
+      if (!streetCache.has(key)) {
+        const result = await db.query(
+          'SELECT id FROM street WHERE commune_id = $1 AND LOWER(name) = LOWER($2)',
+          [resolved.commune.id, record.street]
+        );
+        streetCache.set(key, result.rows);
+      }
+      const streets = streetCache.get(key);
+      if (streets.length === 1) data.street_id = streets[0].id;
+      else errors.push({ field: 'street', message: streets.length ? `Ambiguous street "${record.street}"` : `Unknown street "${record.street}" in commune` });
+    }
+  }
+
+  if (FLOAT_FIELDS.some(f => data[f] === undefined)) {
+    warnings.push({ field: 'coordinates', message: 'Missing coordinates' });
+  }
+  return { data, errors, warnings };
+}
+
+// Valide toutes les lignes sans rien écrire.
+// upsert : une ligne dont le nom correspond à une institution active la met à jour.
+export async function validateImport(db, records, { upsert = false } = {}) {
+  const index = await loadReferenceIndex(db);
+  const streetCache = new Map();
+
+  const names = records.map(r => r.name).filter(Boolean);
+  const existing = await db.query(
+    'SELECT id, name FROM institution WHERE deleted_at IS NULL AND name = ANY($1)',
+    [names]
+  );
+  const existingByName = new Map(existing.rows.map(r => [r.name, r.id]));
+  const seenNames = new Map();
+
+  const unknownColumns = Object.keys(records[0]).filter(c => !KNOWN_COLUMNS.has(c));
+
+  const rows = [];
+  for (const [i, record] of records.entries()) {
+    // Ligne 1 = en-têtes
+    const rowNumber = i + 2;
+    const { data, errors, warnings } = await prepareRow(db, index, record, streetCache);
+
+    let action = 'insert';
+    let targetId = null;
+    if (data.name && existingByName.has(data.name)) {
+      if (upsert) {
+        action = 'update';
+        targetId = existingByName.get(data.name);
+      } else {
+        errors.push({ field: 'name', message: 'Institution name already exists' });
+      }
+    }
+    if (data.name && seenNames.has(data.name)) {
+      errors.push({ field: 'name', message: `Duplicate of row ${seenNames.get(data.name)}` });
+    } else if (data.name) {
+      seenNames.set(data.name, rowNumber);
+    }
+
+    errors.push(...checkInstitution(data, { partial: action === 'update' })
+      .filter(e => !errors.some(existingError => existingError.field === e.field.replace(/_id$/, ''))));
+
+    rows.push({ row: rowNumber, name: data.name || null, action, id: targetId, data, errors, warnings });
+  }
+
+  const invalid = rows.filter(r => r.errors.length).length;
+  return {
+    rows,
+    unknown_columns: unknownColumns,
+    summary: {
+      total: rows.length,
+      valid: rows.length - invalid,
+      invalid,
+      inserts: rows.filter(r => !r.errors.length && r.action === 'insert').length,
+      updates: rows.filter(r => !r.errors.length && r.action === 'update').length,
+      warnings: rows.reduce((n, r) => n + r.warnings.length, 0)
+    }
+  };
+}
+
+// Écrit toutes les lignes validées dans la transaction du client,
+// dans un seul change set d'audit (annulable en une fois)
+export async function commitImport(client, report, user) {
+  const audit = auditWriter(client, user);
+  for (const row of report.rows) {
+    const saved = row.action === 'update'
+      ? await updateInstitution(client, row.id, row.data, { user, audit })
+      : await createInstitution(client, row.data, { user, audit });
+    if (!saved) throw new Error(`Row ${row.row}: institution "${row.name}" no longer exists`);
+    row.id = saved.id;
+  }
+  return audit.changeSet;
+}
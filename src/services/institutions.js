@@ -0,0 +1,61 @@
+import { v4 as uuidv4 } from 'uuid';
+import { auditWriter } from './audit.js';
+import { institutionFields } from '../validation/institution.js';
+import { resolveLocation, touchesLocation } from './geoHierarchy.js';
+import { locationFromPoint, locationMismatch } from './boundaries.js';
+import { checkVersion } from './versions.js';
+
+// Écritures d'institution partagées par les routes et l'import.
+// `audit` permet de regrouper plusieurs écritures dans un même change set.
+// La localisation est complétée et vérifiée (LocationError si incohérente) ; sans
+// localisation donnée, elle est déduite des coordonnées et des contours importés.
+
+export async function createInstitution(client, data, { user, audit = auditWriter(client, user) } = {}) {
+  data = { ...data, ...await locationFromPoint(client, data, {}, touchesLocation(data)) };
+  data = { ...data, ...await resolveLocation(client, data) };
+  data.location_mismatch = await locationMismatch(client, data);
+  const id = uuidv4();
+  const fields = [...institutionFields, 'location_mismatch'].filter(f => data[f] !== undefined);
+  const values = fields.map(f => data[f]);
+  const placeholders = fields.map((_, i) => `$${i + 3}`).join(',');
+
+  const query = `
+    INSERT INTO institution (
+      id, created_by, updated_by, last_update${fields.length ? ', ' + fields.join(', ') : ''}
+    ) VALUES (
+      $1, $2, $2, NOW()${fields.length ? ', ' + placeholders : ''}
+    ) RETURNING *`;
+  const result = await client.query(query, [id, user ? user.id : null, ...values]);
+
+  await audit.record({
+    institutionId: id, entityType: 'institution', entityId: id, action: 'create', after: result.rows[0]
+  });
+  return result.rows[0];
+}
+
+// Renvoie null si l'institution n'existe pas (ou est supprimée) ; expectedVersion : versions
+// acceptées (If-Match), VersionConflictError sinon
+export async function updateInstitution(client, id, updates, { user, audit = auditWriter(client, user), expectedVersion = null } = {}) {
+  const before = await client.query('SELECT * FROM institution WHERE id=$1 AND deleted_at IS NULL FOR UPDATE', [id]);
+  if (!before.rows.length) return null;
+  const current = before.rows[0];
+  checkVersion(current, expectedVersion);
+  const locationGiven = touchesLocation(updates);
+  updates = { ...updates, ...await locationFromPoint(client, updates, current, locationGiven) };
+  if (touchesLocation(updates)) updates = { ...updates, ...await resolveLocation(client, updates, current) };
+  if (['lat', 'lng', 'commune_id'].some(f => updates[f] !== undefined)) {
+    updates.location_mismatch = await locationMismatch(client, { ...current, ...updates });
+  }
+
+  const fields = Object.keys(updates).filter(f => institutionFields.includes(f) || f === 'location_mismatch');
+  const values = fields.map(f => updates[f]);
+  const setQuery = fields.map((f, i) => `${f}=$${i + 1}`).join(',');
+  const query = `UPDATE institution SET ${setQuery ? setQuery + ', ' : ''}last_update=NOW(), updated_by=$${fields.length + 1} WHERE id=$${fields.length + 2} RETURNING *`;
+  const result = await client.query(query, [...values, user ? user.id : null, id]);
+
+  await audit.record({
+    institutionId: id, entityType: 'institution', entityId: id, action: 'update',
+    before: before.rows[0], after: result.rows[0]
+  });
+  return result.rows[0];
+}
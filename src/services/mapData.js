@@ -0,0 +1,185 @@
+import vtpbf from 'vt-pbf';
+import { buildInstitutionFilters, whereClause } from './institutionFilters.js';
+
+// Au-delà de ce zoom, les institutions sont renvoyées individuellement
+export const CLUSTER_MAX_ZOOM = parseInt(process.env.MAP_CLUSTER_MAX_ZOOM || '14');
+// Taille d'une cellule de regroupement, en pixels écran
+const CLUSTER_CELL_PX = 64;
+const TILE_SIZE = 256;
+const TILE_EXTENT = 4096;
+// Limite de la projection Web Mercator
+const MAX_LAT = 85.05112878;
+export const MAX_FEATURES = 5000;
+
+// "minLng,minLat,maxLng,maxLat" → objet, ou null si invalide
+export function parseBbox(value) {
+  if (!value) return null;
+  const parts = String(value).split(',').map(Number);
+  if (parts.length !== 4 || parts.some(n => !Number.isFinite(n))) return null;
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (minLng < -180 || maxLng > 180 || minLat < -90 || maxLat > 90) return null;
+  if (minLng >= maxLng || minLat >= maxLat) return null;
+  return { minLng, minLat, maxLng, maxLat };
+}
+
+// Emprise géographique d'une tuile XYZ
+export function tileBounds(z, x, y) {
+  const n = 2 ** z;
+  const lng = px => px / n * 360 - 180;
+  const lat = py => Math.atan(Math.sinh(Math.PI * (1 - 2 * py / n))) * 180 / Math.PI;
+  return { minLng: lng(x), maxLng: lng(x + 1), minLat: lat(y + 1), maxLat: lat(y) };
+}
+
+// Position Web Mercator en pixels monde au zoom z
+function project(lng, lat, z) {
+  const clamped = Math.max(-MAX_LAT, Math.min(MAX_LAT, lat));
+  const scale = TILE_SIZE * 2 ** z;
+  const sin = Math.sin(clamped * Math.PI / 180);
+  return {
+    x: (lng + 180) / 360 * scale,
+    y: (0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * scale
+  };
+}
+
+function locatedFilters(query, { bbox, includeDeleted }) {
+  const { conditions, params } = buildInstitutionFilters(query, { includeDeleted });
+  conditions.push('i.lat IS NOT NULL', 'i.lng IS NOT NULL');
+  if (bbox) {
+    conditions.push(`i.lat BETWEEN $${params.length + 1} AND $${params.length + 2}`);
+    conditions.push(`i.lng BETWEEN $${params.length + 3} AND $${params.length + 4}`);
+    params.push(bbox.minLat, bbox.maxLat, bbox.minLng, bbox.maxLng);
+  }
+  return { conditions, params };
+}
+
+// Regroupement sur une grille de CLUSTER_CELL_PX pixels (projection Web Mercator),
+// avec le nombre d'institutions par catégorie dans chaque cellule
+export async function queryClusters(db, query, { bbox, zoom, includeDeleted = false }) {
+  const { conditions, params } = locatedFilters(query, { bbox, includeDeleted });
+  const scale = TILE_SIZE * 2 ** zoom;
+  params.push(scale, CLUSTER_CELL_PX, MAX_LAT);
+  const [scale$, cell$, maxLat$] = [params.length - 2, params.length - 1, params.length].map(n => `$${n}::float8`);
+  const sinLat = `sin(radians(LEAST(GREATEST(i.lat, -${maxLat$}), ${maxLat$})))`;
+
+  const sql = `
+    WITH points AS (
+      SELECT i.id, i.name, i.lat, i.lng, ic.code AS category_code,
+        floor((i.lng + 180) / 360 * ${scale$} / ${cell$}) AS gx,
+        floor((0.5 - ln((1 + ${sinLat}) / (1 - ${sinLat})) / (4 * pi())) * ${scale$} / ${cell$}) AS gy
+      FROM institution i
+      LEFT JOIN institution_category ic ON i.category_id = ic.id
+      ${whereClause(conditions)}
+    ),
+    by_category AS (
+      SELECT gx, gy, category_code, COUNT(*) AS n, SUM(lat) AS sum_lat, SUM(lng) AS sum_lng,
+        MIN(id::text) AS sample_id, MIN(name) AS sample_name
+      FROM points
+      GROUP BY gx, gy, category_code
+    )
+    SELECT gx, gy,
+      SUM(n)::int AS count,
+      SUM(sum_lat) / SUM(n) AS lat,
+      SUM(sum_lng) / SUM(n) AS lng,
+      jsonb_object_agg(COALESCE(category_code, 'none'), n) AS categories,
+      MIN(sample_id) AS sample_id,
+      MIN(sample_name) AS sample_name
+    FROM by_category
+    GROUP BY gx, gy
+    ORDER BY count DESC
+    LIMIT ${MAX_FEATURES + 1}`;
+  const result = await db.query(sql, params);
+  return result.rows;
+}
+
+export async function queryPoints(db, query, { bbox, includeDeleted = false }) {
+  const { conditions, params } = locatedFilters(query, { bbox, includeDeleted });
+  const sql = `
+    SELECT i.id, i.name, i.lat, i.lng, i.status, i.capacity,
+      ic.code AS category_code, ist.code AS subtype_code
+    FROM institution i
+    LEFT JOIN institution_category ic ON i.category_id = ic.id
+    LEFT JOIN institution_subtype ist ON i.subtype_id = ist.id
+    ${whereClause(conditions)}
+    ORDER BY i.id
+    LIMIT ${MAX_FEATURES + 1}`;
+  const result = await db.query(sql, params);
+  return result.rows;
+}
+
+function clusterProperties(c) {
+  return { cluster: true, point_count: c.count, categories: c.categories };
+}
+
+function pointProperties(p) {
+  return {
+    id: p.id, name: p.name, category_code: p.category_code, subtype_code: p.subtype_code,
+    status: p.status, capacity: p.capacity
+  };
+}
+
+// Une cellule ne contenant qu'une institution est renvoyée comme point
+function clusterToFeature(c) {
+  if (c.count === 1) {
+    return {
+      type: 'Feature',
+      geometry: { type: 'Point', coordinates: [c.lng, c.lat] },
+      properties: { cluster: false, id: c.sample_id, name: c.sample_name, category_code: Object.keys(c.categories)[0] }
+    };
+  }
+  return {
+    type: 'Feature',
+    geometry: { type: 'Point', coordinates: [c.lng, c.lat] },
+    properties: clusterProperties(c)
+  };
+}
+
+export function toFeatureCollection({ clusters, points }) {
+  const rows = clusters || points;
+  const truncated = rows.length > MAX_FEATURES;
+  const features = rows.slice(0, MAX_FEATURES).map(r => clusters
+    ? clusterToFeature(r)
+    : { type: 'Feature', geometry: { type: 'Point', coordinates: [r.lng, r.lat] }, properties: { cluster: false, ...pointProperties(r) } });
+  return { type: 'FeatureCollection', features, truncated };
+}
+
+// Attributs MVT : chaînes, nombres ou booléens uniquement
+function tileTags(properties) {
+  const tags = {};
+  for (const [key, value] of Object.entries(properties)) {
+    if (value === null || value === undefined) continue;
+    if (typeof value === 'object') {
+      for (const [k, v] of Object.entries(value)) tags[`${key}_${k}`] = v;
+    } else {
+      tags[key] = value;
+    }
+  }
+  return tags;
+}
+
+function toTileFeature(lng, lat, z, x, y, tags) {
+  const p = project(lng, lat, z);
+  return {
+    type: 1,
+    geometry: [[
+      Math.round((p.x / TILE_SIZE - x) * TILE_EXTENT),
+      Math.round((p.y / TILE_SIZE - y) * TILE_EXTENT)
+    ]],
+    tags: tileTags(tags)
+  };
+}
+
+// Tuile Mapbox Vector Tile : couche "clusters" (zoom < CLUSTER_MAX_ZOOM)
+// ou couche "institutions"
+export function encodeTile({ clusters, points }, z, x, y) {
+  const layers = {};
+  if (clusters) {
+    layers.clusters = {
+      features: clusters.slice(0, MAX_FEATURES).map(c => toTileFeature(c.lng, c.lat, z, x, y, clusterProperties(c)))
+    };
+  } else {
+    layers.institutions = {
+      features: points.slice(0, MAX_FEATURES).map(p => toTileFeature(p.lng, p.lat, z, x, y, pointProperties(p)))
+    };
+  }
+  return Buffer.from(vtpbf.fromGeojsonVt(layers, { version: 2, extent: TILE_EXTENT }));
+}
@@ -0,0 +1,148 @@
+import { auditWriter } from './audit.js';
+import { updateInstitution } from './institutions.js';
+import { institutionFields } from '../validation/institution.js';
+import { institutionChildTables, entityTypeForTable } from '../db/entities.js';
+
+// Fusion de deux institutions : l'institution absorbée transmet ses sous-ressources à
+// l'institution conservée, puis est supprimée logiquement avec merged_into = conservée.
+// Tout est journalisé dans un seul change set (annulable par revert).
+
+export class MergeError extends Error {
+  constructor(message, status = 409) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const isEmpty = value => value === null || value === undefined || value === '';
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// Résolution champ par champ : `choices` = { champ: 'survivor' | 'absorbed' } ;
+// sans choix, la valeur de l'institution conservée l'emporte sauf si elle est vide.
+export function resolveFields(survivor, absorbed, choices = {}) {
+  const values = {};
+  const resolved = {};
+  const conflicts = [];
+  for (const field of institutionFields) {
+    const kept = survivor[field];
+    const other = absorbed[field];
+    const choice = choices[field] || (isEmpty(kept) && !isEmpty(other) ? 'absorbed' : 'survivor');
+    resolved[field] = choice;
+    if (!isEmpty(kept) && !isEmpty(other) && !sameValue(kept, other)) {
+      conflicts.push({ field, survivor: kept, absorbed: other, kept: choice });
+    }
+    if (choice === 'absorbed' && !sameValue(kept, other)) values[field] = other;
+  }
+  return { values, resolved, conflicts };
+}
+
+// Verrouille les deux institutions (ordre fixe pour éviter les interblocages)
+async function lockPair(client, survivorId, absorbedId) {
+  const result = await client.query(
+    'SELECT * FROM institution WHERE id = ANY($1::uuid[]) ORDER BY id FOR UPDATE',
+    [[survivorId, absorbedId]]
+  );
+  const survivor = result.rows.find(r => r.id === survivorId);
+  const absorbed = result.rows.find(r => r.id === absorbedId);
+  if (!survivor || survivor.deleted_at) throw new MergeError('Institution not found', 404);
+  if (!absorbed) throw new MergeError('Absorbed institution not found', 404);
+  if (absorbed.deleted_at) throw new MergeError('Absorbed institution is deleted or already merged');
+  return { survivor, absorbed };
+}
+
+// Nombre de sous-ressources de l'institution absorbée, par type d'entité
+async function childCounts(client, institutionId) {
+  const counts = {};
+  for (const table of institutionChildTables) {
+    const result = await client.query(`SELECT COUNT(*)::int AS n FROM ${table} WHERE institution_id = $1`, [institutionId]);
+    counts[entityTypeForTable(table)] = result.rows[0].n;
+  }
+  return counts;
+}
+
+// Un horaire hebdomadaire ne se combine pas avec un autre : celui de l'institution
+// absorbée n'est repris que si la conservée n'en a pas
+async function hasWeeklyHours(client, institutionId) {
+  const result = await client.query('SELECT 1 FROM opening_hour WHERE institution_id = $1 LIMIT 1', [institutionId]);
+  return result.rows.length > 0;
+}
+
+// Aperçu sans écriture : champs résolus, conflits et sous-ressources à déplacer
+export async function previewMerge(client, survivorId, absorbedId, choices) {
+  const { survivor, absorbed } = await lockPair(client, survivorId, absorbedId);
+  const { values, resolved, conflicts } = resolveFields(survivor, absorbed, choices);
+  const moved = await childCounts(client, absorbedId);
+  const dropped = {};
+  if (moved.opening_hours && await hasWeeklyHours(client, survivorId)) {
+    dropped.opening_hours = moved.opening_hours;
+    moved.opening_hours = 0;
+  }
+  return { survivor: { ...survivor, ...values }, absorbed_id: absorbedId, resolved, conflicts, moved, dropped };
+}
+
+export async function mergeInstitutions(client, survivorId, absorbedId, choices, { user } = {}) {
+  const { survivor, absorbed } = await lockPair(client, survivorId, absorbedId);
+  const { values, resolved, conflicts } = resolveFields(survivor, absorbed, choices);
+  const audit = auditWriter(client, user);
+  const moved = {};
+  const dropped = {};
+
+  // 1. Sous-ressources
+  const dropHours = await hasWeeklyHours(client, survivorId);
+  for (const table of institutionChildTables) {
+    const entityType = entityTypeForTable(table);
+    const rows = (await client.query(`SELECT * FROM ${table} WHERE institution_id = $1 FOR UPDATE`, [absorbedId])).rows;
+    if (!rows.length) continue;
+
+    if (table === 'opening_hour' && dropHours) {
+      await client.query('DELETE FROM opening_hour WHERE institution_id = $1', [absorbedId]);
+      for (const row of rows) {
+        await audit.record({ institutionId: absorbedId, entityType, entityId: row.id, action: 'delete', before: row });
+      }
+      dropped[entityType] = rows.length;
+      continue;
+    }
+
+    // Les photos envoyées sont servies sous l'URL de leur institution
+    const set = table === 'photo'
+      ? 'institution_id = $1, url = CASE WHEN storage_key IS NOT NULL THEN replace(url, institution_id::text, $1::text) ELSE url END'
+      : 'institution_id = $1';
+    const result = await client.query(`UPDATE ${table} SET ${set} WHERE institution_id = $2 RETURNING *`, [survivorId, absorbedId]);
+    const before = Object.fromEntries(rows.map(r => [r.id, r]));
+    for (const row of result.rows) {
+      await audit.record({ institutionId: survivorId, entityType, entityId: row.id, action: 'merge', before: before[row.id], after: row });
+    }
+    moved[entityType] = result.rows.length;
+  }
+
+  // 2. Institution absorbée (avant la conservée : son nom peut être repris)
+  const merged = await client.query(
+    `UPDATE institution SET deleted_at = NOW(), deleted_by = $1, merged_into = $2, last_update = NOW(), updated_by = $1
+     WHERE id = $3 RETURNING *`,
+    [user ? user.id : null, survivorId, absorbedId]
+  );
+  await audit.record({
+    institutionId: absorbedId, entityType: 'institution', entityId: absorbedId, action: 'merge',
+    before: absorbed, after: merged.rows[0]
+  });
+
+  // 3. Champs résolus sur l'institution conservée
+  const updated = await updateInstitution(client, survivorId, values, { user, audit });
+
+  return { data: updated, absorbed_id: absorbedId, change_set: audit.changeSet, resolved, conflicts, moved, dropped };
+}
+
+// Institution finale d'une chaîne de fusions (null si l'identifiant n'a pas été fusionné)
+export async function mergeTarget(db, id) {
+  const result = await db.query(`
+    WITH RECURSIVE chain AS (
+      SELECT id, merged_into, 0 AS depth FROM institution WHERE id = $1
+      UNION ALL
+      SELECT i.id, i.merged_into, chain.depth + 1
+      FROM institution i JOIN chain ON i.id = chain.merged_into
+      WHERE chain.depth < 20
+    )
+    SELECT id FROM chain WHERE merged_into IS NULL AND depth > 0
+  `, [id]);
+  return result.rows.length ? result.rows[0].id : null;
+}
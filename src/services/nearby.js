@@ -0,0 +1,109 @@
+import { buildInstitutionFilters } from './institutionFilters.js';
+import { distanceSql, degreeSpan, pointSql, geographySql, hasPostgis } from './geo.js';
+
+// Recherche de proximité (GET /nearby) : institutions dans un rayon, ou les N plus proches
+// (éventuellement dans un rayon), triées par distance. Avec PostGIS : ST_DWithin et <-> sur
+// geography ; sinon emprise et plus proches voisins sur l'index GiST point(lng, lat), la
+// distance exacte étant calculée par haversine.
+
+// Unité → mètres
+export const DISTANCE_UNITS = { km: 1000, m: 1 };
+
+const center = '(ST_SetSRID(ST_MakePoint($2, $1), 4326)::geography)';
+
+// Emprise (index) d'un cercle ; sans borne de longitude s'il traverse l'antiméridien ou un pôle
+function boxCondition(lat, lng, meters, params) {
+  const span = degreeSpan(meters, lat);
+  const minLat = Math.max(lat - span.lat, -90);
+  const maxLat = Math.min(lat + span.lat, 90);
+  let minLng = lng - span.lng;
+  let maxLng = lng + span.lng;
+  if (minLng < -180 || maxLng > 180 || lat + span.lat > 90 || lat - span.lat < -90) {
+    minLng = -180;
+    maxLng = 180;
+  }
+  params.push(minLng, minLat, maxLng, maxLat);
+  const n = params.length;
+  return `${pointSql('i')} <@ box(point($${n - 3}, $${n - 2}), point($${n - 1}, $${n}))`;
+}
+
+// Rayon (m) contenant les `nearest` institutions les plus proches, ou null s'il n'y en a aucune.
+// Les plus proches en degrés (index) ne sont pas forcément les plus proches sur la sphère,
+// mais la plus éloignée d'entre elles borne la distance des vraies N plus proches.
+async function nearestRadius(db, lat, lng, nearest, filters) {
+  const params = [...filters.params, nearest];
+  const result = await db.query(`
+    SELECT max(distance_m) AS radius FROM (
+      SELECT ${distanceSql('$1', '$2', 'i.lat', 'i.lng')} AS distance_m
+      FROM institution i
+      WHERE ${filters.conditions.join(' AND ')}
+      ORDER BY ${pointSql('i')} <-> point($2, $1)
+      LIMIT $${params.length}
+    ) n
+  `, params);
+  const radius = result.rows[0].radius;
+  return radius === null ? null : radius + 1e-6;
+}
+
+// query : filtres de GET / ; radius en mètres (facultatif si nearest) ; nearest : N plus proches
+export async function findNearby(db, query, { lat, lng, radius = null, nearest = null, limit, offset, includeDeleted }) {
+  const filters = buildInstitutionFilters(query, { includeDeleted, params: [lat, lng] });
+  filters.conditions.push('i.lat IS NOT NULL', 'i.lng IS NOT NULL');
+  const postgis = await hasPostgis(db);
+
+  const conditions = [...filters.conditions];
+  const params = [...filters.params];
+  let distance;
+  let order;
+
+  if (postgis) {
+    distance = `ST_Distance(${geographySql('i')}, ${center})`;
+    order = `${geographySql('i')} <-> ${center}`;
+    if (radius !== null) {
+      params.push(radius);
+      conditions.push(`ST_DWithin(${geographySql('i')}, ${center}, $${params.length})`);
+    }
+  } else {
+    distance = distanceSql('$1', '$2', 'i.lat', 'i.lng');
+    order = 'distance_m';
+    // N plus proches : ramené à un rayon, pour profiter de l'emprise
+    let searchRadius = radius;
+    if (nearest !== null) {
+      const bound = await nearestRadius(db, lat, lng, nearest, filters);
+      if (bound === null) return { data: [], total: 0, backend: 'native' };
+      searchRadius = radius === null ? bound : Math.min(radius, bound);
+    }
+    conditions.push(boxCondition(lat, lng, searchRadius, params));
+    params.push(searchRadius);
+    conditions.push(`${distance} <= $${params.length}`);
+  }
+
+  // Mode N plus proches : la page est prise parmi les N premiers
+  const end = nearest !== null ? Math.min(offset + limit, nearest) : offset + limit;
+  const pageSize = Math.max(end - offset, 0);
+
+  const sql = `
+    SELECT i.*, ic.code AS category_code, ic.label AS category_label,
+      ist.code AS subtype_code, ist.label AS subtype_label, c.name AS commune_name,
+      ${distance} AS distance_m
+    FROM institution i
+    LEFT JOIN institution_category ic ON i.category_id = ic.id
+    LEFT JOIN institution_subtype ist ON i.subtype_id = ist.id
+    LEFT JOIN commune c ON i.commune_id = c.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY ${order}, i.id
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+  params.push(pageSize, offset);
+
+  const result = await db.query(sql, params);
+
+  // Total compté à part, et seulement dans un rayon (donné, ou borne des N plus proches sans
+  // PostGIS) : sans borne, le compte lirait toute la table que l'index KNN évite
+  let total = null;
+  if (radius !== null || !postgis) {
+    const count = await db.query(`SELECT COUNT(*)::int AS n FROM institution i WHERE ${conditions.join(' AND ')}`, params.slice(0, -2));
+    total = nearest !== null ? Math.min(count.rows[0].n, nearest) : count.rows[0].n;
+  }
+
+  return { data: result.rows, total, backend: postgis ? 'postgis' : 'native' };
+}
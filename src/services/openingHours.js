@@ -0,0 +1,176 @@
+// Horaires d'ouverture : plages hebdomadaires (opening_hour, plusieurs par jour)
+// et exceptions datées (opening_exception : fermeture ou horaires spéciaux).
+// Règle pour une date locale donnée :
+//   1. une exception fermée couvre la date → fermé toute la journée ;
+//   2. sinon, des exceptions couvrent la date → leurs plages remplacent l'horaire hebdomadaire ;
+//   3. sinon, plages hebdomadaires du jour (ISO : 1 = lundi … 7 = dimanche).
+// Les heures sont exprimées dans le fuseau OPENING_HOURS_TIMEZONE.
+
+export const OPENING_HOURS_TIMEZONE = process.env.OPENING_HOURS_TIMEZONE || 'Indian/Antananarivo';
+
+// Recherche de la prochaine ouverture limitée à un an
+const MAX_LOOKAHEAD_DAYS = 366;
+
+// Condition SQL "l'institution `i` est ouverte à l'instant `at`" (même règle que ci-dessus) ;
+// ajoute les paramètres à `params`
+export function openAtCondition(at, params, timeZone = OPENING_HOURS_TIMEZONE) {
+  params.push(at, timeZone);
+  const local = `($${params.length - 1}::timestamptz AT TIME ZONE $${params.length}::text)`;
+  const covering = `e.institution_id = i.id AND ${local}::date BETWEEN e.start_date AND e.end_date`;
+  return `(CASE WHEN EXISTS (SELECT 1 FROM opening_exception e WHERE ${covering})
+    THEN NOT EXISTS (SELECT 1 FROM opening_exception e WHERE ${covering} AND e.closed)
+      AND EXISTS (
+        SELECT 1 FROM opening_exception e, jsonb_array_elements(e.hours) h
+        WHERE ${covering}
+          AND ${local}::time >= (h->>'open_time')::time AND ${local}::time < (h->>'close_time')::time
+      )
+    ELSE EXISTS (
+      SELECT 1 FROM opening_hour oh
+      WHERE oh.institution_id = i.id AND oh.day_of_week = EXTRACT(ISODOW FROM ${local})
+        AND ${local}::time >= oh.open_time AND ${local}::time < oh.close_time
+    )
+  END)`;
+}
+
+export async function loadSchedule(db, institutionId) {
+  const [slots, exceptions] = await Promise.all([
+    db.query(
+      `SELECT day_of_week, open_time, close_time FROM opening_hour
+       WHERE institution_id = $1 AND open_time IS NOT NULL AND close_time IS NOT NULL`,
+      [institutionId]
+    ),
+    db.query(
+      'SELECT id, start_date, end_date, closed, hours, label FROM opening_exception WHERE institution_id = $1 ORDER BY start_date',
+      [institutionId]
+    )
+  ]);
+  return { slots: slots.rows, exceptions: exceptions.rows };
+}
+
+// =====================
+// Dates et heures locales
+// =====================
+
+function minutes(time) {
+  const [h, m, s = 0] = time.split(':').map(Number);
+  return h * 60 + m + s / 60;
+}
+
+function formatMinutes(value) {
+  const total = Math.round(value * 60);
+  return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60]
+    .map(n => String(n).padStart(2, '0')).join(':');
+}
+
+function localParts(instant, timeZone) {
+  const format = new Intl.DateTimeFormat('en-CA', {
+    timeZone, hourCycle: 'h23',
+    year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+  });
+  const parts = Object.fromEntries(format.formatToParts(instant).map(p => [p.type, p.value]));
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: Number(parts.hour) * 60 + Number(parts.minute) + Number(parts.second) / 60,
+    utc: Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second)
+  };
+}
+
+// Décalage du fuseau (ms) à un instant donné
+function zoneOffset(instant, timeZone) {
+  return localParts(instant, timeZone).utc - Math.floor(instant.getTime() / 1000) * 1000;
+}
+
+// Instant correspondant à une date et une heure locales
+function toInstant(date, value, timeZone) {
+  const [y, m, d] = date.split('-').map(Number);
+  const guess = Date.UTC(y, m - 1, d) + Math.round(value * 60) * 1000;
+  const offset = zoneOffset(new Date(guess), timeZone);
+  const corrected = zoneOffset(new Date(guess - offset), timeZone);
+  return new Date(guess - corrected);
+}
+
+function addDays(date, days) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d + days)).toISOString().slice(0, 10);
+}
+
+function isoDayOfWeek(date) {
+  const [y, m, d] = date.split('-').map(Number);
+  return new Date(Date.UTC(y, m - 1, d)).getUTCDay() || 7;
+}
+
+// =====================
+// Calcul du statut
+// =====================
+
+// Plages (en minutes, fusionnées) applicables à une date locale
+export function daySchedule({ slots, exceptions }, date) {
+  const covering = exceptions.filter(e => e.start_date <= date && date <= e.end_date);
+  let ranges;
+  let exception = null;
+
+  if (covering.length) {
+    const closed = covering.find(e => e.closed);
+    if (closed) return { ranges: [], exception: closed };
+    exception = covering[0];
+    ranges = covering.flatMap(e => e.hours.map(h => ({ open: minutes(h.open_time), close: minutes(h.close_time), exception: e })));
+  } else {
+    const day = isoDayOfWeek(date);
+    ranges = slots.filter(s => s.day_of_week === day)
+      .map(s => ({ open: minutes(s.open_time), close: minutes(s.close_time), exception: null }));
+  }
+
+  ranges.sort((a, b) => a.open - b.open);
+  const merged = [];
+  for (const range of ranges) {
+    const last = merged[merged.length - 1];
+    if (last && range.open <= last.close) last.close = Math.max(last.close, range.close);
+    else merged.push({ ...range });
+  }
+  return { ranges: merged, exception };
+}
+
+function exceptionSummary(exception) {
+  if (!exception) return null;
+  const { id, start_date, end_date, closed, label } = exception;
+  return { id, start_date, end_date, closed, label };
+}
+
+// Ouvert ou fermé à l'instant `at`, avec la prochaine fermeture ou ouverture
+export function openStatus(schedule, at, timeZone = OPENING_HOURS_TIMEZONE) {
+  const now = localParts(at, timeZone);
+  const today = daySchedule(schedule, now.date);
+  const current = today.ranges.find(r => r.open <= now.minutes && now.minutes < r.close);
+
+  const status = {
+    at: at.toISOString(),
+    timezone: timeZone,
+    local_time: `${now.date}T${formatMinutes(now.minutes)}`,
+    open: !!current,
+    source: today.exception ? 'exception' : 'weekly',
+    exception: exceptionSummary(current ? current.exception : today.exception),
+    current_slot: current ? { open_time: formatMinutes(current.open), close_time: formatMinutes(current.close) } : null,
+    closes_at: null,
+    next_opens_at: null
+  };
+
+  if (current) {
+    status.closes_at = toInstant(now.date, current.close, timeZone).toISOString();
+    return status;
+  }
+
+  const later = today.ranges.find(r => r.open > now.minutes);
+  if (later) {
+    status.next_opens_at = toInstant(now.date, later.open, timeZone).toISOString();
+    return status;
+  }
+  for (let i = 1; i <= MAX_LOOKAHEAD_DAYS; i++) {
+    const date = addDays(now.date, i);
+    const { ranges } = daySchedule(schedule, date);
+    if (ranges.length) {
+      status.next_opens_at = toInstant(date, ranges[0].open, timeZone).toISOString();
+      break;
+    }
+  }
+  return status;
+}
@@ -0,0 +1,183 @@
+// Pagination par curseur (keyset) et tri multi-clés sur liste blanche.
+// Les valeurs NULL sont toujours placées en fin de liste, quel que soit le sens.
+
+export class PaginationError extends Error {}
+
+// Taille de page et modes de comptage des listes paginées (GET /, collections transversales)
+export const DEFAULT_PAGE_SIZE = 100;
+export const MAX_PAGE_SIZE = 500;
+export const COUNT_MODES = ['exact', 'estimated', 'none'];
+
+// Paramètres validés (sort, cursor, limit, offset, count) → page demandée ;
+// PaginationError si le tri ou le curseur est invalide
+export function pageRequest(query, allowed, defaultSort) {
+  const { cursor, count = 'exact' } = query;
+  const keys = parseSort(query.sort, allowed, defaultSort);
+  const sort = sortString(keys);
+  return {
+    keys,
+    sort,
+    position: cursor ? decodeCursor(cursor, sort) : null,
+    limit: Math.min(parseInt(query.limit) || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE),
+    offset: cursor ? 0 : Math.max(parseInt(query.offset) || 0, 0),
+    count
+  };
+}
+
+// "-capacity,name" → [{ key, column, desc }] ; chaque clé doit figurer dans `allowed`
+export function parseSort(sort, allowed, defaultSort) {
+  const spec = String(sort || defaultSort).split(',').map(s => s.trim()).filter(Boolean);
+  const keys = [];
+  for (const item of spec) {
+    const desc = item.startsWith('-');
+    const key = item.replace(/^[-+]/, '');
+    if (!Object.prototype.hasOwnProperty.call(allowed, key)) {
+      throw new PaginationError(`Invalid sort key "${key}". Allowed: ${Object.keys(allowed).join(', ')}`);
+    }
+    if (keys.some(k => k.key === key)) throw new PaginationError(`Duplicate sort key "${key}"`);
+    keys.push({ key, column: allowed[key], desc });
+  }
+  if (!keys.length) throw new PaginationError('sort must not be empty');
+  return keys;
+}
+
+export function sortString(keys) {
+  return keys.map(k => (k.desc ? '-' : '') + k.key).join(',');
+}
+
+// Clés de tri + identifiant unique en dernier pour un ordre total
+function withTiebreaker(keys, idColumn) {
+  return [...keys, { key: 'id', column: idColumn, desc: false, notNull: true }];
+}
+
+// backward : ordre inversé (page précédente), les lignes sont remises dans l'ordre ensuite
+export function orderByClause(keys, idColumn, { backward = false } = {}) {
+  return withTiebreaker(keys, idColumn).map(k => {
+    const desc = k.desc !== !!backward;
+    return `${k.column} ${desc ? 'DESC' : 'ASC'} NULLS ${backward ? 'FIRST' : 'LAST'}`;
+  }).join(', ');
+}
+
+// Colonnes texte à sélectionner pour construire le curseur (précision conservée pour les dates)
+export function cursorColumns(keys) {
+  return keys.map((k, i) => `(${k.column})::text AS _cursor_${i}`);
+}
+
+export function encodeCursor(sort, values, id, direction) {
+  return Buffer.from(JSON.stringify({ s: sort, v: values, id, d: direction })).toString('base64url');
+}
+
+export function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch (err) {
+    throw new PaginationError('Invalid cursor');
+  }
+  if (!decoded || !Array.isArray(decoded.v) || !decoded.id || !['next', 'prev'].includes(decoded.d)) {
+    throw new PaginationError('Invalid cursor');
+  }
+  if (decoded.s !== sort) throw new PaginationError('Cursor does not match the requested sort');
+  return decoded;
+}
+
+// Condition "ligne située après (ou avant) le curseur" dans l'ordre de tri ; ajoute les paramètres à `params`
+export function keysetCondition(keys, idColumn, cursor, params) {
+  const backward = cursor.d === 'prev';
+  const all = withTiebreaker(keys, idColumn);
+  const values = [...cursor.v, cursor.id];
+  if (values.length !== all.length) throw new PaginationError('Invalid cursor');
+
+  const placeholder = value => {
+    params.push(value);
+    return `$${params.length}`;
+  };
+  const equal = (k, v) => (v === null ? `${k.column} IS NULL` : `${k.column} = ${placeholder(v)}`);
+  // Strictement après dans l'ordre affiché (NULL en fin de liste)
+  const after = (k, v) => {
+    if (v === null) return 'FALSE';
+    const cmp = `${k.column} ${k.desc ? '<' : '>'} ${placeholder(v)}`;
+    return k.notNull ? cmp : `(${cmp} OR ${k.column} IS NULL)`;
+  };
+  const before = (k, v) => {
+    if (v === null) return `${k.column} IS NOT NULL`;
+    return `${k.column} ${k.desc ? '>' : '<'} ${placeholder(v)}`;
+  };
+
+  const branches = all.map((k, i) => {
+    const parts = all.slice(0, i).map((prev, j) => equal(prev, values[j]));
+    parts.push(backward ? before(k, values[i]) : after(k, values[i]));
+    return `(${parts.join(' AND ')})`;
+  });
+  return `(${branches.join(' OR ')})`;
+}
+
+// Retire les colonnes de curseur des lignes et calcule les curseurs voisins.
+// `rows` contient jusqu'à limit + 1 lignes (la ligne en trop indique une page suivante).
+export function paginate(rows, { keys, limit, cursor, sort, offset = 0 }) {
+  const backward = cursor && cursor.d === 'prev';
+  const hasMore = rows.length > limit;
+  const page = rows.slice(0, limit);
+  if (backward) page.reverse();
+
+  const cursorOf = (row, direction) => encodeCursor(sort, keys.map((k, i) => row[`_cursor_${i}`]), row.id, direction);
+  const first = page[0];
+  const last = page[page.length - 1];
+  const hasNext = backward ? true : hasMore;
+  const hasPrev = backward ? hasMore : !!cursor || offset > 0;
+
+  const data = page.map(row => {
+    const clean = { ...row };
+    keys.forEach((k, i) => delete clean[`_cursor_${i}`]);
+    return clean;
+  });
+  return {
+    data,
+    nextCursor: hasNext && last ? cursorOf(last, 'next') : null,
+    prevCursor: hasPrev && first ? cursorOf(first, 'prev') : null
+  };
+}
+
+// Nombre de lignes estimé par le planificateur (rapide, approximatif)
+export async function estimateCount(db, sql, params) {
+  const result = await db.query(`EXPLAIN (FORMAT JSON) ${sql}`, params);
+  return result.rows[0]['QUERY PLAN'][0].Plan['Plan Rows'];
+}
+
+// Total d'une requête de comptage (`SELECT 1 …` sans curseur) selon le mode : exact, estimé ou null
+export async function countTotal(db, sql, params, count) {
+  if (count === 'exact') {
+    const result = await db.query(`SELECT COUNT(*) AS total FROM (${sql}) t`, params);
+    return parseInt(result.rows[0].total);
+  }
+  return count === 'estimated' ? estimateCount(db, sql, params) : null;
+}
+
+// URL de la page voisine : mêmes paramètres, curseur remplacé, offset retiré
+export function pageLink(req, cursor) {
+  if (!cursor) return null;
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get('host')}`);
+  url.searchParams.delete('offset');
+  url.searchParams.set('cursor', cursor);
+  return url.pathname + url.search;
+}
+
+// Corps de réponse d'une page : `rows` contient jusqu'à limit + 1 lignes (voir paginate)
+export function pageResponse(req, rows, total, { keys, sort, position, limit, offset, count }) {
+  const { data, nextCursor, prevCursor } = paginate(rows, { keys, limit, cursor: position, sort, offset });
+  return {
+    data,
+    count: data.length,
+    total,
+    total_estimated: count === 'estimated',
+    limit,
+    offset,
+    sort,
+    next_cursor: nextCursor,
+    prev_cursor: prevCursor,
+    links: {
+      next: pageLink(req, nextCursor),
+      prev: pageLink(req, prevCursor)
+    }
+  };
+}
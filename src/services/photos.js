@@ -0,0 +1,117 @@
+import crypto from 'crypto';
+import sharp from 'sharp';
+import { getStorage } from '../storage/index.js';
+
+// Photos envoyées en fichier : contrôle du type réel, suppression des métadonnées EXIF
+// (dont la position GPS), miniatures WebP et enregistrement via le stockage configuré.
+
+export const PHOTO_MAX_BYTES = parseInt(process.env.PHOTO_MAX_BYTES || String(10 * 1024 * 1024));
+
+// Type MIME accepté → format sharp, extension et options de ré-encodage
+export const PHOTO_TYPES = {
+  'image/jpeg': { format: 'jpeg', ext: 'jpg', options: { quality: 90, mozjpeg: true } },
+  'image/png': { format: 'png', ext: 'png', options: { compressionLevel: 9 } },
+  'image/webp': { format: 'webp', ext: 'webp', options: { quality: 90 } }
+};
+
+// Largeur / hauteur maximale de chaque miniature (sans agrandissement)
+export const THUMBNAIL_SIZES = { small: 160, medium: 480, large: 1200 };
+
+// Photos servies avec cette durée de cache : les fichiers d'une photo ne changent jamais
+export const PHOTO_CACHE_CONTROL = 'public, max-age=31536000, immutable';
+
+export class PhotoError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.status = status;
+  }
+}
+
+const sha256 = buffer => crypto.createHash('sha256').update(buffer).digest('hex');
+
+// Ré-encode l'image (orientation EXIF appliquée, métadonnées retirées, profil couleur conservé)
+// et produit les miniatures
+export async function processPhoto(buffer, declaredType) {
+  let metadata;
+  try {
+    metadata = await sharp(buffer).metadata();
+  } catch (err) {
+    throw new PhotoError('File is not a valid image', 415);
+  }
+  const type = Object.entries(PHOTO_TYPES).find(([, t]) => t.format === metadata.format);
+  if (!type) throw new PhotoError(`Unsupported image format. Allowed: ${Object.keys(PHOTO_TYPES).join(', ')}`, 415);
+  if (type[0] !== declaredType) throw new PhotoError(`File content is ${type[0]}, not ${declaredType}`, 415);
+  const [mimeType, { format, ext, options }] = type;
+
+  const original = await sharp(buffer).rotate().keepIccProfile().toFormat(format, options)
+    .toBuffer({ resolveWithObject: true });
+
+  const thumbnails = {};
+  for (const [name, size] of Object.entries(THUMBNAIL_SIZES)) {
+    const { data, info } = await sharp(original.data)
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 80 })
+      .toBuffer({ resolveWithObject: true });
+    thumbnails[name] = { data, width: info.width, height: info.height, size_bytes: info.size, checksum: sha256(data) };
+  }
+
+  return {
+    mime_type: mimeType,
+    ext,
+    data: original.data,
+    width: original.info.width,
+    height: original.info.height,
+    size_bytes: original.info.size,
+    checksum: sha256(original.data),
+    thumbnails
+  };
+}
+
+// Écrit l'original et les miniatures ; renvoie les colonnes de fichier de la photo
+export async function storePhotoFiles(institutionId, photoId, processed) {
+  const storage = getStorage();
+  const prefix = `photos/${institutionId}/${photoId}`;
+  const storageKey = `${prefix}/original.${processed.ext}`;
+  await storage.put(storageKey, processed.data, { contentType: processed.mime_type });
+
+  const thumbnails = {};
+  for (const [name, thumb] of Object.entries(processed.thumbnails)) {
+    const key = `${prefix}/${name}.webp`;
+    await storage.put(key, thumb.data, { contentType: 'image/webp' });
+    thumbnails[name] = { key, width: thumb.width, height: thumb.height, size_bytes: thumb.size_bytes, checksum: thumb.checksum };
+  }
+
+  return {
+    storage_key: storageKey,
+    mime_type: processed.mime_type,
+    size_bytes: processed.size_bytes,
+    width: processed.width,
+    height: processed.height,
+    checksum: processed.checksum,
+    thumbnails
+  };
+}
+
+// Supprime les fichiers des photos données (lignes photo) ; les photos à URL externe sont ignorées
+export async function removePhotoFiles(photos) {
+  const storage = getStorage();
+  for (const photo of photos) {
+    if (!photo || !photo.storage_key) continue;
+    const keys = [photo.storage_key, ...Object.values(photo.thumbnails || {}).map(t => t.key)];
+    for (const key of keys) {
+      try {
+        await storage.remove(key);
+      } catch (err) {
+        console.error(`Could not remove photo file ${key}:`, err.message);
+      }
+    }
+  }
+}
+
+// Fichier à servir pour une taille ("original" ou une miniature)
+export function photoFile(photo, size = 'original') {
+  if (!photo.storage_key) return null;
+  if (size === 'original') return { key: photo.storage_key, mimeType: photo.mime_type, checksum: photo.checksum };
+  const thumb = (photo.thumbnails || {})[size];
+  return thumb ? { key: thumb.key, mimeType: 'image/webp', checksum: thumb.checksum } : null;
+}
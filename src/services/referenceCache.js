@@ -0,0 +1,43 @@
+import crypto from 'crypto';
+
+// Cache en mémoire des listes de référence (catégories, types, géographie, contours) :
+// représentation JSON sérialisée et son ETag, par URL. Chaque entrée dépend de tables ;
+// les routes d'écriture invalident ces tables (invalidatesReference). La durée de vie
+// (REFERENCE_CACHE_TTL secondes, 300 par défaut, 0 pour désactiver le cache) borne le retard
+// sur les écritures faites hors de ce processus (seeds, autre instance).
+
+export const REFERENCE_CACHE_TTL = parseInt(process.env.REFERENCE_CACHE_TTL || '300');
+// Entrées conservées au plus (les plus anciennes sont évincées)
+const MAX_ENTRIES = 500;
+
+const entries = new Map();
+
+export function digest(body) {
+  return crypto.createHash('sha1').update(body).digest('base64url');
+}
+
+// ETag fort : empreinte de la représentation exacte
+export function strongEtag(body) {
+  return `"${digest(body)}"`;
+}
+
+// { body, etag } depuis le cache, ou chargés par load() (valeur sérialisée en JSON)
+export async function cachedReference(key, tables, load) {
+  const entry = entries.get(key);
+  if (entry && entry.expires > Date.now()) return entry;
+
+  const body = JSON.stringify(await load());
+  const fresh = { body, etag: strongEtag(body), tables, expires: Date.now() + REFERENCE_CACHE_TTL * 1000 };
+  if (REFERENCE_CACHE_TTL > 0) {
+    entries.delete(key);
+    entries.set(key, fresh);
+    if (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+  }
+  return fresh;
+}
+
+export function invalidateReference(tables) {
+  for (const [key, entry] of entries) {
+    if (entry.tables.some(t => tables.includes(t))) entries.delete(key);
+  }
+}
@@ -0,0 +1,60 @@
+// Résolution des référentiels (catégories, sous-types, géographie) à partir
+// d'un identifiant, d'un code ou d'un libellé, sans tenir compte de la casse ni des accents.
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+export function normalizeKey(value) {
+  return String(value).normalize('NFD').replace(/[\u0300-\u036f]/g, '').trim().toLowerCase();
+}
+
+// level → table, colonne libellé et colonne parente
+export const referenceLevels = {
+  category: { table: 'institution_category', labelColumn: 'label', parentColumn: null },
+  subtype: { table: 'institution_subtype', labelColumn: 'label', parentColumn: 'category_id' },
+  region: { table: 'region', labelColumn: 'name', parentColumn: null },
+  district: { table: 'district', labelColumn: 'name', parentColumn: 'region_id' },
+  commune: { table: 'commune', labelColumn: 'name', parentColumn: 'district_id' }
+};
+
+function addToIndex(map, key, row) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(row);
+}
+
+// Charge en mémoire chaque référentiel indexé par id, code et libellé
+export async function loadReferenceIndex(db) {
+  const index = {};
+  for (const [level, { table, labelColumn, parentColumn }] of Object.entries(referenceLevels)) {
+    const columns = ['id', 'code', `${labelColumn} AS label`];
+    if (parentColumn) columns.push(`${parentColumn} AS parent_id`);
+    const result = await db.query(`SELECT ${columns.join(', ')} FROM ${table}`);
+
+    const byId = new Map();
+    const byKey = new Map();
+    for (const row of result.rows) {
+      byId.set(row.id, row);
+      addToIndex(byKey, normalizeKey(row.code), row);
+      if (normalizeKey(row.label) !== normalizeKey(row.code)) addToIndex(byKey, normalizeKey(row.label), row);
+    }
+    index[level] = { byId, byKey };
+  }
+  return index;
+}
+
+// Renvoie { row } ou { error }. parentId départage les homonymes
+// (ex. deux communes du même nom dans des districts différents).
+export function resolveReference(index, level, value, parentId) {
+  const { byId, byKey } = index[level];
+  if (UUID_RE.test(String(value).trim())) {
+    const row = byId.get(String(value).trim().toLowerCase());
+    return row ? { row } : { error: `Unknown ${level} id "${value}"` };
+  }
+
+  let candidates = byKey.get(normalizeKey(value)) || [];
+  if (candidates.length > 1 && parentId) {
+    candidates = candidates.filter(c => c.parent_id === parentId);
+  }
+  if (!candidates.length) return { error: `Unknown ${level} "${value}"` };
+  if (candidates.length > 1) return { error: `Ambiguous ${level} "${value}", use its code` };
+  return { row: candidates[0] };
+}
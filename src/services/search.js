@@ -0,0 +1,205 @@
+import { buildInstitutionFilters } from './institutionFilters.js';
+import { normalizeKey } from './referenceResolver.js';
+
+export const MIN_QUERY_LENGTH = 2;
+const MAX_TERMS = 8;
+// Similarité minimale (trigrammes) pour surligner un mot
+const HIGHLIGHT_SIMILARITY = 0.4;
+const SNIPPET_RADIUS = 60;
+// Seuil de word_similarity des candidats (opérateur <%, index GIN de 006_search). Celui de
+// pg_trgm (0.6) écarte une seule faute dans un mot court : "lycue" / "lycee" = 0.5.
+export const SEARCH_SIMILARITY_THRESHOLD = parseFloat(process.env.SEARCH_SIMILARITY_THRESHOLD || '0.4');
+
+// Poids de chaque champ dans le score de pertinence
+const FIELD_WEIGHTS = {
+  name: 1.0,
+  label: 0.8,
+  services: 0.6,
+  commune: 0.5,
+  district: 0.4,
+  description: 0.3
+};
+
+export function searchTerms(q) {
+  return [...new Set(String(q).split(/[^\p{L}\p{N}]+/u).filter(t => t.length >= MIN_QUERY_LENGTH))].slice(0, MAX_TERMS);
+}
+
+// Seuil des opérateurs <% pour la fin de la transaction en cours (SET LOCAL)
+async function setSimilarityThreshold(db) {
+  await db.query("SELECT set_config('pg_trgm.word_similarity_threshold', $1, true)", [String(SEARCH_SIMILARITY_THRESHOLD)]);
+}
+
+// Recherche classée par pertinence : chaque terme est comparé (similarité de mots
+// par trigrammes, sans accents) au nom, libellé, description, commune, district
+// et services ; le score est la moyenne, par terme, du meilleur champ pondéré.
+// `db` : client dans une transaction (withTransaction), pour que le seuil s'applique.
+export async function searchInstitutions(db, query, { terms, limit, offset, includeDeleted }) {
+  await setSimilarityThreshold(db);
+  const { conditions, params } = buildInstitutionFilters(query, { includeDeleted, params: [terms, query.q] });
+  const normalized = col => `lower(f_unaccent(${col}))`;
+
+  const sql = `
+    WITH terms AS (
+      SELECT DISTINCT lower(f_unaccent(t)) AS term FROM unnest($1::text[]) t
+    ),
+    candidates AS (
+      SELECT i.id FROM institution i, terms t
+      WHERE t.term <% ${normalized('i.name')} OR t.term <% ${normalized('i.label')}
+        OR t.term <% ${normalized('i.description')}
+      UNION
+      SELECT i.id FROM institution i JOIN commune c ON c.id = i.commune_id, terms t
+      WHERE t.term <% ${normalized('c.name')}
+      UNION
+      SELECT i.id FROM institution i JOIN district d ON d.id = i.district_id, terms t
+      WHERE t.term <% ${normalized('d.name')}
+      UNION
+      SELECT s.institution_id FROM service s, terms t
+      WHERE t.term <% ${normalized('s.name')}
+    ),
+    docs AS (
+      SELECT i.id, i.name, i.label, i.description, i.status, i.lat, i.lng,
+        ic.code AS category_code, ic.label AS category_label,
+        ist.code AS subtype_code, ist.label AS subtype_label,
+        c.name AS commune_name, d.name AS district_name, r.name AS region_name,
+        (SELECT array_agg(s.name ORDER BY s.name) FROM service s WHERE s.institution_id = i.id) AS services
+      FROM institution i
+      JOIN candidates USING (id)
+      LEFT JOIN institution_category ic ON i.category_id = ic.id
+      LEFT JOIN institution_subtype ist ON i.subtype_id = ist.id
+      LEFT JOIN commune c ON i.commune_id = c.id
+      LEFT JOIN district d ON i.district_id = d.id
+      LEFT JOIN region r ON i.region_id = r.id
+      ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+    ),
+    scored AS (
+      SELECT docs.id, AVG(best.score)
+        -- Bonus si le nom commence par la requête complète
+        + CASE WHEN ${normalized('docs.name')} LIKE lower(f_unaccent($2)) || '%' THEN 0.5 ELSE 0 END AS score
+      FROM docs, terms t, LATERAL (
+        SELECT GREATEST(
+          word_similarity(t.term, ${normalized('docs.name')}) * ${FIELD_WEIGHTS.name},
+          COALESCE(word_similarity(t.term, ${normalized('docs.label')}), 0) * ${FIELD_WEIGHTS.label},
+          COALESCE(word_similarity(t.term, ${normalized("array_to_string(docs.services, ' ')")}), 0) * ${FIELD_WEIGHTS.services},
+          COALESCE(word_similarity(t.term, ${normalized('docs.commune_name')}), 0) * ${FIELD_WEIGHTS.commune},
+          COALESCE(word_similarity(t.term, ${normalized('docs.district_name')}), 0) * ${FIELD_WEIGHTS.district},
+          COALESCE(word_similarity(t.term, ${normalized('docs.description')}), 0) * ${FIELD_WEIGHTS.description}
+        ) AS score
+      ) best
+      GROUP BY docs.id, docs.name
+    )
+    SELECT docs.*, ROUND(scored.score::numeric, 4)::float AS score, COUNT(*) OVER() AS total
+    FROM docs JOIN scored USING (id)
+    ORDER BY scored.score DESC, docs.name
+    LIMIT $${params.length + 1} OFFSET $${params.length + 2}`;
+  params.push(limit, offset);
+
+  const result = await db.query(sql, params);
+  const total = result.rows.length ? parseInt(result.rows[0].total) : 0;
+  const data = result.rows.map(({ total: _total, ...row }) => ({ ...row, highlights: highlightRow(row, terms) }));
+  return { data, total };
+}
+
+// Suggestions pour la saisie : noms d'institutions et de communes,
+// préfixes en tête puis similarité décroissante ; `db` : client en transaction
+export async function suggest(db, q, { limit, includeDeleted }) {
+  await setSimilarityThreshold(db);
+  const sql = `
+    WITH q AS (SELECT lower(f_unaccent($1)) AS term)
+    (
+      SELECT 'institution' AS type, i.id, i.name AS label, c.name AS context,
+        (lower(f_unaccent(i.name)) LIKE q.term || '%') AS prefix,
+        word_similarity(q.term, lower(f_unaccent(i.name))) AS similarity
+      FROM institution i
+      LEFT JOIN commune c ON c.id = i.commune_id, q
+      WHERE (lower(f_unaccent(i.name)) LIKE '%' || q.term || '%' OR q.term <% lower(f_unaccent(i.name)))
+        ${includeDeleted ? '' : 'AND i.deleted_at IS NULL'}
+      ORDER BY prefix DESC, similarity DESC, i.name
+      LIMIT $2
+    )
+    UNION ALL
+    (
+      SELECT 'commune' AS type, c.id, c.name AS label, d.name AS context,
+        (lower(f_unaccent(c.name)) LIKE q.term || '%') AS prefix,
+        word_similarity(q.term, lower(f_unaccent(c.name))) AS similarity
+      FROM commune c
+      JOIN district d ON d.id = c.district_id, q
+      WHERE lower(f_unaccent(c.name)) LIKE '%' || q.term || '%' OR q.term <% lower(f_unaccent(c.name))
+      ORDER BY prefix DESC, similarity DESC, c.name
+      LIMIT $2
+    )`;
+  const result = await db.query(sql, [q, limit]);
+  const terms = searchTerms(q);
+  return result.rows
+    .sort((a, b) => (b.prefix - a.prefix) || (b.similarity - a.similarity) || a.label.localeCompare(b.label))
+    .slice(0, limit)
+    .map(({ type, id, label, context }) => ({ type, id, label, context, highlight: highlight(label, terms) }));
+}
+
+// =====================
+// Surlignage des correspondances (<mark>), insensible aux accents
+// =====================
+
+function escapeHtml(text) {
+  return text.replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+}
+
+function trigrams(word) {
+  const padded = `  ${word} `;
+  const set = new Set();
+  for (let i = 0; i < padded.length - 2; i++) set.add(padded.slice(i, i + 3));
+  return set;
+}
+
+function similarity(a, b) {
+  const ta = trigrams(a);
+  const tb = trigrams(b);
+  let shared = 0;
+  for (const t of ta) if (tb.has(t)) shared++;
+  return shared / (ta.size + tb.size - shared);
+}
+
+function wordMatches(word, terms) {
+  const folded = normalizeKey(word);
+  return terms.some(term => {
+    const t = normalizeKey(term);
+    return folded.startsWith(t) || (t.length >= 4 && folded.includes(t)) || similarity(folded, t) >= HIGHLIGHT_SIMILARITY;
+  });
+}
+
+// Renvoie le texte échappé avec les mots correspondants entourés de <mark>, ou null
+export function highlight(text, terms) {
+  if (!text) return null;
+  let found = false;
+  let out = '';
+  let last = 0;
+  for (const match of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+    if (!wordMatches(match[0], terms)) continue;
+    found = true;
+    out += escapeHtml(text.slice(last, match.index)) + '<mark>' + escapeHtml(match[0]) + '</mark>';
+    last = match.index + match[0].length;
+  }
+  return found ? out + escapeHtml(text.slice(last)) : null;
+}
+
+// Extrait centré sur la première correspondance (textes longs)
+function snippet(text, terms) {
+  if (!text) return null;
+  const first = [...text.matchAll(/[\p{L}\p{N}]+/gu)].find(m => wordMatches(m[0], terms));
+  if (!first) return null;
+  const start = Math.max(0, first.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, first.index + first[0].length + SNIPPET_RADIUS);
+  return (start > 0 ? '…' : '') + highlight(text.slice(start, end), terms) + (end < text.length ? '…' : '');
+}
+
+function highlightRow(row, terms) {
+  const highlights = {
+    name: highlight(row.name, terms),
+    label: highlight(row.label, terms),
+    description: snippet(row.description, terms),
+    commune_name: highlight(row.commune_name, terms),
+    district_name: highlight(row.district_name, terms),
+    services: (row.services || []).map(s => highlight(s, terms)).filter(Boolean)
+  };
+  if (!highlights.services.length) delete highlights.services;
+  return Object.fromEntries(Object.entries(highlights).filter(([, v]) => v));
+}
@@ -0,0 +1,261 @@
+import { buildInstitutionFilters, institutionFilterParams } from './institutionFilters.js';
+
+// Statistiques des institutions filtrées (mêmes filtres que GET /), regroupées par une ou
+// plusieurs dimensions, avec des indicateurs dérivés des sous-ressources : personnel par
+// place, taux de disponibilité des équipements, frais moyens par niveau.
+//
+// Source `summary` : ré-agrégation des vues matérialisées stats_*_mv (migration
+// 013_stats_summaries, rafraîchies par statsSummary.js), possible lorsque les filtres ne
+// portent que sur leurs dimensions ; source `live` : calcul direct sur les tables.
+
+// Dimension → colonne de regroupement, libellé et niveau inférieur (exploration)
+export const STATS_DIMENSIONS = {
+  category: { key: 'ic.code', label: 'ic.label' },
+  subtype: { key: 'ist.code', label: 'ist.label' },
+  region: { key: 'r.code', label: 'r.name', drilldown: 'district' },
+  district: { key: 'd.code', label: 'd.name', drilldown: 'commune' },
+  commune: { key: 'c.code', label: 'c.name' },
+  status: { key: 'i.status' },
+  building_condition: { key: 'i.building_condition' }
+};
+
+export class StatsError extends Error {}
+
+// Filtres de GET / disponibles dans les vues matérialisées
+export const SUMMARY_FILTERS = ['category', 'subtype', 'region', 'district', 'commune', 'status'];
+
+export function summaryApplicable(query) {
+  return institutionFilterParams.every(f => SUMMARY_FILTERS.includes(f) || !query[f]);
+}
+
+// "region,category" → ['region', 'category']
+export function parseGroupBy(groupBy) {
+  if (!groupBy) return [];
+  const dimensions = String(groupBy).split(',').map(d => d.trim()).filter(Boolean);
+  for (const dimension of dimensions) {
+    if (!STATS_DIMENSIONS[dimension]) {
+      throw new StatsError(`Invalid group_by dimension "${dimension}". Allowed: ${Object.keys(STATS_DIMENSIONS).join(', ')}`);
+    }
+  }
+  if (new Set(dimensions).size !== dimensions.length) throw new StatsError('Duplicate group_by dimension');
+  return dimensions;
+}
+
+// Libellés des dimensions, pour l'alias `i` (institution ou vue matérialisée)
+const DIMENSION_JOINS = `
+      LEFT JOIN institution_category ic ON i.category_id = ic.id
+      LEFT JOIN institution_subtype ist ON i.subtype_id = ist.id
+      LEFT JOIN region r ON i.region_id = r.id
+      LEFT JOIN district d ON i.district_id = d.id
+      LEFT JOIN commune c ON i.commune_id = c.id`;
+
+// Colonnes g<n> (et gl<n>) par dimension
+function dimensionColumns(dimensions) {
+  return dimensions.flatMap((dimension, n) => {
+    const { key, label } = STATS_DIMENSIONS[dimension];
+    return [`${key} AS g${n}`, `${label || key} AS gl${n}`];
+  });
+}
+
+// Institutions retenues, avec une colonne g<n> (et gl<n>) par dimension
+function scopeSql(query, dimensions, includeDeleted) {
+  const { conditions, params } = buildInstitutionFilters(query, { includeDeleted });
+  const columns = dimensionColumns(dimensions);
+  const sql = `
+    WITH scope AS MATERIALIZED (
+      SELECT i.id, i.capacity${columns.length ? ', ' + columns.join(', ') : ''}
+      FROM institution i${DIMENSION_JOINS}
+      ${conditions.length ? 'WHERE ' + conditions.join(' AND ') : ''}
+    )`;
+  return { sql, params };
+}
+
+// Conditions sur les lignes des vues matérialisées (colonne `deleted` au lieu de deleted_at)
+function summaryConditions(query, includeDeleted) {
+  const { conditions, params } = buildInstitutionFilters(query, { includeDeleted: true });
+  if (!includeDeleted) conditions.push('NOT i.deleted');
+  return { conditions, params };
+}
+
+const number = value => (value === null || value === undefined ? null : Math.round(Number(value) * 10000) / 10000);
+const ratio = (a, b) => (a === null || !Number(b) ? null : number(Number(a) / Number(b)));
+
+// Agrégats et indicateurs par groupe ; un seul groupe (clé '[]') sans dimension
+export async function computeStats(db, query, { groupBy = [], includeDeleted = false, source = 'live' } = {}) {
+  const rows = source === 'summary'
+    ? await summaryRows(db, query, groupBy, includeDeleted)
+    : await liveRows(db, query, groupBy, includeDeleted);
+  return buildGroups(groupBy, rows);
+}
+
+async function liveRows(db, query, groupBy, includeDeleted) {
+  const { sql: scope, params } = scopeSql(query, groupBy, includeDeleted);
+  const groupColumns = groupBy.flatMap((_, n) => [`s.g${n}`, `s.gl${n}`]);
+  const select = groupColumns.length ? groupColumns.join(', ') + ', ' : '';
+  const groupClause = cols => (groupColumns.length || cols ? `GROUP BY ${[...groupColumns, ...(cols ? [cols] : [])].join(', ')}` : '');
+
+  const [base, utilities, fees] = await Promise.all([
+    db.query(`${scope}
+      SELECT ${select}COUNT(*) AS count,
+        COUNT(s.capacity) AS capacity_reported, SUM(s.capacity) AS capacity_total, AVG(s.capacity) AS capacity_average,
+        COUNT(st.quantity) AS staff_reported, SUM(st.quantity) AS staff_total,
+        SUM(st.quantity) FILTER (WHERE s.capacity > 0) AS staff_with_capacity,
+        SUM(s.capacity) FILTER (WHERE st.quantity IS NOT NULL) AS capacity_with_staff
+      FROM scope s
+      LEFT JOIN (
+        SELECT institution_id, SUM(quantity) AS quantity FROM institution_staff GROUP BY institution_id
+      ) st ON st.institution_id = s.id
+      ${groupClause()}`, params),
+    db.query(`${scope}
+      SELECT ${select}ut.code AS utility, COUNT(*) AS reported, COUNT(*) FILTER (WHERE iu.availability) AS available
+      FROM scope s
+      JOIN institution_utility iu ON iu.institution_id = s.id
+      JOIN utility_type ut ON iu.utility_type_id = ut.id
+      ${groupClause('ut.code')}`, params),
+    db.query(`${scope}
+      SELECT ${select}f.level, f.currency, COUNT(*) AS count, AVG(f.amount) AS average, MIN(f.amount) AS min, MAX(f.amount) AS max
+      FROM scope s
+      JOIN education_fee f ON f.institution_id = s.id
+      ${groupClause('f.level, f.currency')}
+      ORDER BY f.level, f.currency`, params)
+  ]);
+  return { base: base.rows, utilities: utilities.rows, fees: fees.rows };
+}
+
+// Mêmes lignes que liveRows, ré-agrégées depuis les vues matérialisées
+async function summaryRows(db, query, groupBy, includeDeleted) {
+  const { conditions, params } = summaryConditions(query, includeDeleted);
+  const columns = dimensionColumns(groupBy);
+  const select = columns.length ? columns.join(', ') + ', ' : '';
+  const where = conditions.length ? 'WHERE ' + conditions.join(' AND ') : '';
+  const groupClause = cols => {
+    const keys = [...groupBy.flatMap((_, n) => [`g${n}`, `gl${n}`]), ...(cols ? [cols] : [])];
+    return keys.length ? `GROUP BY ${keys.join(', ')}` : '';
+  };
+
+  const [base, utilities, fees] = await Promise.all([
+    db.query(`
+      SELECT ${select}COALESCE(SUM(i.count), 0) AS count,
+        COALESCE(SUM(i.capacity_reported), 0) AS capacity_reported, SUM(i.capacity_total) AS capacity_total,
+        SUM(i.capacity_total) / NULLIF(SUM(i.capacity_reported), 0) AS capacity_average,
+        COALESCE(SUM(i.staff_reported), 0) AS staff_reported, SUM(i.staff_total) AS staff_total,
+        SUM(i.staff_with_capacity) AS staff_with_capacity, SUM(i.capacity_with_staff) AS capacity_with_staff
+      FROM stats_institution_mv i${DIMENSION_JOINS}
+      ${where}
+      ${groupClause()}`, params),
+    db.query(`
+      SELECT ${select}ut.code AS utility, SUM(i.reported) AS reported, SUM(i.available) AS available
+      FROM stats_utility_mv i${DIMENSION_JOINS}
+      JOIN utility_type ut ON i.utility_type_id = ut.id
+      ${where}
+      ${groupClause('ut.code')}`, params),
+    db.query(`
+      SELECT ${select}i.level, i.currency, SUM(i.count) AS count, SUM(i.amount_total) / SUM(i.count) AS average,
+        MIN(i.amount_min) AS min, MAX(i.amount_max) AS max
+      FROM stats_fee_mv i${DIMENSION_JOINS}
+      ${where}
+      ${groupClause('i.level, i.currency')}
+      ORDER BY i.level, i.currency`, params)
+  ]);
+  return { base: base.rows, utilities: utilities.rows, fees: fees.rows };
+}
+
+function buildGroups(groupBy, { base, utilities, fees }) {
+  const keyOf = row => JSON.stringify(groupBy.map((_, n) => row[`g${n}`]));
+  const groups = new Map();
+  for (const row of base) {
+    const group = {};
+    groupBy.forEach((dimension, n) => {
+      group[dimension] = STATS_DIMENSIONS[dimension].label ? { code: row[`g${n}`], name: row[`gl${n}`] } : row[`g${n}`];
+    });
+    Object.assign(group, {
+      count: parseInt(row.count),
+      capacity: {
+        reported: parseInt(row.capacity_reported),
+        total: number(row.capacity_total),
+        average: number(row.capacity_average)
+      },
+      staff: {
+        reported: parseInt(row.staff_reported),
+        total: number(row.staff_total),
+        // Institutions renseignant à la fois capacité et personnel
+        per_capacity: ratio(row.staff_with_capacity, row.capacity_with_staff),
+        capacity_per_staff: ratio(row.capacity_with_staff, row.staff_with_capacity)
+      },
+      utilities: {},
+      fees: []
+    });
+    groups.set(keyOf(row), group);
+  }
+  for (const row of utilities) {
+    const group = groups.get(keyOf(row));
+    if (!group) continue;
+    const reported = parseInt(row.reported);
+    const available = parseInt(row.available);
+    group.utilities[row.utility] = { reported, available, rate: ratio(available, reported) };
+  }
+  for (const row of fees) {
+    const group = groups.get(keyOf(row));
+    if (!group) continue;
+    group.fees.push({
+      level: row.level, currency: row.currency, count: parseInt(row.count),
+      average: number(row.average), min: number(row.min), max: number(row.max)
+    });
+  }
+
+  return [...groups.values()].sort((a, b) => b.count - a.count);
+}
+
+// Totaux historiques de GET /stats (catégories et régions sans institution comprises)
+export async function summaryStats(db, query, { includeDeleted = false, source = 'live' } = {}) {
+  if (source === 'summary') return precomputedTotals(db, query, includeDeleted);
+  const { sql: scope, params } = scopeSql(query, [], includeDeleted);
+  const [categories, regions, statuses] = await Promise.all([
+    db.query(`${scope}
+      SELECT ic.label AS category, COUNT(s.id) AS count
+      FROM institution_category ic
+      LEFT JOIN institution i ON i.category_id = ic.id
+      LEFT JOIN scope s ON s.id = i.id
+      GROUP BY ic.id, ic.label
+      ORDER BY count DESC, ic.label`, params),
+    db.query(`${scope}
+      SELECT r.name AS region, COUNT(s.id) AS count
+      FROM region r
+      LEFT JOIN institution i ON i.region_id = r.id
+      LEFT JOIN scope s ON s.id = i.id
+      GROUP BY r.id, r.name
+      ORDER BY count DESC, r.name`, params),
+    db.query(`${scope}
+      SELECT i.status, COUNT(*) AS count
+      FROM scope s JOIN institution i ON i.id = s.id
+      GROUP BY i.status
+      ORDER BY count DESC`, params)
+  ]);
+  return { by_category: categories.rows, by_region: regions.rows, by_status: statuses.rows };
+}
+
+async function precomputedTotals(db, query, includeDeleted) {
+  const { conditions, params } = summaryConditions(query, includeDeleted);
+  const filter = conditions.length ? conditions.join(' AND ') : 'TRUE';
+  const [categories, regions, statuses] = await Promise.all([
+    db.query(`
+      SELECT ic.label AS category, COALESCE(SUM(i.count), 0) AS count
+      FROM institution_category ic
+      LEFT JOIN stats_institution_mv i ON i.category_id = ic.id AND ${filter}
+      GROUP BY ic.id, ic.label
+      ORDER BY count DESC, ic.label`, params),
+    db.query(`
+      SELECT r.name AS region, COALESCE(SUM(i.count), 0) AS count
+      FROM region r
+      LEFT JOIN stats_institution_mv i ON i.region_id = r.id AND ${filter}
+      GROUP BY r.id, r.name
+      ORDER BY count DESC, r.name`, params),
+    db.query(`
+      SELECT i.status, SUM(i.count) AS count
+      FROM stats_institution_mv i
+      WHERE ${filter}
+      GROUP BY i.status
+      ORDER BY count DESC`, params)
+  ]);
+  return { by_category: categories.rows, by_region: regions.rows, by_status: statuses.rows };
+}
@@ -0,0 +1,88 @@
+// Rafraîchissement des statistiques précalculées (vues matérialisées de la migration
+// 013_stats_summaries). Les triggers des tables sources journalisent les écritures dans
+// stats_change ; le planificateur rafraîchit les vues peu après une écriture
+// (STATS_REFRESH_DELAY secondes, 0 pour désactiver) et à intervalle fixe
+// (STATS_REFRESH_INTERVAL secondes, 0 pour désactiver). Un verrou consultatif évite deux
+// rafraîchissements simultanés, y compris entre plusieurs instances de l'API.
+
+export const STATS_REFRESH_DELAY = parseInt(process.env.STATS_REFRESH_DELAY || '10');
+export const STATS_REFRESH_INTERVAL = parseInt(process.env.STATS_REFRESH_INTERVAL || '900');
+
+const SUMMARY_VIEWS = ['stats_institution_mv', 'stats_utility_mv', 'stats_fee_mv'];
+// Clé du verrou consultatif (pg_try_advisory_lock)
+const REFRESH_LOCK = 72140013;
+
+export class StatsRefreshBusyError extends Error {
+  constructor() {
+    super('A statistics refresh is already running');
+    this.status = 409;
+  }
+}
+
+// Date du dernier rafraîchissement et écritures en attente
+export async function statsSummaryState(db) {
+  const result = await db.query(`
+    SELECT computed_at, duration_ms, EXISTS (SELECT 1 FROM stats_change) AS stale
+    FROM stats_refresh
+  `);
+  return result.rows[0] || { computed_at: null, duration_ms: null, stale: true };
+}
+
+// Rafraîchit les vues (lectures non bloquées) ; les écritures journalisées avant le début
+// sont prises en compte, les suivantes restent en attente du prochain passage
+export async function refreshStatsSummaries(pool) {
+  const client = await pool.connect();
+  try {
+    const lock = await client.query('SELECT pg_try_advisory_lock($1) AS acquired', [REFRESH_LOCK]);
+    if (!lock.rows[0].acquired) throw new StatsRefreshBusyError();
+    try {
+      const started = Date.now();
+      // Écritures déjà validées, donc vues par le rafraîchissement qui suit
+      const pending = await client.query('SELECT NOW() AS computed_at, array_agg(id) AS ids FROM stats_change');
+      const { computed_at, ids } = pending.rows[0];
+      for (const view of SUMMARY_VIEWS) {
+        await client.query(`REFRESH MATERIALIZED VIEW CONCURRENTLY ${view}`);
+      }
+      const duration_ms = Date.now() - started;
+      if (ids) await client.query('DELETE FROM stats_change WHERE id = ANY($1)', [ids]);
+      await client.query(`
+        INSERT INTO stats_refresh (id, computed_at, duration_ms) VALUES (1, $1, $2)
+        ON CONFLICT (id) DO UPDATE SET computed_at = EXCLUDED.computed_at, duration_ms = EXCLUDED.duration_ms
+      `, [computed_at, duration_ms]);
+      return { computed_at, duration_ms, changes: ids ? ids.length : 0 };
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [REFRESH_LOCK]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+// Planificateur (lancé par createApp, src/app.js) ; renvoie une fonction d'arrêt
+export function startStatsRefresh(pool, { delay = STATS_REFRESH_DELAY, interval = STATS_REFRESH_INTERVAL } = {}) {
+  let lastRefresh = Date.now();
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const due = interval > 0 && Date.now() - lastRefresh >= interval * 1000;
+      const { stale } = due ? { stale: true } : await statsSummaryState(pool);
+      if (due || (delay > 0 && stale)) {
+        await refreshStatsSummaries(pool);
+        lastRefresh = Date.now();
+      }
+    } catch (err) {
+      if (!(err instanceof StatsRefreshBusyError)) console.error('Statistics refresh failed:', err.message);
+    } finally {
+      running = false;
+    }
+  };
+
+  const period = Math.min(...[delay, interval].filter(s => s > 0));
+  if (!Number.isFinite(period)) return () => {};
+  const timer = setInterval(tick, period * 1000);
+  timer.unref();
+  return () => clearInterval(timer);
+}
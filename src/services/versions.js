@@ -0,0 +1,30 @@
+// Contrôle de concurrence optimiste : chaque institution et sous-ressource porte une colonne
+// `version` (migration 014_row_versions), exposée comme ETag. Une écriture accompagnée de
+// If-Match est refusée (412) si la version a changé depuis.
+
+export class VersionConflictError extends Error {
+  constructor(current) {
+    super('Resource has been modified since the given version');
+    this.status = 412;
+    // État actuel, renvoyé au client
+    this.current = current;
+  }
+}
+
+export function versionEtag(row) {
+  return `"${row.version}"`;
+}
+
+// Versions acceptées d'après If-Match ("3", W/"3", ou l'ETag "3-…" de GET /:id) ;
+// null sans en-tête ou avec "*"
+export function ifMatchVersions(header) {
+  if (!header || header.trim() === '*') return null;
+  return header.split(',')
+    .map(tag => parseInt(tag.trim().replace(/^W\//, '').replace(/^"/, ''), 10))
+    .filter(Number.isInteger);
+}
+
+// VersionConflictError si la ligne verrouillée n'est pas dans une version attendue
+export function checkVersion(row, expected) {
+  if (expected && !expected.includes(row.version)) throw new VersionConflictError(row);
+}
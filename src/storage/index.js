@@ -0,0 +1,26 @@
+import { createLocalStorage } from './local.js';
+
+// Stockage des fichiers envoyés (photos), choisi par STORAGE_DRIVER (local par défaut).
+// Un driver est une fabrique (env) → {
+//   put(key, buffer, { contentType }), get(key) → Buffer | null, remove(key)
+// }
+// Les clés sont des chemins relatifs ("photos/<institution>/<photo>/original.jpg").
+
+const drivers = {
+  local: createLocalStorage
+};
+
+export function registerStorageDriver(name, factory) {
+  drivers[name] = factory;
+}
+
+let storage = null;
+
+export function getStorage() {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    if (!drivers[name]) throw new Error(`Unknown storage driver "${name}". Available: ${Object.keys(drivers).join(', ')}`);
+    storage = drivers[name](process.env);
+  }
+  return storage;
+}
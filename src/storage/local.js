@@ -0,0 +1,36 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Système de fichiers local, sous STORAGE_LOCAL_ROOT (public/uploads par défaut)
+export function createLocalStorage(env = process.env) {
+  const root = path.resolve(env.STORAGE_LOCAL_ROOT || 'public/uploads');
+
+  const resolve = (key) => {
+    const file = path.resolve(root, key);
+    if (!file.startsWith(root + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+    return file;
+  };
+
+  return {
+    async put(key, buffer) {
+      const file = resolve(key);
+      await fs.mkdir(path.dirname(file), { recursive: true });
+      await fs.writeFile(file, buffer);
+    },
+
+    async get(key) {
+      try {
+        return await fs.readFile(resolve(key));
+      } catch (err) {
+        if (err.code === 'ENOENT') return null;
+        throw err;
+      }
+    },
+
+    async remove(key) {
+      await fs.rm(resolve(key), { force: true });
+      // Répertoire de la photo supprimé une fois vide
+      await fs.rmdir(path.dirname(resolve(key))).catch(() => {});
+    }
+  };
+}
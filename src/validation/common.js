@@ -0,0 +1,69 @@
+import Joi from 'joi';
+import { institutionFilterParams } from '../services/institutionFilters.js';
+import { MAX_PAGE_SIZE, COUNT_MODES } from '../services/pagination.js';
+
+// Briques communes aux schémas de validation (body, params, query)
+
+export const uuid = Joi.string().guid();
+export const code = Joi.string().trim().max(50);
+export const label = Joi.string().trim().max(255);
+export const booleanFlag = Joi.string().valid('true', 'false');
+
+// Paramètres de chemin ; chaque route ne reçoit que ceux de son motif
+export const routeParams = Joi.object({
+  id: uuid,
+  itemId: uuid,
+  ohId: uuid,
+  revisionId: Joi.string().pattern(/^\d+$/).message('revisionId must be a positive integer'),
+  z: Joi.number().integer().min(0).max(22),
+  x: Joi.number().integer().min(0),
+  y: Joi.number().integer().min(0)
+});
+
+// Instant ISO 8601 ("2026-10-19T14:30:00+03:00") ou "now"
+export const instant = Joi.string().max(64).custom((value, helpers) => {
+  if (value !== 'now' && Number.isNaN(Date.parse(value))) return helpers.message('{#label} must be an ISO 8601 date-time or "now"');
+  return value;
+});
+
+export const includeDeletedQuery = Joi.object({
+  include_deleted: booleanFlag
+});
+
+// Filtres de GET /, repris par l'export, la carte, la recherche…
+export const institutionFilterQuery = Joi.object({
+  category: code,
+  subtype: code,
+  region: code,
+  district: code,
+  commune: code,
+  street: label,
+  name: label,
+  status: Joi.string().max(50),
+  min_capacity: Joi.number().integer().min(0),
+  max_capacity: Joi.number().integer().min(0),
+  open_at: instant.description('Institutions open at this instant (ISO 8601 date-time or "now")'),
+  location_mismatch: booleanFlag.description('Coordinates outside (true) or inside (false) the boundary of the declared commune'),
+  include_deleted: booleanFlag
+});
+
+// Garde-fou : tout filtre ajouté à institutionFilters.js doit être déclaré ici
+const undeclared = institutionFilterParams.filter(p => !institutionFilterQuery.describe().keys[p]);
+if (undeclared.length) throw new Error(`Filters missing from institutionFilterQuery: ${undeclared.join(', ')}`);
+
+// Tri et pagination des listes (GET /, collections) sur les clés de tri autorisées
+export function paginationQuery(sortKeys) {
+  const names = Object.keys(sortKeys);
+  const sortKey = Joi.string().pattern(new RegExp(`^[-+]?(${names.join('|')})$`));
+  return {
+    sort: Joi.string().custom((value, helpers) => {
+      const invalid = value.split(',').map(s => s.trim()).find(s => sortKey.validate(s).error);
+      if (invalid !== undefined) return helpers.message(`sort key "${invalid}" is not allowed`);
+      return value;
+    }).description(`Comma-separated keys, "-" prefix for descending: ${names.join(', ')}`),
+    limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE),
+    offset: Joi.number().integer().min(0),
+    cursor: Joi.string().max(2048),
+    count: Joi.string().valid(...COUNT_MODES)
+  };
+}
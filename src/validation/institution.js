@@ -0,0 +1,167 @@
+import Joi from 'joi';
+import { uuid, code, label, booleanFlag, institutionFilterQuery, includeDeletedQuery, paginationQuery } from './common.js';
+import { joiOptions, validationErrors } from '../middleware/validate.js';
+import { institutionSortKeys } from '../services/institutionFilters.js';
+import { exportFormats, exportRelations } from '../services/institutionExport.js';
+import { auditedEntities } from '../db/entities.js';
+
+// Champs modifiables d'une institution
+export const institutionFields = [
+  'category_id','subtype_id','name','label','description','lat','lng',
+  'region_id','district_id','commune_id','street_id','established',
+  'capacity','last_renovation','accreditation','phone_principal',
+  'email_principal','website','status','building_condition'
+];
+
+const year = Joi.number().integer().min(1800).max(2100);
+const requiredOnCreate = { create: s => s.required() };
+
+// Schéma unique : tailor('create') rend obligatoires name, category_id et subtype_id ;
+// tailor('update') accepte un sous-ensemble non vide des champs (mise à jour partielle).
+// La cohérence région → district → commune → rue est vérifiée à l'écriture (services/geoHierarchy.js).
+export const institutionSchema = Joi.object({
+  category_id: uuid.alter(requiredOnCreate),
+  subtype_id: uuid.alter(requiredOnCreate),
+  name: label.min(1).alter(requiredOnCreate),
+  label: label.allow(null, ''),
+  description: Joi.string().allow(null, ''),
+  lat: Joi.number().min(-90).max(90).allow(null),
+  lng: Joi.number().min(-180).max(180).allow(null),
+  region_id: uuid.allow(null),
+  district_id: uuid.allow(null),
+  commune_id: uuid.allow(null),
+  street_id: uuid.allow(null),
+  established: year.allow(null),
+  capacity: Joi.number().integer().min(0).allow(null),
+  last_renovation: year.allow(null),
+  accreditation: label.allow(null, ''),
+  phone_principal: Joi.string().trim().max(50).allow(null, ''),
+  email_principal: Joi.string().trim().email().max(255).allow(null, ''),
+  website: Joi.string().trim().max(255).allow(null, ''),
+  status: Joi.string().trim().max(50).allow(null, ''),
+  building_condition: Joi.string().trim().max(50).allow(null, ''),
+  // Localisation par code (rue : nom dans la commune) au lieu de l'identifiant
+  region: code.allow(null),
+  district: code.allow(null),
+  commune: code.allow(null),
+  street: label.allow(null)
+})
+  .oxor('region', 'region_id').oxor('district', 'district_id').oxor('commune', 'commune_id').oxor('street', 'street_id')
+  .alter({ update: s => s.min(1) });
+
+export const createInstitutionSchema = institutionSchema.tailor('create');
+export const updateInstitutionSchema = institutionSchema.tailor('update');
+
+// Règles appliquées à la création d'une institution (POST / et import) ;
+// partial ignore les champs obligatoires (mise à jour).
+// Renvoie la liste des erreurs { field, message }.
+export function checkInstitution(data, { partial = false } = {}) {
+  const schema = partial ? updateInstitutionSchema : createInstitutionSchema;
+  const { error } = schema.validate(data, joiOptions);
+  return validationErrors(error, 'body').map(({ field, message }) => ({ field, message }));
+}
+
+// =====================
+// Paramètres de requête des routes institution
+// =====================
+
+export const listQuery = institutionFilterQuery.keys(paginationQuery(institutionSortKeys));
+
+export const institutionQuery = includeDeletedQuery;
+
+// Rayon dans l'unité demandée (1000 km au plus) ; sans rayon, nearest est requis
+export const nearbyQuery = institutionFilterQuery.keys({
+  lat: Joi.number().min(-90).max(90).required(),
+  lng: Joi.number().min(-180).max(180).required(),
+  radius: Joi.number().positive().when('unit', { is: 'm', then: Joi.number().max(1000000), otherwise: Joi.number().max(1000) }),
+  unit: Joi.string().valid('km', 'm').description('Unit of radius and distance (default km)'),
+  nearest: Joi.number().integer().min(1).max(500).description('Return the N nearest institutions (within radius if given)'),
+  limit: Joi.number().integer().min(1).max(500),
+  offset: Joi.number().integer().min(0)
+});
+
+export const statsQuery = institutionFilterQuery.keys({
+  group_by: Joi.string().max(200).description('Comma-separated dimensions: category, subtype, region, district, commune, status, building_condition'),
+  source: Joi.string().valid('auto', 'summary', 'live').description('Precomputed summaries, live computation, or summaries when the filters allow (default)')
+});
+
+// Filtres des institutions recherchées et des communes analysées ; distance dans l'unité demandée
+const filter = key => institutionFilterQuery.extract(key);
+export const coverageQuery = Joi.object({
+  category: filter('category'),
+  subtype: filter('subtype'),
+  status: filter('status'),
+  min_capacity: filter('min_capacity'),
+  max_capacity: filter('max_capacity'),
+  region: code.description('Only communes of this region'),
+  district: code.description('Only communes of this district'),
+  commune: code,
+  distance: Joi.number().positive().required()
+    .when('unit', { is: 'm', then: Joi.number().max(1000000), otherwise: Joi.number().max(1000) })
+    .description('Threshold beyond which a commune is flagged as a gap'),
+  unit: Joi.string().valid('km', 'm').description('Unit of distance (default km)'),
+  from: Joi.string().valid('centroid', 'boundary').description('Measure from the commune centroid (default) or its boundary'),
+  gaps_only: booleanFlag,
+  format: Joi.string().valid('json', 'geojson')
+}).or('category', 'subtype');
+
+export const historyQuery = Joi.object({
+  entity_type: Joi.string().valid(...Object.keys(auditedEntities)),
+  limit: Joi.number().integer().min(1).max(500),
+  offset: Joi.number().integer().min(0)
+});
+
+export const searchQuery = institutionFilterQuery.keys({
+  q: Joi.string().trim().min(2).max(200).required(),
+  limit: Joi.number().integer().min(1).max(100),
+  offset: Joi.number().integer().min(0)
+});
+
+export const suggestQuery = Joi.object({
+  q: Joi.string().trim().min(2).max(200).required(),
+  limit: Joi.number().integer().min(1).max(20),
+  include_deleted: booleanFlag
+});
+
+export const mapQuery = institutionFilterQuery.keys({
+  bbox: Joi.string().required(),
+  zoom: Joi.number().integer().min(0).max(22).required()
+});
+
+export const tileQuery = institutionFilterQuery;
+
+export const exportQuery = institutionFilterQuery.keys({
+  format: Joi.string().valid(...Object.keys(exportFormats)),
+  include: Joi.string().custom((value, helpers) => {
+    const unknown = value.split(',').map(r => r.trim()).filter(r => r && !exportRelations[r]);
+    if (unknown.length) {
+      return helpers.message(`Unknown include: ${unknown.join(', ')}. Allowed: ${Object.keys(exportRelations).join(', ')}`);
+    }
+    return value;
+  })
+});
+
+export const duplicatesQuery = institutionFilterQuery.keys({
+  // Comparaison limitée aux institutions actives
+  include_deleted: Joi.forbidden(),
+  min_score: Joi.number().min(0).max(1),
+  max_distance: Joi.number().positive().max(50000).description('Distance (m) below which two locations count as close'),
+  limit: Joi.number().integer().min(1).max(200),
+  offset: Joi.number().integer().min(0)
+});
+
+export const mergeQuery = Joi.object({
+  mode: Joi.string().valid('dry_run', 'commit')
+});
+
+// Valeur retenue pour chaque champ en conflit
+export const mergeSchema = Joi.object({
+  absorbed_id: uuid.required(),
+  fields: Joi.object(Object.fromEntries(institutionFields.map(f => [f, Joi.string().valid('survivor', 'absorbed')])))
+});
+
+export const importQuery = Joi.object({
+  mode: Joi.string().valid('dry_run', 'commit'),
+  upsert: booleanFlag,
+  sheet: Joi.string().max(100)
+});
@@ -0,0 +1,67 @@
+import Joi from 'joi';
+import { uuid, code, label } from './common.js';
+
+// Référentiels (catégories, sous-types, types) et géographie.
+// Même schéma pour la création (tailor('create')) et la mise à jour partielle (tailor('update')).
+
+const requiredOnCreate = { create: s => s.required() };
+const atLeastOneOnUpdate = { update: s => s.min(1) };
+
+export const categorySchema = Joi.object({
+  code: code.min(1).alter(requiredOnCreate),
+  label: label.min(1).alter(requiredOnCreate)
+}).alter(atLeastOneOnUpdate);
+
+export const subtypeSchema = Joi.object({
+  category_id: uuid.alter(requiredOnCreate),
+  code: code.min(1).alter(requiredOnCreate),
+  label: label.min(1).alter(requiredOnCreate)
+}).alter(atLeastOneOnUpdate);
+
+// contact_type, staff_type, utility_type
+export const typeSchema = categorySchema;
+
+export const regionSchema = Joi.object({
+  code: code.min(1).alter(requiredOnCreate),
+  name: label.min(1).alter(requiredOnCreate)
+}).alter(atLeastOneOnUpdate);
+
+export const districtSchema = regionSchema.keys({
+  region_id: uuid.alter(requiredOnCreate)
+});
+
+export const communeSchema = regionSchema.keys({
+  district_id: uuid.alter(requiredOnCreate)
+});
+
+export const streetSchema = Joi.object({
+  commune_id: uuid.alter(requiredOnCreate),
+  name: label.min(1).alter(requiredOnCreate),
+  postal_code: Joi.string().trim().max(20).allow(null, '')
+}).alter(atLeastOneOnUpdate);
+
+export const subtypeListQuery = Joi.object({ category_id: uuid });
+export const districtListQuery = Joi.object({ region_id: uuid });
+export const communeListQuery = Joi.object({ district_id: uuid });
+export const streetListQuery = Joi.object({ commune_id: uuid });
+
+// Routes /geo/{name} : corps de création et filtres de liste
+export const geoSchemas = { regions: regionSchema, districts: districtSchema, communes: communeSchema, streets: streetSchema };
+export const geoListQueries = {
+  regions: Joi.object({}),
+  districts: districtListQuery,
+  communes: communeListQuery,
+  streets: streetListQuery
+};
+
+// Contours (GeoJSON) : mêmes filtres par parent que les listes, plus le code
+export const boundaryListQueries = {
+  regions: Joi.object({ code }),
+  districts: districtListQuery.keys({ code }),
+  communes: communeListQuery.keys({ code })
+};
+
+export const boundaryImportQuery = Joi.object({
+  mode: Joi.string().valid('dry_run', 'commit'),
+  key: code.min(1).description('Feature property holding the code (default "code")')
+});
@@ -0,0 +1,157 @@
+import Joi from 'joi';
+import { uuid, code, label, instant, booleanFlag, institutionFilterQuery, paginationQuery } from './common.js';
+import { THUMBNAIL_SIZES } from '../services/photos.js';
+import { COLLECTIONS } from '../services/collections.js';
+
+// Sous-ressources d'une institution (/:id/{relation}), un schéma par relation
+// (noms de db/entities.js). tailor('create') / tailor('update') comme pour l'institution.
+
+const requiredOnCreate = { create: s => s.required() };
+const atLeastOneOnUpdate = { update: s => s.min(1) };
+
+// "HH:MM" ou "HH:MM:SS"
+const time = Joi.string().pattern(/^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/).message('{#label} must be a time formatted HH:MM');
+
+const seconds = t => t.padEnd(8, ':00');
+
+// "AAAA-MM-JJ"
+const date = Joi.string().pattern(/^\d{4}-\d{2}-\d{2}$/).message('{#label} must be a date formatted YYYY-MM-DD')
+  .custom((value, helpers) => {
+    const parsed = new Date(`${value}T00:00:00Z`);
+    if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 10) !== value) return helpers.message('{#label} is not a valid date');
+    return value;
+  });
+
+// La fermeture suit l'ouverture de la même plage
+const closeTime = time.custom((value, helpers) => {
+  const open = helpers.state.ancestors[0].open_time;
+  if (open && value && seconds(open) >= seconds(value)) return helpers.message('close_time must be after open_time');
+  return value;
+});
+
+// Plages [{ open_time, close_time }] sans chevauchement
+function noOverlap(slots, helpers) {
+  const sorted = [...slots].sort((a, b) => seconds(a.open_time).localeCompare(seconds(b.open_time)));
+  for (let i = 1; i < sorted.length; i++) {
+    if (seconds(sorted[i].open_time) < seconds(sorted[i - 1].close_time)) return helpers.message('hours must not overlap');
+  }
+  return slots;
+}
+
+const photoText = Joi.string().trim().max(255).allow(null, '');
+
+export const relationSchemas = {
+  contacts: Joi.object({
+    contact_type_id: uuid.alter(requiredOnCreate),
+    value: Joi.string().trim().min(1).max(255).alter(requiredOnCreate)
+  }),
+  staff: Joi.object({
+    staff_type_id: uuid.alter(requiredOnCreate),
+    quantity: Joi.number().integer().min(0).alter(requiredOnCreate)
+  }),
+  utilities: Joi.object({
+    utility_type_id: uuid.alter(requiredOnCreate),
+    availability: Joi.boolean().alter({ create: s => s.default(true) })
+  }),
+  services: Joi.object({
+    service_code: Joi.string().trim().min(1).max(50).alter(requiredOnCreate),
+    name: Joi.string().trim().min(1).max(255).alter(requiredOnCreate),
+    description: Joi.string().allow(null, '')
+  }),
+  photos: Joi.object({
+    url: Joi.string().uri({ scheme: ['http', 'https'] }).alter(requiredOnCreate),
+    caption: photoText,
+    credit: photoText
+  }),
+  education_fees: Joi.object({
+    level: Joi.string().trim().min(1).max(100).alter(requiredOnCreate),
+    amount: Joi.number().min(0).precision(2).alter(requiredOnCreate),
+    currency: Joi.string().uppercase().length(3).alter({ create: s => s.default('MGA') }),
+    description: Joi.string().allow(null, '')
+  }),
+  ratios: Joi.object({
+    ratio_type: Joi.string().trim().min(1).max(100).alter(requiredOnCreate),
+    value: Joi.number().alter(requiredOnCreate),
+    year: Joi.number().integer().min(1800).max(2100).allow(null)
+  }),
+  // Période datée (bornes incluses) : fermeture, ou horaires spéciaux si closed = false
+  opening_exceptions: Joi.object({
+    start_date: date.alter(requiredOnCreate),
+    end_date: date.alter(requiredOnCreate).custom((value, helpers) => {
+      const start = helpers.state.ancestors[0].start_date;
+      if (start && value < start) return helpers.message('end_date must not be before start_date');
+      return value;
+    }),
+    closed: Joi.boolean().alter({ create: s => s.default(true) }),
+    hours: Joi.array().items(Joi.object({
+      open_time: time.required(),
+      close_time: closeTime.required()
+    })).max(10).custom(noOverlap).alter({ create: s => s.default([]) }).when('closed', { is: false, then: Joi.array().min(1).required() }),
+    label: Joi.string().trim().max(255).allow(null, '')
+  })
+};
+
+for (const [name, schema] of Object.entries(relationSchemas)) {
+  relationSchemas[name] = schema.alter(atLeastOneOnUpdate);
+}
+
+// Plage horaire hebdomadaire ; un jour peut en compter plusieurs (sans chevauchement)
+export const openingHourSchema = Joi.object({
+  day_of_week: Joi.number().integer().min(1).max(7).alter(requiredOnCreate),
+  open_time: time.alter(requiredOnCreate),
+  close_time: closeTime.alter(requiredOnCreate)
+}).alter(atLeastOneOnUpdate);
+
+// Contraintes CHECK / EXCLUDE vérifiées par la base (mise à jour partielle
+// combinée à la ligne existante) → erreur de validation { field, message }
+export const constraintErrors = {
+  opening_hour_time_order: { field: 'close_time', message: 'close_time must be after open_time' },
+  opening_exception_period: { field: 'end_date', message: 'end_date must not be before start_date' },
+  opening_exception_hours: { field: 'hours', message: 'hours are required when closed is false' }
+};
+
+export const openStatusQuery = Joi.object({
+  at: instant.description('Instant to evaluate (ISO 8601 date-time or "now", default now)'),
+  include_deleted: booleanFlag
+});
+
+// Envoi multipart d'une photo : champ fichier "file" + champs texte
+export const photoUploadSchema = Joi.object({
+  caption: photoText,
+  credit: photoText
+});
+
+export const photoFileQuery = Joi.object({
+  size: Joi.string().valid('original', ...Object.keys(THUMBNAIL_SIZES)),
+  include_deleted: booleanFlag
+});
+
+// =====================
+// Collections transversales (/contacts, /services, /photos) : filtres de GET / sur
+// l'institution + filtres propres à la collection, tri et pagination comme GET /
+// =====================
+
+function collectionQuery(name, filters) {
+  return institutionFilterQuery.keys({
+    institution_id: uuid,
+    ...filters,
+    ...paginationQuery(COLLECTIONS[name].sortKeys)
+  });
+}
+
+export const collectionQueries = {
+  contacts: collectionQuery('contacts', {
+    contact_type: code.description('Contact type code'),
+    value: label.description('Exact value, ignoring spaces and case'),
+    q: label.description('Part of the value')
+  }),
+  services: collectionQuery('services', {
+    service_code: code,
+    q: label.description('Part of the service name or description')
+  }),
+  photos: collectionQuery('photos', {
+    missing_credit: booleanFlag,
+    missing_caption: booleanFlag,
+    stored: booleanFlag.description('Uploaded file (true) or image hosted elsewhere (false)')
+  })
+};